@@ -23,6 +23,11 @@ import GigDetail from './pages/GigDetail';
 import Dashboard from './pages/Dashboard';
 import Profile from './pages/Profile';
 import AdminPanel from './pages/AdminPanel';
+import CourseQuizAnalytics from './pages/CourseQuizAnalytics';
+import UnlockAccount from './pages/UnlockAccount';
+import VerifyEmail from './pages/VerifyEmail';
+import ResetPassword from './pages/ResetPassword';
+import NotificationSettings from './pages/NotificationSettings';
 import NotFound from './pages/NotFound';
 
 // Create a client
@@ -67,6 +72,9 @@ function App() {
               <Route path="/courses/:id" element={<CourseDetail />} />
               <Route path="/gigs" element={<Gigs />} />
               <Route path="/gigs/:id" element={<GigDetail />} />
+              <Route path="/unlock-account/:token" element={<UnlockAccount />} />
+              <Route path="/verify-email/:token" element={<VerifyEmail />} />
+              <Route path="/reset-password/:token" element={<ResetPassword />} />
 
               {/* Protected Routes */}
               <Route path="/dashboard" element={
@@ -79,6 +87,18 @@ function App() {
                   <Profile />
                 </ProtectedRoute>
               } />
+              <Route path="/settings/notifications" element={
+                <ProtectedRoute>
+                  <NotificationSettings />
+                </ProtectedRoute>
+              } />
+
+              {/* Instructor Routes */}
+              <Route path="/courses/:id/quiz/analytics" element={
+                <ProtectedRoute>
+                  <CourseQuizAnalytics />
+                </ProtectedRoute>
+              } />
 
               {/* Admin Routes */}
               <Route path="/admin/*" element={
@@ -1,14 +1,28 @@
 import axios from 'axios';
+import { useAuthStore } from '../store/authStore';
+
+export const baseURL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
 // Create axios instance
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || 'http://localhost:5000/api',
+  baseURL,
   timeout: 30000,
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Stable per-browser device id so the server can keep one refresh token family per device
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem('skillbridge-device-id');
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    localStorage.setItem('skillbridge-device-id', deviceId);
+  }
+  return deviceId;
+};
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
@@ -23,6 +37,7 @@ api.interceptors.request.use(
         console.error('Error parsing auth token:', error);
       }
     }
+    config.headers['X-Device-Id'] = getDeviceId();
     return config;
   },
   (error) => {
@@ -30,20 +45,57 @@ api.interceptors.request.use(
   }
 );
 
+// Shared refresh request so parallel 401s only rotate the refresh token once
+let refreshPromise = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    // Use plain axios so the refresh call itself never goes through the retry interceptor;
+    // the refresh token is sent (and rotated) in its httpOnly cookie
+    refreshPromise = axios.post(`${baseURL}/auth/refresh`, {
+      deviceId: getDeviceId()
+    }, { withCredentials: true })
+      .then((response) => {
+        const { token } = response.data;
+        useAuthStore.getState().setToken(token);
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('skillbridge-auth');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthRequest = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/2fa/verify']
+      .some(path => originalRequest?.url?.includes(path));
+
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isAuthRequest) {
+      originalRequest._retry = true;
+
+      try {
+        // Access token expired - silently refresh and replay the request
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Refresh token invalid, expired or revoked
+        useAuthStore.getState().clearAuth();
+        window.location.href = '/login';
+        return Promise.reject(refreshError);
+      }
     }
-    
+
     return Promise.reject(error);
   }
 );
 
-export default api;
\ No newline at end of file
+export default api;
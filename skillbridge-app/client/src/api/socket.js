@@ -0,0 +1,54 @@
+import { io } from 'socket.io-client';
+import { baseURL, refreshAccessToken } from './api';
+import { useAuthStore } from '../store/authStore';
+
+const socketURL = import.meta.env.VITE_SOCKET_URL || baseURL.replace(/\/api\/?$/, '');
+
+let socket = null;
+let refreshing = false;
+
+// Handshakes rejected by the server are not retried by socket.io, so an expired access token
+// is refreshed and the socket reconnected here (once per failure, to avoid a refresh loop)
+const handleConnectError = async (error) => {
+  const current = socket;
+  if (error.data?.status !== 401 || !current || refreshing) return;
+
+  refreshing = true;
+  try {
+    await refreshAccessToken();
+    if (socket === current) current.connect();
+  } catch (refreshError) {
+    // Refresh token invalid, expired or revoked
+    useAuthStore.getState().clearAuth();
+  }
+};
+
+// Shared authenticated socket; the token is read on every (re)connect so refreshed tokens are used
+export const connectSocket = () => {
+  if (!socket) {
+    socket = io(socketURL, {
+      autoConnect: false,
+      auth: (cb) => cb({ token: useAuthStore.getState().token }),
+    });
+    socket.on('connect_error', handleConnectError);
+    socket.on('connect', () => {
+      refreshing = false;
+    });
+  }
+
+  if (!socket.connected) {
+    socket.connect();
+  }
+
+  return socket;
+};
+
+export const getSocket = () => socket;
+
+export const disconnectSocket = () => {
+  if (socket) {
+    socket.disconnect();
+    socket = null;
+    refreshing = false;
+  }
+};
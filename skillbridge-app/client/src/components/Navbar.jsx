@@ -0,0 +1,70 @@
+import { Link, NavLink, useNavigate } from 'react-router-dom';
+import { LogOut, User } from 'lucide-react';
+import { useAuthStore } from '../store/authStore';
+import NotificationBell from './NotificationBell';
+
+const linkClass = ({ isActive }) =>
+  `px-3 py-2 rounded-md text-sm font-medium ${isActive ? 'text-blue-600' : 'text-gray-600 hover:text-gray-900'}`;
+
+const Navbar = () => {
+  const navigate = useNavigate();
+  const { user, logout } = useAuthStore();
+
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login');
+  };
+
+  return (
+    <nav className="bg-white shadow-sm">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex items-center justify-between h-16">
+          <div className="flex items-center space-x-6">
+            <Link to="/" className="text-xl font-bold text-blue-600">
+              SkillBridge
+            </Link>
+            <div className="hidden md:flex items-center space-x-1">
+              <NavLink to="/courses" className={linkClass}>Courses</NavLink>
+              <NavLink to="/gigs" className={linkClass}>Gigs</NavLink>
+              {user && <NavLink to="/dashboard" className={linkClass}>Dashboard</NavLink>}
+              {user?.role === 'admin' && <NavLink to="/admin" className={linkClass}>Admin</NavLink>}
+            </div>
+          </div>
+
+          {user ? (
+            <div className="flex items-center space-x-2">
+              <NotificationBell />
+              <Link
+                to="/profile"
+                className="flex items-center px-3 py-2 rounded-md text-sm font-medium text-gray-600 hover:text-gray-900"
+              >
+                <User className="w-5 h-5 mr-1" />
+                <span className="hidden sm:inline">{user.name}</span>
+              </Link>
+              <button
+                type="button"
+                onClick={handleLogout}
+                className="p-2 rounded-full text-gray-600 hover:bg-gray-100"
+                aria-label="Log out"
+              >
+                <LogOut className="w-5 h-5" />
+              </button>
+            </div>
+          ) : (
+            <div className="flex items-center space-x-2">
+              <NavLink to="/login" className={linkClass}>Log in</NavLink>
+              <Link
+                to="/register"
+                className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+              >
+                Sign up
+              </Link>
+            </div>
+          )}
+        </div>
+      </div>
+    </nav>
+  );
+};
+
+export default Navbar;
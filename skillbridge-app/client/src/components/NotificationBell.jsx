@@ -0,0 +1,134 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bell, CheckCheck } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import toast from 'react-hot-toast';
+import { useAuthStore } from '../store/authStore';
+import { useNotificationStore } from '../store/notificationStore';
+import { connectSocket } from '../api/socket';
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const token = useAuthStore((state) => state.token);
+  const {
+    notifications,
+    unreadCount,
+    loading,
+    fetchNotifications,
+    fetchUnreadCount,
+    receiveNotification,
+    markAsRead,
+    markAllAsRead,
+  } = useNotificationStore();
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Initial load over REST, then live updates over the socket
+  useEffect(() => {
+    if (!token) return undefined;
+
+    fetchNotifications();
+
+    const socket = connectSocket();
+    const handleNotification = (payload) => {
+      receiveNotification(payload);
+      toast(payload.notification.title, { icon: '🔔' });
+    };
+
+    socket.on('notification', handleNotification);
+    socket.on('connect', fetchUnreadCount);
+
+    return () => {
+      socket.off('notification', handleNotification);
+      socket.off('connect', fetchUnreadCount);
+    };
+  }, [token, fetchNotifications, fetchUnreadCount, receiveNotification]);
+
+  // Close the dropdown when clicking outside it
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleSelect = (notification) => {
+    if (!notification.readAt) {
+      markAsRead(notification._id);
+    }
+    setOpen(false);
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  if (!token) return null;
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="relative p-2 rounded-full text-gray-600 hover:bg-gray-100 focus:outline-none"
+        aria-label={`Notifications (${unreadCount} unread)`}
+      >
+        <Bell className="w-6 h-6" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 max-h-96 overflow-y-auto bg-white rounded-lg shadow-lg border border-gray-200 z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+            <h3 className="font-semibold text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                type="button"
+                onClick={markAllAsRead}
+                className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+              >
+                <CheckCheck className="w-4 h-4 mr-1" />
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {loading && notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-500">Loading...</p>
+          ) : notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-500">You're all caught up</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {notifications.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    type="button"
+                    onClick={() => handleSelect(notification)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${notification.readAt ? '' : 'bg-blue-50'}`}
+                  >
+                    <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                    {notification.message && (
+                      <p className="text-sm text-gray-600 mt-0.5">{notification.message}</p>
+                    )}
+                    <p className="text-xs text-gray-400 mt-1">
+                      {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
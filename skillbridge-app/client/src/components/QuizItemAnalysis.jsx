@@ -0,0 +1,174 @@
+import { useState } from 'react';
+import { useQuery } from 'react-query';
+import {
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from 'recharts';
+import { AlertTriangle } from 'lucide-react';
+import api from '../api/api';
+
+const FLAG_LABELS = {
+  'too-easy': 'Too easy',
+  'too-hard': 'Too hard',
+  'low-discrimination': 'Low discrimination',
+  'negative-discrimination': 'Negative discrimination',
+  'unused-distractor': 'Unused distractor',
+};
+
+const formatTime = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+// Per-question quiz statistics for the instructor dashboard
+const QuizItemAnalysis = ({ courseId }) => {
+  const [allAttempts, setAllAttempts] = useState(false);
+  const [selected, setSelected] = useState(0);
+
+  const { data: analysis, isLoading, error } = useQuery(
+    ['quiz-analytics', courseId, allAttempts],
+    async () => {
+      const response = await api.get(`/courses/${courseId}/quiz/analytics`, {
+        params: allAttempts ? { attempts: 'all' } : {},
+      });
+      return response.data.data.analysis;
+    },
+    { enabled: Boolean(courseId) }
+  );
+
+  if (isLoading) {
+    return <p className="py-6 text-sm text-center text-gray-500">Loading quiz analytics...</p>;
+  }
+
+  if (error) {
+    return (
+      <p className="py-6 text-sm text-center text-red-600">
+        {error.response?.data?.message || 'Could not load quiz analytics'}
+      </p>
+    );
+  }
+
+  if (!analysis || analysis.attempts === 0) {
+    return <p className="py-6 text-sm text-center text-gray-500">No graded quiz attempts yet</p>;
+  }
+
+  const chartData = analysis.questions.map((question, index) => ({
+    name: `Q${index + 1}`,
+    difficulty: question.difficultyIndex,
+    discrimination: question.discriminationIndex,
+  }));
+  const current = analysis.questions[selected] || analysis.questions[0];
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Quiz item analysis</h3>
+          <p className="text-sm text-gray-500">
+            {analysis.attempts} attempts from {analysis.learners} learners · average score {analysis.averageScore}%
+          </p>
+        </div>
+        <label className="flex items-center text-sm text-gray-600">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={allAttempts}
+            onChange={(event) => setAllAttempts(event.target.checked)}
+          />
+          Include retakes
+        </label>
+      </div>
+
+      <div className="h-72">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={chartData} onClick={(event) => event && setSelected(event.activeTooltipIndex ?? selected)}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="name" />
+            <YAxis domain={[-1, 1]} />
+            <Tooltip />
+            <Legend />
+            <ReferenceLine y={0} stroke="#9ca3af" />
+            <Bar dataKey="difficulty" name="Difficulty index" fill="#3b82f6" />
+            <Bar dataKey="discrimination" name="Discrimination index" fill="#10b981" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2 pr-4">#</th>
+              <th className="py-2 pr-4">Question</th>
+              <th className="py-2 pr-4">Responses</th>
+              <th className="py-2 pr-4">Difficulty</th>
+              <th className="py-2 pr-4">Discrimination</th>
+              <th className="py-2 pr-4">Avg. time</th>
+              <th className="py-2">Flags</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {analysis.questions.map((question, index) => (
+              <tr
+                key={question.questionId}
+                onClick={() => setSelected(index)}
+                className={`cursor-pointer hover:bg-gray-50 ${index === selected ? 'bg-blue-50' : ''}`}
+              >
+                <td className="py-2 pr-4 text-gray-500">Q{index + 1}</td>
+                <td className="py-2 pr-4 text-gray-900">{question.question}</td>
+                <td className="py-2 pr-4">{question.responses}</td>
+                <td className="py-2 pr-4">{question.difficultyIndex ?? '—'}</td>
+                <td className="py-2 pr-4">{question.discriminationIndex ?? '—'}</td>
+                <td className="py-2 pr-4">{formatTime(question.averageTime)}</td>
+                <td className="py-2">
+                  {question.flags.map((flag) => (
+                    <span
+                      key={flag}
+                      className="inline-flex items-center mr-1 mb-1 px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 text-xs"
+                    >
+                      <AlertTriangle className="w-3 h-3 mr-1" />
+                      {FLAG_LABELS[flag] || flag}
+                    </span>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {current?.options && (
+        <div>
+          <h4 className="font-medium text-gray-900 mb-2">
+            Q{analysis.questions.indexOf(current) + 1} option choices
+          </h4>
+          <div className="h-56">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={current.options} layout="vertical" margin={{ left: 24 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" allowDecimals={false} />
+                <YAxis type="category" dataKey="text" width={160} />
+                <Tooltip formatter={(value, name, item) => [`${value} (${Math.round(item.payload.share * 100)}%)`, 'Picked']} />
+                <Bar dataKey="count" name="Picked">
+                  {current.options.map((option) => (
+                    <Cell key={option.optionId} fill={option.isCorrect ? '#10b981' : '#f87171'} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuizItemAnalysis;
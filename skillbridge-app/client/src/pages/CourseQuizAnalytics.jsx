@@ -0,0 +1,21 @@
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import QuizItemAnalysis from '../components/QuizItemAnalysis';
+
+// Instructor view of a course's quiz statistics (the API limits it to the course instructor and admins)
+const CourseQuizAnalytics = () => {
+  const { id } = useParams();
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+      <Link to={`/courses/${id}`} className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800">
+        <ArrowLeft className="w-4 h-4 mr-1" />
+        Back to course
+      </Link>
+
+      <QuizItemAnalysis courseId={id} />
+    </div>
+  );
+};
+
+export default CourseQuizAnalytics;
@@ -0,0 +1,196 @@
+import { useEffect, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import api from '../api/api';
+
+const EVENT_LABELS = {
+  new_application: 'New applications to my gigs',
+  application_status_update: 'Updates to my applications',
+  gig_completed: 'Completed gigs',
+  course_completed: 'Completed courses',
+  submission_graded: 'Graded assignments',
+  badge_earned: 'Badges earned',
+  streak_at_risk: 'Learning streak reminders',
+};
+
+const CHANNELS = [
+  ['inApp', 'In app'],
+  ['email', 'Email'],
+  ['sms', 'SMS'],
+];
+
+const Toggle = ({ label, checked, onChange }) => (
+  <label className="flex items-center justify-between py-2 text-sm text-gray-700">
+    {label}
+    <input type="checkbox" checked={Boolean(checked)} onChange={(event) => onChange(event.target.checked)} />
+  </label>
+);
+
+// Notification channels, per-event choices, quiet hours and the daily digest
+// (linked from the footer of every notification email)
+const NotificationSettings = () => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(null);
+
+  const { data: preferences, isLoading, error } = useQuery('notification-preferences', async () => {
+    const response = await api.get('/notifications/preferences');
+    return response.data.data.preferences;
+  });
+
+  useEffect(() => {
+    if (preferences) setForm(preferences);
+  }, [preferences]);
+
+  const save = useMutation(
+    async (settings) => {
+      const response = await api.put('/notifications/preferences', settings);
+      return response.data.data.preferences;
+    },
+    {
+      onSuccess: (saved) => {
+        queryClient.setQueryData('notification-preferences', saved);
+        toast.success('Notification settings saved');
+      },
+      onError: (saveError) => {
+        toast.error(saveError.response?.data?.message || 'Could not save notification settings');
+      },
+    }
+  );
+
+  if (isLoading || (!form && !error)) {
+    return <p className="py-16 text-sm text-center text-gray-500">Loading notification settings...</p>;
+  }
+
+  if (error) {
+    return (
+      <p className="py-16 text-sm text-center text-red-600">
+        {error.response?.data?.message || 'Could not load notification settings'}
+      </p>
+    );
+  }
+
+  const update = (changes) => setForm(current => ({ ...current, ...changes }));
+  const updateEvent = (event, channel, enabled) => update({
+    events: { ...form.events, [event]: { ...form.events?.[event], [channel]: enabled } },
+  });
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    save.mutate({
+      notifications: form.notifications,
+      emailUpdates: form.emailUpdates,
+      smsUpdates: form.smsUpdates,
+      events: form.events,
+      timezone: form.timezone,
+      quietHours: form.quietHours,
+      digest: form.digest,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900">Notification settings</h1>
+
+      <section className="bg-white rounded-lg shadow p-6 divide-y divide-gray-100">
+        <Toggle label="In-app notifications" checked={form.notifications} onChange={(value) => update({ notifications: value })} />
+        <Toggle label="Email updates" checked={form.emailUpdates} onChange={(value) => update({ emailUpdates: value })} />
+        <Toggle label="SMS updates (needs a verified phone number)" checked={form.smsUpdates} onChange={(value) => update({ smsUpdates: value })} />
+      </section>
+
+      <section className="bg-white rounded-lg shadow p-6 overflow-x-auto">
+        <h2 className="text-lg font-semibold text-gray-900">What to tell me about</h2>
+        <table className="mt-4 w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-2 font-medium">Event</th>
+              {CHANNELS.map(([channel, label]) => (
+                <th key={channel} className="py-2 font-medium text-center">{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {Object.entries(EVENT_LABELS).map(([event, label]) => (
+              <tr key={event}>
+                <td className="py-2 text-gray-700">{label}</td>
+                {CHANNELS.map(([channel]) => (
+                  <td key={channel} className="py-2 text-center">
+                    <input
+                      type="checkbox"
+                      aria-label={`${label}: ${channel}`}
+                      checked={Boolean(form.events?.[event]?.[channel])}
+                      onChange={(changeEvent) => updateEvent(event, channel, changeEvent.target.checked)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="bg-white rounded-lg shadow p-6 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900">Timing</h2>
+
+        <label className="block text-sm text-gray-700">
+          Time zone
+          <input
+            type="text"
+            value={form.timezone || ''}
+            placeholder="Africa/Nairobi"
+            onChange={(event) => update({ timezone: event.target.value })}
+            className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2"
+          />
+        </label>
+
+        <Toggle
+          label="Quiet hours (email and SMS wait until they end)"
+          checked={form.quietHours?.enabled}
+          onChange={(value) => update({ quietHours: { ...form.quietHours, enabled: value } })}
+        />
+        <div className="flex gap-4">
+          {['start', 'end'].map(field => (
+            <label key={field} className="flex-1 text-sm text-gray-700 capitalize">
+              {field}
+              <input
+                type="time"
+                value={form.quietHours?.[field] || ''}
+                disabled={!form.quietHours?.enabled}
+                onChange={(event) => update({ quietHours: { ...form.quietHours, [field]: event.target.value } })}
+                className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 disabled:bg-gray-100"
+              />
+            </label>
+          ))}
+        </div>
+
+        <Toggle
+          label="Daily email digest"
+          checked={form.digest?.enabled}
+          onChange={(value) => update({ digest: { ...form.digest, enabled: value } })}
+        />
+        <label className="block text-sm text-gray-700">
+          Send the digest at
+          <select
+            value={form.digest?.hour ?? 8}
+            disabled={!form.digest?.enabled}
+            onChange={(event) => update({ digest: { ...form.digest, hour: Number(event.target.value) } })}
+            className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 disabled:bg-gray-100"
+          >
+            {Array.from({ length: 24 }, (_, hour) => (
+              <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+            ))}
+          </select>
+        </label>
+      </section>
+
+      <button
+        type="submit"
+        disabled={save.isLoading}
+        className="rounded-md bg-blue-600 px-4 py-2 text-white hover:bg-blue-700 disabled:opacity-50"
+      >
+        {save.isLoading ? 'Saving...' : 'Save settings'}
+      </button>
+    </form>
+  );
+};
+
+export default NotificationSettings;
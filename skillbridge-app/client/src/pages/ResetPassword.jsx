@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useAuthStore } from '../store/authStore';
+
+// Form behind the link in the password reset email
+const ResetPassword = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { resetPassword } = useAuthStore();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setError('');
+    setSubmitting(true);
+    const result = await resetPassword(token, password);
+    setSubmitting(false);
+
+    if (result.success) {
+      navigate(result.twoFactorRequired ? '/login' : '/dashboard');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-16">
+      <h1 className="text-2xl font-bold text-gray-900">Choose a new password</h1>
+      <p className="mt-2 text-sm text-gray-600">
+        At least 6 characters, with at least one letter and one number.
+      </p>
+
+      <form onSubmit={handleSubmit} className="mt-6 space-y-4">
+        <div>
+          <label htmlFor="password" className="block text-sm font-medium text-gray-700">New password</label>
+          <input
+            id="password"
+            type="password"
+            autoComplete="new-password"
+            required
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+            className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 focus:border-blue-500 focus:outline-none"
+          />
+        </div>
+
+        <div>
+          <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">Confirm password</label>
+          <input
+            id="confirmPassword"
+            type="password"
+            autoComplete="new-password"
+            required
+            value={confirmPassword}
+            onChange={(event) => setConfirmPassword(event.target.value)}
+            className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 focus:border-blue-500 focus:outline-none"
+          />
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full rounded-md bg-blue-600 px-4 py-2 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {submitting ? 'Saving...' : 'Reset password'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ResetPassword;
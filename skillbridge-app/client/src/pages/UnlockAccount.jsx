@@ -0,0 +1,49 @@
+import { Link, useParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { CheckCircle, XCircle } from 'lucide-react';
+import api from '../api/api';
+
+// Landing page for the unlock link in the account lockout email
+const UnlockAccount = () => {
+  const { token } = useParams();
+
+  // The link is single-use, so it is never retried or refetched
+  const { data: message, isLoading, error } = useQuery(
+    ['unlock-account', token],
+    async () => {
+      const response = await api.get(`/auth/unlock/${token}`);
+      return response.data.message;
+    },
+    { retry: false, staleTime: Infinity }
+  );
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-16 text-center">
+      {isLoading && <p className="text-sm text-gray-500">Unlocking your account...</p>}
+
+      {message && (
+        <>
+          <CheckCircle className="w-12 h-12 mx-auto text-green-600" />
+          <p className="mt-4 text-gray-900">{message}</p>
+        </>
+      )}
+
+      {error && (
+        <>
+          <XCircle className="w-12 h-12 mx-auto text-red-600" />
+          <p className="mt-4 text-gray-900">
+            {error.response?.data?.message || 'Could not unlock your account'}
+          </p>
+        </>
+      )}
+
+      {!isLoading && (
+        <Link to="/login" className="inline-block mt-6 text-sm text-blue-600 hover:text-blue-800">
+          Go to login
+        </Link>
+      )}
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -0,0 +1,65 @@
+import { Link, useParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { CheckCircle, XCircle } from 'lucide-react';
+import api from '../api/api';
+import { useAuthStore } from '../store/authStore';
+
+// Landing page for the link in the verification email
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { user } = useAuthStore();
+
+  // The link is single-use, so it is never retried or refetched
+  const { data: message, isLoading, error } = useQuery(
+    ['verify-email', token],
+    async () => {
+      const response = await api.get(`/auth/verify/${token}`);
+      return response.data.message;
+    },
+    {
+      retry: false,
+      staleTime: Infinity,
+      onSuccess: () => {
+        if (useAuthStore.getState().user) {
+          useAuthStore.setState(state => ({ user: { ...state.user, emailVerified: true } }));
+        }
+      },
+    }
+  );
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-16 text-center">
+      {isLoading && <p className="text-sm text-gray-500">Verifying your email...</p>}
+
+      {message && (
+        <>
+          <CheckCircle className="w-12 h-12 mx-auto text-green-600" />
+          <p className="mt-4 text-gray-900">{message}</p>
+        </>
+      )}
+
+      {error && (
+        <>
+          <XCircle className="w-12 h-12 mx-auto text-red-600" />
+          <p className="mt-4 text-gray-900">
+            {error.response?.data?.message || 'Could not verify your email'}
+          </p>
+          {user && (
+            <p className="mt-2 text-sm text-gray-500">You can request a new link from your profile.</p>
+          )}
+        </>
+      )}
+
+      {!isLoading && (
+        <Link
+          to={user ? '/dashboard' : '/login'}
+          className="inline-block mt-6 text-sm text-blue-600 hover:text-blue-800"
+        >
+          {user ? 'Go to dashboard' : 'Go to login'}
+        </Link>
+      )}
+    </div>
+  );
+};
+
+export default VerifyEmail;
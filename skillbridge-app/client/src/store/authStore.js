@@ -1,7 +1,9 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 import toast from 'react-hot-toast';
-import api from '../api/api';
+import api, { getDeviceId } from '../api/api';
+import { disconnectSocket } from '../api/socket';
+import { useNotificationStore } from './notificationStore';
 
 const useAuthStore = create(
   persist(
@@ -29,8 +31,15 @@ const useAuthStore = create(
       // Login user
       login: async (credentials) => {
         try {
-          const response = await api.post('/auth/login', credentials);
-          const { user, token } = response.data.data;
+          const response = await api.post('/auth/login', { ...credentials, deviceId: getDeviceId() });
+
+          // Second step required - the login page asks for the authenticator code
+          if (response.data.twoFactorRequired) {
+            return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+          }
+
+          const { token } = response.data;
+          const { user } = response.data.data;
           
           set({ user, token, loading: false });
           
@@ -46,11 +55,36 @@ const useAuthStore = create(
         }
       },
 
+      // Complete a 2FA login with a TOTP code or a recovery code
+      verifyTwoFactor: async (challengeToken, { code, recoveryCode }) => {
+        try {
+          const response = await api.post('/auth/2fa/verify', {
+            challengeToken,
+            code,
+            recoveryCode,
+            deviceId: getDeviceId()
+          });
+          const { token } = response.data;
+          const { user } = response.data.data;
+          
+          set({ user, token, loading: false });
+          api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+          
+          toast.success(response.data.message || 'Login successful!');
+          return { success: true };
+        } catch (error) {
+          const message = error.response?.data?.message || 'Verification failed';
+          toast.error(message);
+          return { success: false, error: message };
+        }
+      },
+
       // Register user
       register: async (userData) => {
         try {
-          const response = await api.post('/auth/register', userData);
-          const { user, token } = response.data.data;
+          const response = await api.post('/auth/register', { ...userData, deviceId: getDeviceId() });
+          const { token } = response.data;
+          const { user } = response.data.data;
           
           set({ user, token, loading: false });
           
@@ -66,20 +100,59 @@ const useAuthStore = create(
         }
       },
 
+      // Set a new password from the reset email link; accounts with 2FA log in again afterwards
+      resetPassword: async (resetToken, password) => {
+        try {
+          const response = await api.put(`/auth/resetpassword/${resetToken}`, { password });
+
+          if (response.data.twoFactorRequired) {
+            toast.success('Password reset. Log in with your new password.');
+            return { success: true, twoFactorRequired: true };
+          }
+
+          const { token } = response.data;
+          const { user } = response.data.data;
+
+          set({ user, token, loading: false });
+          api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+
+          toast.success(response.data.message || 'Password reset successful');
+          return { success: true };
+        } catch (error) {
+          const message = error.response?.data?.message || 'Password reset failed';
+          toast.error(message);
+          return { success: false, error: message };
+        }
+      },
+
       // Logout user
       logout: async () => {
         try {
-          await api.get('/auth/logout');
+          // The refresh token travels in its httpOnly cookie
+          await api.post('/auth/logout');
         } catch (error) {
           console.error('Logout error:', error);
         } finally {
-          set({ user: null, token: null });
-          delete api.defaults.headers.common['Authorization'];
-          localStorage.removeItem('skillbridge-auth');
+          get().clearAuth();
           toast.success('Logged out successfully');
         }
       },
 
+      // Store a freshly issued access token (the refresh token stays in its httpOnly cookie)
+      setToken: (token) => {
+        set({ token });
+        api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      },
+
+      // Drop all auth state (logout or failed refresh)
+      clearAuth: () => {
+        set({ user: null, token: null });
+        delete api.defaults.headers.common['Authorization'];
+        localStorage.removeItem('skillbridge-auth');
+        disconnectSocket();
+        useNotificationStore.getState().reset();
+      },
+
       // Update user profile
       updateProfile: async (userData) => {
         try {
@@ -99,7 +172,8 @@ const useAuthStore = create(
       // Change password
       changePassword: async (passwordData) => {
         try {
-          const response = await api.put('/auth/updatepassword', passwordData);
+          const response = await api.put('/auth/updatepassword', { ...passwordData, deviceId: getDeviceId() });
+          get().setToken(response.data.token);
           toast.success('Password updated successfully');
           return { success: true };
         } catch (error) {
@@ -163,10 +237,19 @@ const useAuthStore = create(
     }),
     {
       name: 'skillbridge-auth',
+      // Only the user and the short-lived access token are kept in localStorage;
+      // the refresh token never leaves its httpOnly cookie
       partialize: (state) => ({ 
         token: state.token,
         user: state.user 
       }),
+      // Version 0 also stored the refresh token; drop it from existing browsers
+      version: 1,
+      migrate: (persistedState) => {
+        const state = { ...persistedState };
+        delete state.refreshToken;
+        return state;
+      },
       onRehydrateStorage: () => (state) => {
         if (state?.token) {
           api.defaults.headers.common['Authorization'] = `Bearer ${state.token}`;
@@ -0,0 +1,70 @@
+import { create } from 'zustand';
+import api from '../api/api';
+
+const useNotificationStore = create((set, get) => ({
+  notifications: [],
+  unreadCount: 0,
+  loading: false,
+
+  // Load the latest notifications and unread count
+  fetchNotifications: async () => {
+    set({ loading: true });
+    try {
+      const response = await api.get('/notifications', { params: { limit: 20 } });
+      const { notifications, unreadCount } = response.data.data;
+      set({ notifications, unreadCount, loading: false });
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+      set({ loading: false });
+    }
+  },
+
+  // Refresh only the badge count (e.g. after reconnecting)
+  fetchUnreadCount: async () => {
+    try {
+      const response = await api.get('/notifications/unread-count');
+      set({ unreadCount: response.data.data.unreadCount });
+    } catch (error) {
+      console.error('Error loading unread count:', error);
+    }
+  },
+
+  // Live notification pushed over the socket
+  receiveNotification: ({ notification, unreadCount }) => {
+    set({
+      notifications: [notification, ...get().notifications.filter(n => n._id !== notification._id)].slice(0, 50),
+      unreadCount,
+    });
+  },
+
+  markAsRead: async (id) => {
+    try {
+      const response = await api.put(`/notifications/${id}/read`);
+      const { notification, unreadCount } = response.data.data;
+      set({
+        notifications: get().notifications.map(n => (n._id === id ? notification : n)),
+        unreadCount,
+      });
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+    }
+  },
+
+  markAllAsRead: async () => {
+    try {
+      await api.put('/notifications/read-all');
+      const readAt = new Date().toISOString();
+      set({
+        notifications: get().notifications.map(n => ({ ...n, readAt: n.readAt || readAt, isRead: true })),
+        unreadCount: 0,
+      });
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  },
+
+  // Forget everything on logout
+  reset: () => set({ notifications: [], unreadCount: 0, loading: false }),
+}));
+
+export { useNotificationStore };
@@ -0,0 +1,156 @@
+import User from '../models/User.js';
+import Progress from '../models/Progress.js';
+import Course from '../models/Course.js';
+import Gig from '../models/Gig.js';
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import AuditLog from '../models/AuditLog.js';
+import BadgeAssertion from '../models/BadgeAssertion.js';
+import Notification from '../models/Notification.js';
+import BusinessApplication from '../models/BusinessApplication.js';
+import { removeStoredFile } from '../utils/uploads.js';
+
+// Recompute a course's rating from its remaining reviews
+const recalculateCourseRating = async (courseId) => {
+  const course = await Course.findById(courseId).select('reviews rating');
+  if (!course) return;
+
+  const count = course.reviews.length;
+  const total = course.reviews.reduce((sum, review) => sum + review.rating, 0);
+  course.rating.count = count;
+  course.rating.average = count ? Math.round((total / count) * 10) / 10 : 0;
+  await course.save({ validateBeforeSave: false });
+};
+
+// Remove or anonymise everything tied to one deleted account
+export const purgeUser = async (user) => {
+  const userId = user._id;
+
+  // Learning records, their certificate PDFs and assignment uploads
+  const records = await Progress.find({
+    userId,
+    $or: [{ certificatePath: { $exists: true } }, { 'assignmentSubmissions.0': { $exists: true } }]
+  }).select('certificatePath assignmentSubmissions.files.path');
+  for (const { certificatePath, assignmentSubmissions } of records) {
+    if (certificatePath) await removeStoredFile(certificatePath);
+    for (const submission of assignmentSubmissions) {
+      for (const file of submission.files) {
+        await removeStoredFile(file.path);
+      }
+    }
+  }
+  await Progress.deleteMany({ userId });
+
+  // Course reviews (ratings are recomputed without them)
+  const reviewedCourses = await Course.find({ 'reviews.userId': userId }).select('_id');
+  await Course.updateMany(
+    { 'reviews.userId': userId },
+    { $pull: { reviews: { userId } } }
+  );
+  for (const course of reviewedCourses) {
+    await recalculateCourseRating(course._id);
+  }
+
+  // Gig applications keep their status for the client's records but lose personal content.
+  // The native collection is used so expired gigs (hidden by the Gig find hooks) are included.
+  await Gig.collection.updateMany(
+    { 'applications.applicantId': userId },
+    {
+      $unset: {
+        'applications.$[mine].message': '',
+        'applications.$[mine].portfolio': '',
+        'applications.$[mine].proposedRate': '',
+        'applications.$[mine].estimatedDuration': ''
+      }
+    },
+    { arrayFilters: [{ 'mine.applicantId': userId }] }
+  );
+
+  // Gigs the user posted: close open ones and drop contact details
+  await Gig.collection.updateMany(
+    { clientId: userId, status: { $in: ['draft', 'posted', 'in-progress'] } },
+    { $set: { status: 'cancelled' } }
+  );
+  await Gig.collection.updateMany(
+    { clientId: userId },
+    { $unset: { contactInfo: '' } }
+  );
+
+  // Business applications and their uploaded ID and registration documents
+  const applications = await BusinessApplication.find({ userId }).select('documents.path');
+  for (const application of applications) {
+    for (const document of application.documents) {
+      await removeStoredFile(document.path);
+    }
+  }
+  await BusinessApplication.deleteMany({ userId });
+
+  // Notifications (their messages quote gigs, courses and grades)
+  await Notification.deleteMany({ userId });
+
+  // Credentials
+  await Session.deleteMany({ userId });
+  await RefreshToken.deleteMany({ userId });
+
+  // Issued badge credentials can no longer be vouched for; only their ids stay listed as revoked
+  await BadgeAssertion.anonymizeForUser(userId, 'Account deleted');
+
+  // Anonymise the account itself; XP, badges and gig counts stay for aggregate stats
+  await User.collection.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        name: 'Deleted user',
+        email: `deleted-${userId}@deleted.invalid`,
+        avatar: null,
+        isActive: false,
+        identities: [],
+        enrolledCourses: [],
+        'deletion.purgedAt': new Date()
+      },
+      $unset: {
+        password: '',
+        age: '',
+        phone: '',
+        phoneVerified: '',
+        phoneVerification: '',
+        'location.address': '',
+        'location.city': '',
+        businessName: '',
+        businessType: '',
+        businessDescription: '',
+        twoFactor: '',
+        loginSecurity: '',
+        resetPasswordToken: '',
+        resetPasswordExpire: '',
+        emailVerificationToken: '',
+        emailVerificationExpire: ''
+      }
+    }
+  );
+
+  await AuditLog.record({
+    action: 'account_purged',
+    userId,
+    metadata: { requestedAt: user.deletion?.requestedAt }
+  });
+};
+
+// Purge all accounts whose deletion grace period has passed
+export const purgeDeletedAccounts = async () => {
+  const users = await User.find({
+    isActive: false,
+    'deletion.scheduledFor': { $lte: new Date() },
+    'deletion.purgedAt': { $exists: false }
+  }).select('_id deletion');
+
+  for (const user of users) {
+    try {
+      await purgeUser(user);
+    } catch (error) {
+      console.error(`Account purge failed for ${user._id}:`, error);
+    }
+  }
+
+  return users.length;
+};
@@ -0,0 +1,97 @@
+import Badge from '../models/Badge.js';
+import User from '../models/User.js';
+import { notify } from '../services/notifications.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Link that lets the holder re-certify: the course quiz when the badge comes from a course
+const recertificationLink = (badge, entry) => {
+  const courseId = entry.courseId || badge.relatedCourse;
+  return courseId ? `/courses/${courseId}/quiz` : '/profile';
+};
+
+// Prompt holders to re-certify before their badge expires
+export const sendRecertificationPrompts = async () => {
+  const now = new Date();
+  const badges = await Badge.find({ validityMonths: { $gte: 1 } });
+  let prompted = 0;
+
+  for (const badge of badges) {
+    const dueBefore = new Date(now.getTime() + badge.getRecertificationWindowMs());
+    const holders = await User.find({
+      isActive: true,
+      badges: {
+        $elemMatch: {
+          badgeId: badge._id,
+          status: 'active',
+          expiresAt: { $gt: now, $lte: dueBefore },
+          recertificationPromptedAt: { $exists: false }
+        }
+      }
+    }).select('badges');
+
+    for (const user of holders) {
+      const entry = user.badges.find(b => b.badgeId.toString() === badge._id.toString());
+      const daysLeft = Math.max(1, Math.ceil((entry.expiresAt - now) / DAY_MS));
+
+      await User.updateOne(
+        { _id: user._id, 'badges._id': entry._id },
+        { $set: { 'badges.$.recertificationPromptedAt': now } }
+      );
+
+      await notify(user._id, {
+        type: 'badge_expiring',
+        title: 'Badge expiring soon',
+        message: (entry.courseId || badge.relatedCourse)
+          ? `Your "${badge.name}" badge expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Retake the quiz to renew it.`
+          : `Your "${badge.name}" badge expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Meet its criteria again to renew it.`,
+        link: recertificationLink(badge, entry),
+        data: {
+          badge: { _id: badge._id, name: badge.name, icon: badge.icon },
+          expiresAt: entry.expiresAt
+        }
+      });
+      prompted += 1;
+    }
+  }
+
+  return prompted;
+};
+
+// Mark awards past their expiry date as expired and tell the holders
+export const expireBadges = async () => {
+  const now = new Date();
+  const users = await User.find({
+    badges: { $elemMatch: { status: 'active', expiresAt: { $lte: now } } }
+  }).select('badges');
+
+  let expired = 0;
+
+  for (const user of users) {
+    const entries = user.badges.filter(b => b.status === 'active' && b.expiresAt && b.expiresAt <= now);
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'badges.$[entry].status': 'expired' } },
+      { arrayFilters: [{ 'entry.status': 'active', 'entry.expiresAt': { $lte: now } }] }
+    );
+
+    const badges = await Badge.find({ _id: { $in: entries.map(b => b.badgeId) } }).select('name icon relatedCourse');
+
+    for (const entry of entries) {
+      const badge = badges.find(b => b._id.toString() === entry.badgeId.toString());
+      if (!badge) continue;
+
+      await notify(user._id, {
+        type: 'badge_expired',
+        title: 'Badge expired',
+        message: `Your "${badge.name}" badge has expired. Re-certify to earn it back.`,
+        link: recertificationLink(badge, entry),
+        data: { badge: { _id: badge._id, name: badge.name, icon: badge.icon } }
+      });
+      expired += 1;
+    }
+  }
+
+  return expired;
+};
@@ -0,0 +1,32 @@
+import { purgeDeletedAccounts } from './accountDeletion.js';
+import { deliverDeferredNotifications, sendDailyDigests, notifyStreaksAtRisk } from './notifications.js';
+import { expireBadges, sendRecertificationPrompts } from './badges.js';
+import { closeExpiredQuizAttempts } from './quizzes.js';
+
+// Background jobs run on simple in-process intervals
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const schedule = (name, task, intervalMs) => {
+  const run = async () => {
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+export const startJobs = () => {
+  schedule('purgeDeletedAccounts', purgeDeletedAccounts, HOUR_MS);
+  schedule('deliverDeferredNotifications', deliverDeferredNotifications, 5 * MINUTE_MS);
+  schedule('sendDailyDigests', sendDailyDigests, HOUR_MS);
+  schedule('notifyStreaksAtRisk', notifyStreaksAtRisk, HOUR_MS);
+  schedule('expireBadges', expireBadges, HOUR_MS);
+  schedule('sendRecertificationPrompts', sendRecertificationPrompts, HOUR_MS);
+  schedule('closeExpiredQuizAttempts', closeExpiredQuizAttempts, 5 * MINUTE_MS);
+};
@@ -0,0 +1,145 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { notify, deliverPending, isQuietNow } from '../services/notifications.js';
+import { sendNotificationDigestEmail } from '../utils/email.js';
+import { getLocalTime } from '../utils/timezone.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DIGEST_MAX_ITEMS = 50;
+const DEFERRED_BATCH_SIZE = 500;
+const STREAK_REMINDER_HOUR = 18; // local time
+
+const USER_FIELDS = 'name email phone phoneVerified preferences isActive';
+
+// Send email/SMS that were held back by quiet hours
+export const deliverDeferredNotifications = async () => {
+  // Skip very recent items - notify() is still delivering those itself
+  const cutoff = new Date(Date.now() - 5 * 60 * 1000);
+  const users = new Map();
+  let delivered = 0;
+  let lastId = null;
+
+  // Page through every pending item by _id, so items still held for users in quiet
+  // hours never crowd out the ones that can go now
+  for (;;) {
+    const notifications = await Notification.find({
+      $or: [{ 'channels.email.status': 'pending' }, { 'channels.sms.status': 'pending' }],
+      createdAt: { $lt: cutoff },
+      ...(lastId && { _id: { $gt: lastId } })
+    })
+      .sort('_id')
+      .limit(DEFERRED_BATCH_SIZE);
+
+    for (const notification of notifications) {
+      const key = notification.userId.toString();
+      if (!users.has(key)) {
+        users.set(key, await User.findById(notification.userId).select(USER_FIELDS));
+      }
+
+      const user = users.get(key);
+      if (!user || !user.isActive) {
+        for (const channel of ['email', 'sms']) {
+          if (notification.channels[channel].status === 'pending') {
+            notification.channels[channel].status = 'skipped';
+          }
+        }
+        await notification.save();
+        continue;
+      }
+
+      if (isQuietNow(user)) continue;
+
+      await deliverPending(notification, user);
+      delivered += 1;
+    }
+
+    if (notifications.length < DEFERRED_BATCH_SIZE) break;
+    lastId = notifications[notifications.length - 1]._id;
+  }
+
+  return delivered;
+};
+
+// Email each user one digest of their low-priority notifications at their chosen local hour
+export const sendDailyDigests = async () => {
+  const userIds = await Notification.distinct('userId', { 'channels.email.status': 'digest' });
+  let sent = 0;
+
+  for (const userId of userIds) {
+    try {
+      const user = await User.findById(userId).select(USER_FIELDS);
+      const items = await Notification.find({ userId, 'channels.email.status': 'digest' })
+        .sort('createdAt')
+        .limit(DIGEST_MAX_ITEMS);
+
+      if (!user || !user.isActive) {
+        await Notification.updateMany(
+          { userId, 'channels.email.status': 'digest' },
+          { 'channels.email.status': 'skipped' }
+        );
+        continue;
+      }
+
+      // Send at the chosen hour, or anyway once the oldest item is more than a day old
+      const digest = user.preferences?.digest || {};
+      const { hour } = getLocalTime(new Date(), user.preferences?.timezone);
+      const atDigestHour = hour === (digest.hour ?? 8);
+      const overdue = items[0] && Date.now() - items[0].createdAt.getTime() > 26 * HOUR_MS;
+      const sentRecently = digest.lastSentAt && Date.now() - digest.lastSentAt.getTime() < 20 * HOUR_MS;
+
+      if (items.length === 0 || sentRecently || !(atDigestHour || overdue) || isQuietNow(user)) {
+        continue;
+      }
+
+      await sendNotificationDigestEmail(user, items);
+
+      await Notification.updateMany(
+        { _id: { $in: items.map(item => item._id) } },
+        { 'channels.email.status': 'sent', 'channels.email.sentAt': new Date() }
+      );
+      await User.updateOne({ _id: user._id }, { 'preferences.digest.lastSentAt': new Date() });
+      sent += 1;
+    } catch (error) {
+      console.error(`Digest for ${userId} failed:`, error);
+    }
+  }
+
+  return sent;
+};
+
+// Remind users in the evening when yesterday was their last active day
+export const notifyStreaksAtRisk = async () => {
+  const now = new Date();
+  const candidates = await User.find({
+    isActive: true,
+    'streak.current': { $gte: 1 },
+    'streak.lastActivityDate': { $gte: new Date(now - 48 * HOUR_MS), $lt: new Date(now - 12 * HOUR_MS) }
+  }).select('preferences streak');
+
+  let reminded = 0;
+
+  for (const user of candidates) {
+    const timezone = user.preferences?.timezone;
+    const local = getLocalTime(now, timezone);
+    const yesterday = getLocalTime(new Date(now - 24 * HOUR_MS), timezone).dateKey;
+    const lastActive = getLocalTime(user.streak.lastActivityDate, timezone).dateKey;
+    const remindedToday = user.streak.lastReminderAt
+      && getLocalTime(user.streak.lastReminderAt, timezone).dateKey === local.dateKey;
+
+    if (local.hour !== STREAK_REMINDER_HOUR || lastActive !== yesterday || remindedToday) {
+      continue;
+    }
+
+    await User.updateOne({ _id: user._id }, { 'streak.lastReminderAt': now });
+    await notify(user._id, {
+      type: 'streak_at_risk',
+      title: 'Your streak is at risk',
+      message: `Complete a lesson or gig today to keep your ${user.streak.current}-day streak.`,
+      link: '/dashboard',
+      data: { streak: user.streak.current }
+    });
+    reminded += 1;
+  }
+
+  return reminded;
+};
@@ -0,0 +1,29 @@
+import Progress from '../models/Progress.js';
+import Course from '../models/Course.js';
+import User from '../models/User.js';
+import { SUBMIT_GRACE_MS, submitQuizAttempt } from '../services/quizzes.js';
+
+// Grade attempts whose time ran out without being submitted, using their autosaved answers
+export const closeExpiredQuizAttempts = async () => {
+  const cutoff = new Date(Date.now() - SUBMIT_GRACE_MS);
+  const records = await Progress.find({
+    quizAttempts: { $elemMatch: { status: 'in-progress', expiresAt: { $lt: cutoff } } }
+  });
+
+  let closed = 0;
+
+  for (const progress of records) {
+    const attempt = progress.getOpenQuizAttempt();
+    const [course, user] = await Promise.all([
+      Course.findById(progress.courseId),
+      User.findById(progress.userId)
+    ]);
+    if (!attempt || !course?.quiz || !user) continue;
+
+    if (await submitQuizAttempt({ course, progress, user, attempt })) {
+      closed += 1;
+    }
+  }
+
+  return closed;
+};
@@ -1,5 +1,19 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { can, needsBusinessVerification } from '../utils/policy.js';
+
+// Load the server-side session referenced by a decoded access token
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive || session.userId.toString() !== decoded.id) {
+    return null;
+  }
+
+  return session;
+};
 
 // Verify JWT token
 export const auth = async (req, res, next) => {
@@ -14,6 +28,15 @@ export const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has been revoked or expired' 
+      });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user) {
@@ -30,7 +53,10 @@ export const auth = async (req, res, next) => {
       });
     }
 
+    await session.touch(req.ip);
+
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -56,8 +82,60 @@ export const auth = async (req, res, next) => {
   }
 };
 
+// Socket.IO handshake authentication: the access token comes from
+// `auth.token` in the client options or the Authorization header
+export const socketAuth = async (socket, next) => {
+  const reject = (message) => {
+    const error = new Error(message);
+    error.data = { status: 401 };
+    next(error);
+  };
+
+  try {
+    const token = socket.handshake.auth?.token
+      || socket.handshake.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return reject('No token provided, authorization denied');
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      return reject('Session has been revoked or expired');
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user || !user.isActive) {
+      return reject('Token is not valid');
+    }
+
+    socket.data.user = user;
+    socket.data.sessionId = session._id.toString();
+    next();
+  } catch (error) {
+    reject('Token is not valid');
+  }
+};
+
+// Reject sessions that have not completed two-factor verification
+const checkTwoFactor = (req, res, options) => {
+  if (options.require2FA && !req.authSession?.twoFactorVerified) {
+    res.status(403).json({ 
+      success: false, 
+      message: 'Two-factor authentication required for this action',
+      twoFactorRequired: true
+    });
+    return false;
+  }
+  return true;
+};
+
 // Role-based authorization middleware
+// A trailing options object is supported: authorize('admin', { require2FA: true })
 export const authorize = (...roles) => {
+  const options = typeof roles[roles.length - 1] === 'object' ? roles.pop() : {};
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ 
@@ -73,6 +151,41 @@ export const authorize = (...roles) => {
       });
     }
 
+    if (!checkTwoFactor(req, res, options)) return;
+
+    next();
+  };
+};
+
+// Policy-based authorization for actions that don't depend on a loaded resource,
+// e.g. permit('gig:create') or permit('badge:create', { require2FA: true }).
+// Resource-level checks call can(req.user, action, resource) in the route handler.
+export const permit = (action, options = {}) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Authentication required' 
+      });
+    }
+
+    if (!can(req.user, action)) {
+      if (needsBusinessVerification(req.user, action)) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'Your business account must be verified before you can do this',
+          verificationRequired: true
+        });
+      }
+
+      return res.status(403).json({ 
+        success: false, 
+        message: `Access denied. Missing permission: ${action}` 
+      });
+    }
+
+    if (!checkTwoFactor(req, res, options)) return;
+
     next();
   };
 };
@@ -84,10 +197,13 @@ export const optionalAuth = async (req, res, next) => {
     
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
+      const session = await findActiveSession(decoded);
+      const user = session && await User.findById(decoded.id).select('-password');
       
       if (user && user.isActive) {
+        await session.touch(req.ip);
         req.user = user;
+        req.authSession = session;
       }
     }
     
@@ -98,15 +214,6 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Admin only middleware
-export const adminOnly = authorize('admin');
-
-// Business or admin middleware
-export const businessOrAdmin = authorize('business', 'admin');
-
-// Learner, business, or admin middleware (basically any authenticated user)
-export const authenticatedUser = authorize('learner', 'business', 'admin');
-
 // Check if user owns resource or is admin
 export const ownerOrAdmin = (getOwnerId) => {
   return async (req, res, next) => {
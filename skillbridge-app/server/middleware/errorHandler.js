@@ -80,11 +80,17 @@ export const errorHandler = (err, req, res, next) => {
     error = new AppError(message, 400);
   }
 
+  // Tell clients when they may retry
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
   // Send error response
   res.status(error.statusCode || 500).json({
     success: false,
     error: {
       message: error.message || 'Server Error',
+      ...(error.retryAfter && { retryAfter: error.retryAfter }),
       ...(process.env.NODE_ENV === 'development' && {
         stack: err.stack,
         name: err.name,
@@ -148,9 +154,13 @@ export const createConflictError = (message = 'Conflict') => {
   return new AppError(message, 409);
 };
 
-// Rate limit error helper
-export const createRateLimitError = (message = 'Rate limit exceeded') => {
-  return new AppError(message, 429);
+// Rate limit error helper (retryAfter in seconds)
+export const createRateLimitError = (message = 'Rate limit exceeded', retryAfter = null) => {
+  const error = new AppError(message, 429);
+  if (retryAfter) {
+    error.retryAfter = retryAfter;
+  }
+  return error;
 };
 
 // File upload error helper
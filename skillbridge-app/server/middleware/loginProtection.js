@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import AuditLog from '../models/AuditLog.js';
+import User from '../models/User.js';
+import { createRateLimitError } from './errorHandler.js';
+import { sendTemplate, clientUrl } from '../utils/email.js';
+
+// Failed-login tracking: exponential backoff per IP and per account,
+// plus a temporary account lockout with an unlock email. Emails without an
+// account back off and lock the same way, so lockouts do not reveal which
+// accounts exist. An account's failures start over once its lock expires or
+// after a quiet window, so one late typo does not re-lock it.
+
+const IP_BACKOFF_AFTER = 10;       // failures from one IP before backoff starts
+const IP_WINDOW_MS = 60 * 60 * 1000; // failures older than this are forgotten
+const ACCOUNT_BACKOFF_AFTER = 3;   // failures on one account before backoff starts
+const ACCOUNT_LOCK_AFTER = 10;     // failures on one account before lockout
+const ACCOUNT_WINDOW_MS = 60 * 60 * 1000; // account failures older than this are forgotten
+const LOCK_MINUTES = 30;
+const MAX_BACKOFF_SECONDS = 15 * 60;
+
+const ipFailures = new Map();
+const unknownAccountFailures = new Map();
+
+const MAX_TRACKED_ENTRIES = 10000;
+
+// Key for an email that has no account
+const emailKey = (email) => String(email || '').trim().toLowerCase();
+
+// Drop entries whose last failure is older than the window, keeping the in-memory maps bounded
+const pruneStale = (map, getLastFailedAt) => {
+  if (map.size <= MAX_TRACKED_ENTRIES) return;
+  for (const [key, entry] of map) {
+    if (Date.now() - getLastFailedAt(entry) > IP_WINDOW_MS) map.delete(key);
+  }
+};
+
+// Seconds to wait after `failures` failures, doubling past the threshold
+const getBackoffSeconds = (failures, threshold) => {
+  if (failures < threshold) return 0;
+  return Math.min(2 ** (failures - threshold), MAX_BACKOFF_SECONDS);
+};
+
+// Failures that still count against an account: none once its lock has expired
+// or its last failure is older than the window
+const getActiveFailures = (security, now = new Date()) => {
+  if (!security?.lastFailedAt) return 0;
+  if (security.lockedUntil && security.lockedUntil <= now) return 0;
+  if (now - security.lastFailedAt > ACCOUNT_WINDOW_MS) return 0;
+  return security.failedAttempts || 0;
+};
+
+// Seconds until the given moment (rounded up, at least 1)
+const secondsUntil = (date) => Math.max(1, Math.ceil((date - Date.now()) / 1000));
+
+// Reject login attempts from an IP that is currently backing off
+export const loginRateGuard = (req, res, next) => {
+  const entry = ipFailures.get(req.ip);
+
+  if (entry) {
+    if (Date.now() - entry.lastFailedAt > IP_WINDOW_MS) {
+      ipFailures.delete(req.ip);
+    } else {
+      const waitSeconds = getBackoffSeconds(entry.count, IP_BACKOFF_AFTER);
+      const retryAt = new Date(entry.lastFailedAt + waitSeconds * 1000);
+
+      if (waitSeconds > 0 && retryAt > new Date()) {
+        return next(createRateLimitError(
+          'Too many failed login attempts from this network. Please try again later.',
+          secondsUntil(retryAt)
+        ));
+      }
+    }
+  }
+
+  next();
+};
+
+// Error to return if the account (or, without a user, the email) is locked or backing off, otherwise null
+export const checkAccountLock = (user, email) => {
+  const security = user ? user.loginSecurity : unknownAccountFailures.get(emailKey(email));
+
+  if (security?.lockedUntil && security.lockedUntil > new Date()) {
+    return createRateLimitError(
+      'Account temporarily locked after too many failed login attempts. Check your email to unlock it.',
+      secondsUntil(security.lockedUntil)
+    );
+  }
+
+  const waitSeconds = getBackoffSeconds(getActiveFailures(security), ACCOUNT_BACKOFF_AFTER);
+  if (waitSeconds > 0) {
+    const retryAt = new Date(security.lastFailedAt.getTime() + waitSeconds * 1000);
+    if (retryAt > new Date()) {
+      return createRateLimitError(
+        'Too many failed login attempts. Please wait before trying again.',
+        secondsUntil(retryAt)
+      );
+    }
+  }
+
+  return null;
+};
+
+// Count a failure for an email without an account, locking it past the limit like a real one
+const recordUnknownAccountFailure = (email) => {
+  pruneStale(unknownAccountFailures, entry => entry.lastFailedAt.getTime());
+
+  const key = emailKey(email);
+  const now = new Date();
+  const previous = unknownAccountFailures.get(key);
+  const entry = { failedAttempts: getActiveFailures(previous, now) + 1, lastFailedAt: now };
+  if (previous?.lockedUntil > now) {
+    entry.lockedUntil = previous.lockedUntil;
+  } else if (entry.failedAttempts >= ACCOUNT_LOCK_AFTER) {
+    entry.lockedUntil = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+  }
+  unknownAccountFailures.set(key, entry);
+};
+
+// Record a failed attempt for the IP and the account (or the email when there is no account).
+// The account counter is incremented atomically (restarting it the same way as
+// getActiveFailures), so concurrent attempts cannot slip past the limit; only the attempt
+// that sets the lock sends the unlock email. Returns { locked }.
+export const recordFailedLogin = async (req, user = null, email = req.body?.email) => {
+  pruneStale(ipFailures, entry => entry.lastFailedAt);
+
+  const entry = ipFailures.get(req.ip) || { count: 0, lastFailedAt: 0 };
+  entry.count += 1;
+  entry.lastFailedAt = Date.now();
+  ipFailures.set(req.ip, entry);
+
+  if (!user) {
+    recordUnknownAccountFailure(email);
+    return { locked: false };
+  }
+
+  const now = new Date();
+  const lockExpired = {
+    $and: [
+      { $gt: ['$loginSecurity.lockedUntil', null] },
+      { $lte: ['$loginSecurity.lockedUntil', now] }
+    ]
+  };
+  const windowPassed = {
+    $lt: [{ $ifNull: ['$loginSecurity.lastFailedAt', new Date(0)] }, new Date(now.getTime() - ACCOUNT_WINDOW_MS)]
+  };
+  const counted = await User.findOneAndUpdate(
+    { _id: user._id },
+    [{
+      $set: {
+        'loginSecurity.failedAttempts': {
+          $add: [{ $cond: [{ $or: [lockExpired, windowPassed] }, 0, { $ifNull: ['$loginSecurity.failedAttempts', 0] }] }, 1]
+        },
+        'loginSecurity.lastFailedAt': now,
+        'loginSecurity.lockedUntil': { $cond: [lockExpired, '$$REMOVE', '$loginSecurity.lockedUntil'] }
+      }
+    }],
+    { new: true }
+  ).select('name email loginSecurity');
+
+  if (!counted || counted.loginSecurity.failedAttempts < ACCOUNT_LOCK_AFTER) {
+    return { locked: false };
+  }
+
+  // Lock the account (unless a concurrent attempt already did) and email a one-time unlock link
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  const lockedUntil = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+  const locked = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      $or: [
+        { 'loginSecurity.lockedUntil': { $exists: false } },
+        { 'loginSecurity.lockedUntil': null },
+        { 'loginSecurity.lockedUntil': { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        'loginSecurity.lockedUntil': lockedUntil,
+        'loginSecurity.unlockToken': crypto.createHash('sha256').update(unlockToken).digest('hex'),
+        'loginSecurity.unlockTokenExpire': lockedUntil
+      },
+      $inc: { 'loginSecurity.lockCount': 1 }
+    },
+    { new: true }
+  ).select('name email loginSecurity');
+
+  if (!locked) {
+    return { locked: true };
+  }
+
+  await AuditLog.record({
+    action: 'account_locked',
+    userId: user._id,
+    req,
+    metadata: {
+      failedAttempts: locked.loginSecurity.failedAttempts,
+      lockedUntil
+    }
+  });
+
+  sendTemplate(locked.email, 'accountLocked', {
+    name: locked.name,
+    unlockUrl: clientUrl(`/unlock-account/${unlockToken}`),
+    lockMinutes: LOCK_MINUTES
+  }).catch(error => console.error('Unlock email error:', error));
+
+  return { locked: true };
+};
+
+// Clear the account's failure counters after a successful login
+export const recordSuccessfulLogin = async (user) => {
+  const security = user.loginSecurity;
+  if (!security.failedAttempts && !security.lockedUntil) return;
+
+  security.failedAttempts = 0;
+  security.lastFailedAt = undefined;
+  security.lockedUntil = undefined;
+  await user.save({ validateBeforeSave: false });
+};
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // User the entry is about
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // User who performed the action (null for system actions)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Request context
+  ip: String,
+  userAgent: String,
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Create indexes
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index(
+  { 'metadata.phoneHash': 1, createdAt: -1 },
+  { partialFilterExpression: { action: 'phone_code_sent' } }
+);
+
+// Static method to record an entry (never fails the calling request)
+auditLogSchema.statics.record = async function({ action, userId, actorId, req, metadata }) {
+  try {
+    return await this.create({
+      action,
+      userId,
+      actorId,
+      ip: req?.ip,
+      userAgent: req?.header('User-Agent'),
+      metadata
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+export default mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { evaluateCriteriaExpression, validateCriteriaExpression } from '../utils/criteriaExpression.js';
 
 const criteriaSchema = new mongoose.Schema({
   type: {
@@ -7,8 +8,14 @@ const criteriaSchema = new mongoose.Schema({
     required: true
   },
   value: {
-    type: mongoose.Schema.Types.Mixed, // Can be number, string, or object
-    required: true
+    type: mongoose.Schema.Types.Mixed, // Can be number, string, or object (custom: expression string)
+    required: true,
+    validate: {
+      validator: function(value) {
+        return this.type !== 'custom' || validateCriteriaExpression(value) === null;
+      },
+      message: props => `Invalid custom criteria: ${validateCriteriaExpression(props.value)}`
+    }
   },
   description: {
     type: String,
@@ -16,6 +23,18 @@ const criteriaSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Whether a user's badge entry is currently valid
+export const isBadgeEntryActive = (entry, now = new Date()) => {
+  return (entry.status || 'active') === 'active' && (!entry.expiresAt || entry.expiresAt > now);
+};
+
+// Course details used by custom criteria, keyed by course id (all courses when no user is given)
+export const loadCriteriaCourses = async (user = null) => {
+  const query = user ? { _id: { $in: user.enrolledCourses.map(c => c.courseId) } } : {};
+  const courses = await mongoose.model('Course').find(query).select('skillTag category tags').lean();
+  return new Map(courses.map(course => [course._id.toString(), course]));
+};
+
 const badgeSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -104,6 +123,20 @@ const badgeSchema = new mongoose.Schema({
     default: 100,
     min: 0
   },
+  
+  // Validity of each award; badges without validityMonths never expire
+  validityMonths: {
+    type: Number,
+    min: [1, 'Validity must be at least 1 month']
+  },
+  recertification: {
+    // Holders are prompted to re-certify (e.g. retake the course quiz) this long before expiry
+    reminderDays: {
+      type: Number,
+      default: 30,
+      min: 1
+    }
+  },
   privileges: [{
     type: String,
     enum: ['early_access', 'special_gigs', 'course_discount', 'priority_support', 'mentor_access']
@@ -236,7 +269,8 @@ badgeSchema.virtual('cssColors').get(function() {
 });
 
 // Method to check if user meets criteria
-badgeSchema.methods.checkEligibility = async function(user) {
+// (options.courses may carry a preloaded course map for custom criteria, see loadCriteriaCourses)
+badgeSchema.methods.checkEligibility = async function(user, options = {}) {
   if (!this.isActive) return { eligible: false, reason: 'Badge is not active' };
   
   // Check availability period
@@ -248,9 +282,11 @@ badgeSchema.methods.checkEligibility = async function(user) {
     return { eligible: false, reason: 'Badge availability has expired' };
   }
   
-  // Check prerequisites
+  // Check prerequisites (only badges that are currently valid count)
   if (this.prerequisites.length > 0) {
-    const userBadges = user.badges.map(b => b.badgeId.toString());
+    const userBadges = user.badges
+      .filter(b => isBadgeEntryActive(b, now))
+      .map(b => b.badgeId.toString());
     const hasAllPrerequisites = this.prerequisites.every(prereq => 
       userBadges.includes(prereq.toString())
     );
@@ -260,15 +296,18 @@ badgeSchema.methods.checkEligibility = async function(user) {
     }
   }
   
-  // Check if user already has this badge
-  const alreadyHas = user.badges.some(b => b.badgeId.toString() === this._id.toString());
-  if (alreadyHas) {
+  // Check if user already has this badge (expired or expiring awards can be re-earned)
+  const existing = user.badges.find(b => b.badgeId.toString() === this._id.toString());
+  if (existing?.status === 'revoked') {
+    return { eligible: false, reason: 'Badge was revoked' };
+  }
+  if (existing && !this.isRenewable(existing, now)) {
     return { eligible: false, reason: 'Badge already earned' };
   }
   
   // Check each criterion
   for (const criterion of this.criteria) {
-    const meetsThis = await this.checkCriterion(user, criterion);
+    const meetsThis = await this.checkCriterion(user, criterion, options);
     if (!meetsThis.meets) {
       return { eligible: false, reason: meetsThis.reason, progress: meetsThis.progress };
     }
@@ -278,7 +317,7 @@ badgeSchema.methods.checkEligibility = async function(user) {
 };
 
 // Method to check individual criterion
-badgeSchema.methods.checkCriterion = async function(user, criterion) {
+badgeSchema.methods.checkCriterion = async function(user, criterion, options = {}) {
   switch (criterion.type) {
     case 'course_completion':
       if (typeof criterion.value === 'string') {
@@ -343,6 +382,23 @@ badgeSchema.methods.checkCriterion = async function(user, criterion) {
         progress: Math.min((user.streak.current / criterion.value) * 100, 100)
       };
       
+    case 'custom': {
+      const courses = options.courses || await loadCriteriaCourses(user);
+      let meets = false;
+      
+      try {
+        meets = evaluateCriteriaExpression(criterion.value, { user, courses });
+      } catch (error) {
+        return { meets: false, reason: `Custom criteria error: ${error.message}`, progress: 0 };
+      }
+      
+      return {
+        meets,
+        reason: meets ? 'Custom criteria met' : `Custom criteria not met: ${criterion.description || criterion.value}`,
+        progress: meets ? 100 : 0
+      };
+    }
+      
     default:
       return { meets: false, reason: 'Unknown criterion type', progress: 0 };
   }
@@ -350,15 +406,75 @@ badgeSchema.methods.checkCriterion = async function(user, criterion) {
   return { meets: false, reason: 'Criterion check failed', progress: 0 };
 };
 
-// Method to award badge to user
+// Method to get the expiry date of an award made at `from` (null when awards never expire)
+badgeSchema.methods.getExpiryDate = function(from = new Date()) {
+  if (!this.validityMonths) return null;
+  
+  const expiresAt = new Date(from);
+  expiresAt.setMonth(expiresAt.getMonth() + this.validityMonths);
+  return expiresAt;
+};
+
+// Method to get how long before expiry re-certification opens
+badgeSchema.methods.getRecertificationWindowMs = function() {
+  return (this.recertification?.reminderDays || 30) * 24 * 60 * 60 * 1000;
+};
+
+// Method to get the start of the re-certification window for an award expiring at `expiresAt`
+badgeSchema.methods.getRecertificationDate = function(expiresAt) {
+  return new Date(new Date(expiresAt).getTime() - this.getRecertificationWindowMs());
+};
+
+// Method to check whether a user's award can be renewed (expired, or inside the re-certification window)
+badgeSchema.methods.isRenewable = function(entry, now = new Date()) {
+  if (entry.status === 'expired') return true;
+  if (entry.status === 'revoked' || !entry.expiresAt) return false;
+  return this.getRecertificationDate(entry.expiresAt) <= now;
+};
+
+// Method to award badge to user (or renew an expired/expiring award)
 badgeSchema.methods.awardToUser = async function(user, courseId = null) {
   const eligibility = await this.checkEligibility(user);
   if (!eligibility.eligible) {
     throw new Error(eligibility.reason);
   }
   
-  // Add badge to user
-  await user.addBadge(this._id, courseId);
+  const now = new Date();
+  const expiresAt = this.getExpiryDate(now);
+  const User = user.constructor;
+  
+  // Add badge to user - the conditional update keeps concurrent awards from duplicating it
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, 'badges.badgeId': { $ne: this._id } },
+    { $push: { badges: { badgeId: this._id, courseId, earnedAt: now, expiresAt, status: 'active' } } }
+  );
+  
+  if (modifiedCount === 0) {
+    // Re-certification restarts the validity period; no XP for renewals
+    const renewal = await User.updateOne(
+      {
+        _id: user._id,
+        badges: {
+          $elemMatch: {
+            badgeId: this._id,
+            $or: [
+              { status: 'expired' },
+              { status: 'active', expiresAt: { $lte: new Date(now.getTime() + this.getRecertificationWindowMs()) } }
+            ]
+          }
+        }
+      },
+      {
+        $set: { 'badges.$.status': 'active', 'badges.$.expiresAt': expiresAt, 'badges.$.renewedAt': now },
+        $unset: { 'badges.$.recertificationPromptedAt': '' }
+      }
+    );
+    
+    if (renewal.modifiedCount === 0) {
+      return { success: false, xpAwarded: 0, reason: 'Badge already earned' };
+    }
+    return { success: true, renewed: true, xpAwarded: 0, expiresAt };
+  }
   
   // Award XP
   if (this.xpReward > 0) {
@@ -366,10 +482,10 @@ badgeSchema.methods.awardToUser = async function(user, courseId = null) {
   }
   
   // Increment earned count
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { earnedCount: 1 } });
   this.earnedCount += 1;
-  await this.save();
   
-  return { success: true, xpAwarded: this.xpReward };
+  return { success: true, renewed: false, xpAwarded: this.xpReward, expiresAt };
 };
 
 // Static method to find badges by category
@@ -436,8 +552,10 @@ badgeSchema.statics.searchBadges = function(query, filters = {}) {
 
 // Static method to get user's next badges (recommendations)
 badgeSchema.statics.getRecommendedForUser = async function(user, limit = 5) {
-  // Get badges user doesn't have yet
-  const userBadgeIds = user.badges.map(b => b.badgeId.toString());
+  // Get badges user doesn't have yet (expired awards can be earned again)
+  const userBadgeIds = user.badges
+    .filter(b => b.status !== 'expired')
+    .map(b => b.badgeId.toString());
   
   const recommendations = await this.find({
     _id: { $nin: userBadgeIds },
@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+import { buildCredential, hashRecipient, signCredential } from '../utils/openBadges.js';
+
+// Recipient details are only kept until the recipient's account is purged
+function isIssued() {
+  return !this.anonymizedAt;
+}
+
+// A badge issued as a portable Open Badges 3.0 credential (see utils/openBadges.js)
+const badgeAssertionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  badgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Badge',
+    required: true
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  earnedAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: Date,
+
+  // Salted email hash identifying the recipient inside the credential
+  recipient: {
+    identityHash: { type: String, required: isIssued },
+    salt: { type: String, required: isIssued }
+  },
+
+  // Signed OpenBadgeCredential (JSON-LD) and its VC-JWT form.
+  // Once the recipient's account is purged only the credential id is kept.
+  credential: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  jwt: {
+    type: String,
+    required: isIssued
+  },
+  anonymizedAt: Date,
+
+  // Revocation
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Revocation reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+badgeAssertionSchema.index(
+  { userId: 1, badgeId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+badgeAssertionSchema.index({ status: 1, revokedAt: -1 });
+
+// Virtual for the hosted credential URL
+badgeAssertionSchema.virtual('url').get(function() {
+  return this.credential?.id;
+});
+
+// Method to revoke the credential (it stays hosted and is listed as revoked)
+badgeAssertionSchema.methods.revoke = async function(revoker, reason = '') {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedBy = revoker?._id;
+  this.revocationReason = reason;
+  return this.save();
+};
+
+// Static method to return the user's active credential for an earned badge, issuing it on first request.
+// Returns null when the user does not currently hold the badge.
+badgeAssertionSchema.statics.findOrIssue = async function(user, badge) {
+  const existing = await this.findOne({ userId: user._id, badgeId: badge._id, status: 'active' });
+  if (existing) return existing;
+
+  const earned = user.getActiveBadges().find(b => b.badgeId.toString() === badge._id.toString());
+  if (!earned) return null;
+
+  const assertion = new this({
+    userId: user._id,
+    badgeId: badge._id,
+    courseId: earned.courseId,
+    earnedAt: earned.renewedAt || earned.earnedAt || new Date(),
+    expiresAt: earned.expiresAt,
+    recipient: hashRecipient(user.email)
+  });
+  assertion.credential = buildCredential({ assertion, badge, user });
+  assertion.jwt = signCredential(assertion.credential);
+
+  try {
+    return await assertion.save();
+  } catch (error) {
+    // Issued concurrently by another request
+    if (error.code === 11000) {
+      return this.findOne({ userId: user._id, badgeId: badge._id, status: 'active' });
+    }
+    throw error;
+  }
+};
+
+// Static method to revoke every active credential of a user (optionally for one badge)
+badgeAssertionSchema.statics.revokeForUser = function(userId, reason, { badgeId, revokedBy } = {}) {
+  return this.updateMany(
+    { userId, status: 'active', ...(badgeId && { badgeId }) },
+    { status: 'revoked', revokedAt: new Date(), revocationReason: reason, revokedBy }
+  );
+};
+
+// Static method to revoke a deleted user's credentials and strip everything but their ids,
+// so the hosted copies and the revocation list no longer name or identify the recipient
+badgeAssertionSchema.statics.anonymizeForUser = async function(userId, reason) {
+  await this.revokeForUser(userId, reason);
+
+  return this.updateMany(
+    { userId, anonymizedAt: { $exists: false } },
+    [
+      { $set: { credential: { id: '$credential.id' }, anonymizedAt: '$$NOW' } },
+      { $unset: ['jwt', 'recipient'] }
+    ]
+  );
+};
+
+export default mongoose.model('BadgeAssertion', badgeAssertionSchema);
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+const documentSchema = new mongoose.Schema({
+  originalName: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  mimetype: String,
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const businessApplicationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Business details submitted by the applicant
+  businessName: {
+    type: String,
+    required: [true, 'Business name is required'],
+    trim: true,
+    maxlength: [100, 'Business name cannot exceed 100 characters']
+  },
+  businessType: {
+    type: String,
+    required: [true, 'Business type is required'],
+    enum: ['restaurant', 'retail', 'services', 'technology', 'healthcare', 'education', 'agriculture', 'construction', 'other']
+  },
+  businessDescription: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Business description cannot exceed 500 characters']
+  },
+  registrationNumber: {
+    type: String,
+    trim: true
+  },
+
+  // Supporting documents (registration certificate, permits, ID)
+  documents: [documentSchema],
+
+  // Review
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review notes cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+businessApplicationSchema.index({ status: 1, createdAt: 1 });
+businessApplicationSchema.index({ userId: 1, createdAt: -1 });
+
+// Method to record a review decision and update the applicant's account
+businessApplicationSchema.methods.review = async function(reviewer, status, notes = '') {
+  this.status = status;
+  this.reviewedBy = reviewer._id;
+  this.reviewedAt = new Date();
+  this.reviewNotes = notes;
+  await this.save();
+
+  const User = mongoose.model('User');
+  const user = await User.findById(this.userId);
+  if (!user) return null;
+
+  if (status === 'approved') {
+    if (user.role !== 'admin') {
+      user.role = 'business';
+    }
+    user.verified = true;
+    user.businessName = this.businessName;
+    user.businessType = this.businessType;
+    user.businessDescription = this.businessDescription;
+    await user.save({ validateBeforeSave: false });
+  }
+
+  return user;
+};
+
+// Static method to find the applicant's open application
+businessApplicationSchema.statics.findPendingForUser = function(userId) {
+  return this.findOne({ userId, status: 'pending' });
+};
+
+export default mongoose.model('BusinessApplication', businessApplicationSchema);
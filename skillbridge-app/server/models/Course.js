@@ -1,4 +1,65 @@
 import mongoose from 'mongoose';
+import { QUESTION_TYPES, validateQuestion, validateRubric } from '../utils/questionTypes.js';
+
+// Rubric criterion for manually graded answers and assignments
+export const rubricCriterionSchema = new mongoose.Schema({
+  criterion: {
+    type: String,
+    required: [true, 'Rubric criterion is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  points: {
+    type: Number,
+    required: [true, 'Rubric criterion points are required'],
+    min: 0
+  }
+});
+
+// File-upload assignment, graded by the instructor (content.type 'assignment')
+const assignmentSchema = new mongoose.Schema({
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Assignment instructions cannot exceed 5000 characters']
+  },
+  allowedTypes: [String], // MIME types; defaults to PDF and images
+  maxFiles: {
+    type: Number,
+    default: 3,
+    min: 1,
+    max: 10
+  },
+  maxSizeMB: {
+    type: Number,
+    default: 10,
+    min: 1,
+    max: 25
+  },
+  points: {
+    type: Number,
+    default: 100,
+    min: 1
+  },
+  passingScore: {
+    type: Number, // percentage of points
+    default: 50,
+    min: 0,
+    max: 100
+  },
+  rubric: {
+    type: [rubricCriterionSchema],
+    validate: {
+      validator: function(rubric) {
+        return validateRubric(rubric, this.points) === null;
+      },
+      message: 'Rubric points must add up to the assignment points'
+    }
+  }
+}, { _id: false });
 
 const moduleSchema = new mongoose.Schema({
   title: {
@@ -25,7 +86,7 @@ const moduleSchema = new mongoose.Schema({
   content: {
     type: {
       type: String,
-      enum: ['video', 'article', 'interactive', 'quiz'],
+      enum: ['video', 'article', 'interactive', 'quiz', 'assignment'],
       required: true
     },
     url: {
@@ -42,6 +103,7 @@ const moduleSchema = new mongoose.Schema({
       type: { type: String, enum: ['pdf', 'link', 'image', 'video'] }
     }]
   },
+  assignment: assignmentSchema,
   xpReward: {
     type: Number,
     default: 50,
@@ -57,6 +119,76 @@ const moduleSchema = new mongoose.Schema({
   }]
 }, { timestamps: true });
 
+// Quiz question; also the shape of question bank items (see QuestionBank.js).
+// What each type needs is described and checked in utils/questionTypes.js.
+export const questionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'multiple-choice',
+    // Check the fields the question type needs
+    validate: {
+      validator: function() {
+        const message = validateQuestion(this);
+        if (message) throw new Error(message);
+        return true;
+      },
+      message: props => props.reason?.message || 'Invalid question'
+    }
+  },
+  options: [{
+    text: { type: String, required: true },
+    isCorrect: { type: Boolean, default: false }
+  }], // Choices, or the items of an ordering question in their correct order
+  pairs: [{
+    left: { type: String, required: true, trim: true },
+    right: { type: String, required: true, trim: true }
+  }], // For matching
+  correctAnswer: String, // For fill-blank and short-answer
+  acceptedAnswers: [{ type: String, trim: true }], // Alternative correct answers
+  answerPattern: String, // Regex the whole answer must match
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  numericAnswer: Number, // For numeric
+  tolerance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Multi-select, ordering and matching score each correct part; off means all or nothing
+  partialCredit: {
+    type: Boolean,
+    default: true
+  },
+  // Short-answer questions graded by the instructor (optionally against a rubric) instead of automatically
+  manualGrading: {
+    type: Boolean,
+    default: false
+  },
+  rubric: [rubricCriterionSchema],
+  points: {
+    type: Number,
+    default: 10,
+    min: 1
+  },
+  explanation: {
+    type: String,
+    trim: true
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  }
+});
+
 const quizSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -67,35 +199,34 @@ const quizSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
-  questions: [{
-    question: {
-      type: String,
-      required: [true, 'Question text is required'],
-      trim: true
-    },
-    type: {
+  // Questions written for this quiz
+  questions: [questionSchema],
+  // Question bank items used as-is, and rules drawing random bank items per attempt
+  // (e.g. 5 easy + 3 hard from skill "html")
+  bankQuestions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestionBank'
+  }],
+  bankRules: [{
+    skillTag: {
       type: String,
-      enum: ['multiple-choice', 'true-false', 'fill-blank', 'short-answer'],
-      default: 'multiple-choice'
+      trim: true,
+      lowercase: true
     },
-    options: [{
-      text: { type: String, required: true },
-      isCorrect: { type: Boolean, default: false }
-    }],
-    correctAnswer: String, // For fill-blank and short-answer
-    points: {
-      type: Number,
-      default: 10,
-      min: 1
-    },
-    explanation: {
+    topic: {
       type: String,
-      trim: true
+      trim: true,
+      lowercase: true
     },
     difficulty: {
       type: String,
-      enum: ['easy', 'medium', 'hard'],
-      default: 'medium'
+      enum: ['easy', 'medium', 'hard']
+    },
+    count: {
+      type: Number,
+      required: [true, 'Rule question count is required'],
+      min: 1,
+      max: 50
     }
   }],
   passingScore: {
@@ -105,18 +236,42 @@ const quizSchema = new mongoose.Schema({
     max: 100
   },
   timeLimit: {
-    type: Number, // in minutes
-    default: 30
+    type: Number, // in minutes, enforced on the server; 0 for no limit
+    default: 30,
+    min: 0
   },
   attemptsAllowed: {
-    type: Number,
+    type: Number, // instructors can grant a learner extra attempts on top of this
     default: 3,
     min: 1
   },
+  // Minutes a learner must wait after an attempt before starting the next one
+  cooldownMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // How the learner's quiz score (progress.bestQuizScore) is taken from their graded attempts
+  scoringPolicy: {
+    type: String,
+    enum: ['best', 'latest', 'average'],
+    default: 'best'
+  },
   randomizeQuestions: {
     type: Boolean,
     default: true
   },
+  randomizeOptions: {
+    type: Boolean,
+    default: true
+  },
+  // Draw this many of the quiz's own and linked bank questions per attempt (unset: all of them); bank rules add theirs on top
+  questionsPerAttempt: {
+    type: Number,
+    min: 1
+  },
+  // Full reward for passing; failed attempts earn up to 30% of it by score. XP is only awarded
+  // when an attempt is worth more than the learner has already earned from the quiz.
   xpReward: {
     type: Number,
     default: 100,
@@ -210,9 +365,11 @@ const courseSchema = new mongoose.Schema({
     default: 500,
     min: 0
   },
+  // Certificate body text; supports {{name}}, {{course}}, {{date}}, {{instructor}} and {{certificateId}}
   certificateTemplate: {
     type: String,
-    trim: true
+    trim: true,
+    maxlength: [600, 'Certificate template cannot exceed 600 characters']
   },
   
   // Course status and visibility
@@ -445,6 +445,16 @@ gigSchema.methods.canUserApply = function(userId) {
   return { canApply: true };
 };
 
+// Method to check if a user takes part in the gig (client, assigned worker or applicant)
+gigSchema.methods.isParticipant = function(userId) {
+  const id = userId.toString();
+  const refId = (ref) => (ref?._id ?? ref)?.toString();
+
+  return refId(this.clientId) === id
+    || refId(this.assignedTo) === id
+    || this.applications.some(app => refId(app.applicantId) === id);
+};
+
 // Method to add application
 gigSchema.methods.addApplication = async function(applicantId, applicationData) {
   const canApply = this.canUserApply(applicantId);
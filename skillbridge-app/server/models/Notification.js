@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+// Delivery state of one out-of-app channel
+const channelDeliverySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'digest', 'sent', 'failed', 'skipped'],
+    default: 'skipped'
+  },
+  sentAt: Date,
+  error: String
+}, { _id: false });
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Event that produced the notification (also the live socket event name)
+  type: {
+    type: String,
+    enum: [
+      'new_application',
+      'application_status_update',
+      'gig_completed',
+      'gig_deleted',
+      'course_completed',
+      'submission_graded',
+      'badge_earned',
+      'badge_expiring',
+      'badge_expired',
+      'badge_revoked',
+      'streak_at_risk',
+      'system'
+    ],
+    required: true
+  },
+
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [120, 'Notification title cannot exceed 120 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notification message cannot exceed 500 characters']
+  },
+
+  // Client route to open when the notification is clicked
+  link: String,
+
+  // Event payload (gig id, application id, XP earned, ...)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Low-priority events go to the daily email digest instead of an instant email
+  priority: {
+    type: String,
+    enum: ['high', 'low'],
+    default: 'high'
+  },
+
+  // Shown in the notification center (false when only other channels are enabled)
+  inApp: {
+    type: Boolean,
+    default: true
+  },
+
+  // Email / SMS delivery; "pending" is held back by quiet hours
+  channels: {
+    email: { type: channelDeliverySchema, default: () => ({}) },
+    sms: { type: channelDeliverySchema, default: () => ({}) }
+  },
+
+  readAt: {
+    type: Date,
+    default: null
+  },
+
+  // Old notifications are removed automatically
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 90 * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Create indexes
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ 'channels.email.status': 1 });
+notificationSchema.index({ 'channels.sms.status': 1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for read state
+notificationSchema.virtual('isRead').get(function() {
+  return Boolean(this.readAt);
+});
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ userId, inApp: true, readAt: null });
+};
+
+// Static method to mark all of a user's notifications as read
+notificationSchema.statics.markAllRead = function(userId) {
+  return this.updateMany({ userId, inApp: true, readAt: null }, { readAt: new Date() });
+};
+
+export default mongoose.model('Notification', notificationSchema);
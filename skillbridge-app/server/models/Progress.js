@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { generateCertificateId, renderCertificatePdf } from '../utils/certificates.js';
+import { storeBuffer } from '../utils/uploads.js';
 
 const moduleProgressSchema = new mongoose.Schema({
   moduleId: {
@@ -34,16 +36,42 @@ const moduleProgressSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Points given per rubric criterion by the grader
+const rubricScoreSchema = new mongoose.Schema({
+  criterionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
 const quizAttemptSchema = new mongoose.Schema({
   attemptNumber: {
     type: Number,
     required: true,
     min: 1
   },
+  // Attempts are started on the server and stay in progress until submitted
+  // (or until the time limit runs out, when the autosaved answers are graded).
+  // Attempts with manually graded answers wait in needs-review until the instructor grades them.
+  status: {
+    type: String,
+    enum: ['in-progress', 'submitted', 'expired', 'needs-review', 'graded'],
+    default: 'submitted'
+  },
   startedAt: {
     type: Date,
     default: Date.now
   },
+  expiresAt: Date, // startedAt + quiz.timeLimit; unset for untimed quizzes
+  // Shuffle seed and the questions drawn for this attempt, in the order they were shown
+  seed: String,
+  questionIds: [mongoose.Schema.Types.ObjectId],
+  savedAt: Date, // last autosave
   completedAt: Date,
   timeSpent: {
     type: Number, // in seconds
@@ -60,7 +88,20 @@ const quizAttemptSchema = new mongoose.Schema({
     pointsEarned: {
       type: Number,
       default: 0
-    }
+    },
+    // Manual grading
+    needsReview: Boolean,
+    rubricScores: [rubricScoreSchema],
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Comment cannot exceed 2000 characters']
+    },
+    gradedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    gradedAt: Date
   }],
   score: {
     type: Number,
@@ -82,9 +123,63 @@ const quizAttemptSchema = new mongoose.Schema({
   feedback: {
     type: String,
     trim: true
-  }
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  gradedAt: Date
+}, { timestamps: true });
+
+// File-upload assignment submission; a returned (failed) submission can be replaced by a new one
+const assignmentSubmissionSchema = new mongoose.Schema({
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  files: [{
+    originalName: String,
+    path: String, // relative to UPLOAD_DIR
+    mimetype: String,
+    size: Number
+  }],
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['needs-review', 'graded', 'returned'],
+    default: 'needs-review'
+  },
+  points: Number,
+  score: {
+    type: Number, // percentage
+    min: 0,
+    max: 100
+  },
+  passed: Boolean,
+  rubricScores: [rubricScoreSchema],
+  feedback: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Feedback cannot exceed 5000 characters']
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  gradedAt: Date
 }, { timestamps: true });
 
+// Attempts whose score is final (needs-review attempts count once graded)
+export const GRADED_ATTEMPT_STATUSES = ['submitted', 'expired', 'graded'];
+
 const progressSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -127,6 +222,7 @@ const progressSchema = new mongoose.Schema({
   
   // Quiz performance
   quizAttempts: [quizAttemptSchema],
+  // Quiz score under the quiz's scoring policy (best, latest or average graded attempt)
   bestQuizScore: {
     type: Number,
     min: 0,
@@ -137,6 +233,36 @@ const progressSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // XP earned from the quiz so far; attempts only award what they add on top of it
+  quizXpEarned: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Extra attempts granted by the instructor on top of quiz.attemptsAllowed
+  quizAttemptGrants: [{
+    attempts: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Assignment modules
+  assignmentSubmissions: [assignmentSubmissionSchema],
   
   // Time tracking
   totalTimeSpent: {
@@ -241,6 +367,8 @@ const progressSchema = new mongoose.Schema({
   },
   certificateIssuedAt: Date,
   certificateId: String,
+  // Stored PDF, relative to UPLOAD_DIR
+  certificatePath: String,
   
   // Feedback and rating
   userRating: {
@@ -277,6 +405,7 @@ progressSchema.index({ courseId: 1, status: 1 });
 progressSchema.index({ lastAccessedAt: -1 });
 progressSchema.index({ progressPercentage: -1 });
 progressSchema.index({ completedAt: -1 });
+progressSchema.index({ certificateId: 1 }, { unique: true, sparse: true });
 
 // Virtual for days since enrollment
 progressSchema.virtual('daysSinceEnrollment').get(function() {
@@ -338,31 +467,164 @@ progressSchema.methods.updateModuleProgress = async function(moduleId, updates)
   return moduleProgress;
 };
 
-// Method to record quiz attempt
-progressSchema.methods.recordQuizAttempt = async function(quizData) {
-  const attemptNumber = this.quizAttempts.length + 1;
-  
+// Method to get the attempt currently in progress (if any)
+progressSchema.methods.getOpenQuizAttempt = function() {
+  return this.quizAttempts.find(attempt => attempt.status === 'in-progress') || null;
+};
+
+// Method to get the number of quiz attempts allowed, including extra attempts granted by the instructor
+progressSchema.methods.getQuizAttemptsAllowed = function(quiz) {
+  const granted = (this.quizAttemptGrants || []).reduce((sum, grant) => sum + grant.attempts, 0);
+  return (quiz.attemptsAllowed || 0) + granted;
+};
+
+// Method to get when the quiz cooldown ends; null when a new attempt may start now.
+// Granting extra attempts after the last attempt lets the learner retake straight away.
+progressSchema.methods.getNextQuizAttemptAt = function(quiz, now = new Date()) {
+  if (!quiz.cooldownMinutes) return null;
+
+  const finished = this.quizAttempts
+    .filter(attempt => attempt.status !== 'in-progress')
+    .map(attempt => attempt.completedAt || attempt.startedAt)
+    .filter(Boolean);
+  if (finished.length === 0) return null;
+
+  const last = new Date(Math.max(...finished.map(date => date.getTime())));
+  if ((this.quizAttemptGrants || []).some(grant => grant.grantedAt > last)) return null;
+
+  const next = new Date(last.getTime() + quiz.cooldownMinutes * 60 * 1000);
+  return next > now ? next : null;
+};
+
+// Method to get the quiz score from the graded attempts under a scoring policy (best, latest or average)
+progressSchema.methods.getQuizScore = function(scoringPolicy = 'best') {
+  const scores = this.quizAttempts
+    .filter(attempt => GRADED_ATTEMPT_STATUSES.includes(attempt.status))
+    .sort((a, b) => a.attemptNumber - b.attemptNumber)
+    .map(attempt => attempt.score || 0);
+
+  if (scores.length === 0) return 0;
+  if (scoringPolicy === 'latest') return scores[scores.length - 1];
+  if (scoringPolicy === 'average') return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+  return Math.max(...scores);
+};
+
+// Method to start a quiz attempt; null when another attempt is already open
+progressSchema.methods.startQuizAttempt = async function({ timeLimit, seed, questionIds } = {}) {
+  const now = new Date();
   const attempt = {
-    attemptNumber,
-    ...quizData
+    _id: new mongoose.Types.ObjectId(),
+    attemptNumber: this.quizAttempts.length + 1,
+    status: 'in-progress',
+    seed,
+    questionIds,
+    startedAt: now,
+    expiresAt: timeLimit > 0 ? new Date(now.getTime() + timeLimit * 60 * 1000) : undefined
   };
-  
-  this.quizAttempts.push(attempt);
-  
-  // Update best score
-  if (attempt.score > this.bestQuizScore) {
-    this.bestQuizScore = attempt.score;
+
+  // Conditional push so two concurrent starts cannot open two attempts
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'quizAttempts.status': { $ne: 'in-progress' } },
+    { $push: { quizAttempts: attempt }, $set: { lastAccessedAt: now } },
+    { new: true }
+  );
+
+  return updated ? updated.quizAttempts.id(attempt._id) : null;
+};
+
+// Method to autosave answers on an open attempt; false once the attempt is closed
+progressSchema.methods.saveQuizAnswers = async function(attemptId, answers) {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, quizAttempts: { $elemMatch: { _id: attemptId, status: 'in-progress' } } },
+    { $set: { 'quizAttempts.$.answers': answers, 'quizAttempts.$.savedAt': new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Method to record an attempt's result, moving it on from `fromStatus` (e.g. in-progress when submitting,
+// needs-review when grading); null when the attempt is no longer in that status. Only final results
+// update the quiz score (under the quiz's scoring policy) and the pass flag, so attempts waiting
+// for review count once graded.
+progressSchema.methods.recordQuizResult = async function(attemptId, fromStatus, result, { scoringPolicy = 'best' } = {}) {
+  const fields = {};
+  for (const [key, value] of Object.entries(result)) {
+    fields[`quizAttempts.$.${key}`] = value;
   }
-  
-  // Check if passed (assuming 70% is passing)
-  const passingScore = 70; // This should come from course settings
-  this.quizPassed = attempt.score >= passingScore;
-  
-  // Update last accessed time
-  this.lastAccessedAt = new Date();
-  
-  await this.save();
-  return attempt;
+
+  const final = result.status !== 'needs-review';
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, quizAttempts: { $elemMatch: { _id: attemptId, status: fromStatus } } },
+    {
+      $set: { ...fields, lastAccessedAt: new Date(), ...(final && result.passed ? { quizPassed: true } : {}) },
+      ...(final && scoringPolicy === 'best' ? { $max: { bestQuizScore: result.score } } : {})
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return null;
+  }
+
+  // Latest and average scores depend on every graded attempt, so they are recalculated
+  if (final && scoringPolicy !== 'best') {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { bestQuizScore: updated.getQuizScore(scoringPolicy) } }
+    );
+  }
+
+  return updated.quizAttempts.id(attemptId);
+};
+
+// Method to raise the XP earned from the quiz to `amount`; returns the XP to award now
+// (0 when the learner has already earned that much)
+progressSchema.methods.claimQuizXp = async function(amount) {
+  if (!(amount > 0)) return 0;
+
+  const previous = await this.constructor.findOneAndUpdate(
+    { _id: this._id, quizXpEarned: { $not: { $gte: amount } } },
+    { $set: { quizXpEarned: amount } }
+  );
+
+  return previous ? amount - (previous.quizXpEarned || 0) : 0;
+};
+
+// Method to get the latest assignment submission for a module
+progressSchema.methods.getAssignmentSubmission = function(moduleId) {
+  const submissions = this.assignmentSubmissions.filter(s => s.moduleId.toString() === moduleId.toString());
+  return submissions[submissions.length - 1] || null;
+};
+
+// Method to add an assignment submission; null when the module already has one waiting for
+// review or graded (only a returned submission may be followed by a new one)
+progressSchema.methods.submitAssignment = async function(moduleId, { files, comment }) {
+  const submission = { _id: new mongoose.Types.ObjectId(), moduleId, files, comment, submittedAt: new Date() };
+
+  // Conditional push so two concurrent uploads cannot both be accepted
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      assignmentSubmissions: { $not: { $elemMatch: { moduleId, status: { $in: ['needs-review', 'graded'] } } } }
+    },
+    { $push: { assignmentSubmissions: submission } },
+    { new: true, runValidators: true }
+  );
+
+  return updated ? { progress: updated, submission: updated.assignmentSubmissions.id(submission._id) } : null;
+};
+
+// Method to grade a submission waiting for review; returns the updated record, or null when it was already graded
+progressSchema.methods.recordAssignmentGrade = async function(submissionId, grade) {
+  const fields = {};
+  for (const [key, value] of Object.entries(grade)) {
+    fields[`assignmentSubmissions.$.${key}`] = value;
+  }
+
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, assignmentSubmissions: { $elemMatch: { _id: submissionId, status: 'needs-review' } } },
+    { $set: fields },
+    { new: true }
+  );
 };
 
 // Method to calculate overall progress
@@ -566,6 +828,44 @@ progressSchema.methods.markCompleted = async function() {
   this.completedAt = new Date();
   
   await this.save();
+  
+  // A failed certificate never undoes the completion; the download route retries it
+  try {
+    await this.issueCertificate();
+  } catch (error) {
+    console.error('Certificate generation error:', error);
+  }
+  
+  return this;
+};
+
+// Method to render and store the completion certificate (keeps the id when re-rendering)
+progressSchema.methods.issueCertificate = async function() {
+  const User = mongoose.model('User');
+  const Course = mongoose.model('Course');
+  const [user, course] = await Promise.all([
+    User.findById(this.userId).select('name'),
+    Course.findById(this.courseId).select('title certificateTemplate instructor').populate('instructor', 'name businessName')
+  ]);
+  
+  if (!user || !course) return null;
+  
+  const certificateId = this.certificateId || generateCertificateId();
+  const pdf = await renderCertificatePdf({
+    certificateId,
+    learnerName: user.name,
+    courseTitle: course.title,
+    instructorName: course.instructor?.businessName || course.instructor?.name,
+    completedAt: this.completedAt || new Date(),
+    template: course.certificateTemplate
+  });
+  
+  this.certificatePath = await storeBuffer(pdf, 'certificates', `${certificateId}.pdf`);
+  this.certificateId = certificateId;
+  this.certificateIssued = true;
+  this.certificateIssuedAt = this.certificateIssuedAt || new Date();
+  await this.save();
+  
   return this;
 };
 
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { questionSchema } from './Course.js';
+
+// Reusable quiz question. Course quizzes link bank items directly (quiz.bankQuestions)
+// or draw them at random by skill tag, topic and difficulty (quiz.bankRules).
+const questionBankSchema = questionSchema.clone();
+
+questionBankSchema.add({
+  skillTag: {
+    type: String,
+    required: [true, 'Skill tag is required'],
+    trim: true,
+    lowercase: true
+  },
+  topics: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Shared items can be used and viewed by every instructor
+  isShared: {
+    type: Boolean,
+    default: false
+  },
+  // Archived items are no longer drawn but stay available to grade and review past attempts
+  isArchived: {
+    type: Boolean,
+    default: false
+  }
+});
+
+questionBankSchema.set('timestamps', true);
+
+// Static method to build the filter for items a user may use: their own and shared ones
+questionBankSchema.statics.accessibleFilter = function(userId) {
+  return {
+    isArchived: false,
+    $or: [{ createdBy: userId }, { isShared: true }]
+  };
+};
+
+// Static method to pick the ids of items matching a quiz bank rule
+questionBankSchema.statics.findIdsForRule = async function(rule, instructorId, excludeIds = []) {
+  const query = {
+    ...this.accessibleFilter(instructorId),
+    _id: { $nin: excludeIds }
+  };
+  if (rule.skillTag) query.skillTag = rule.skillTag;
+  if (rule.topic) query.topics = rule.topic;
+  if (rule.difficulty) query.difficulty = rule.difficulty;
+
+  const items = await this.find(query).select('_id').sort('_id').lean();
+  return items.map(item => item._id);
+};
+
+// Create indexes
+questionBankSchema.index({ skillTag: 1, difficulty: 1 });
+questionBankSchema.index({ topics: 1 });
+questionBankSchema.index({ createdBy: 1, createdAt: -1 });
+questionBankSchema.index({ question: 'text', topics: 'text' });
+
+export default mongoose.model('QuestionBank', questionBankSchema);
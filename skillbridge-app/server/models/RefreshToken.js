@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Only the SHA-256 hash of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // All tokens rotated from the same login share a family (the session id)
+  family: {
+    type: String,
+    required: true
+  },
+
+  // Device and context
+  deviceId: {
+    type: String,
+    trim: true,
+    default: 'unknown'
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Rotation and revocation
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'reuse_detected', 'replaced']
+  },
+  replacedByHash: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Create indexes
+refreshTokenSchema.index({ userId: 1, deviceId: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for expired state
+refreshTokenSchema.virtual('isExpired').get(function() {
+  return this.expiresAt < new Date();
+});
+
+// Virtual for usable state
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && !this.isExpired;
+});
+
+// Hash a raw token for lookup
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to generate a raw refresh token value
+refreshTokenSchema.statics.generateToken = function() {
+  return crypto.randomBytes(40).toString('hex');
+};
+
+// Static method to issue a new refresh token (starts a new family unless one is given)
+refreshTokenSchema.statics.issue = async function(userId, context = {}) {
+  const token = context.token || this.generateToken();
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+  const doc = await this.create({
+    userId,
+    tokenHash: this.hashToken(token),
+    family: context.family || crypto.randomUUID(),
+    deviceId: context.deviceId || 'unknown',
+    userAgent: context.userAgent,
+    ip: context.ip,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+
+  return { token, refreshToken: doc };
+};
+
+// Static method to find a token document by its raw value
+refreshTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: this.hashToken(token) });
+};
+
+// Method to revoke the whole token family (used on reuse detection)
+refreshTokenSchema.methods.revokeFamily = function(reason = 'reuse_detected') {
+  return this.constructor.updateMany(
+    { family: this.family, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Method to rotate this token into a new one of the same family. The old token is revoked
+// with a conditional update before the new one is issued, so of two concurrent rotations
+// only one succeeds; returns null when the token had already been revoked.
+refreshTokenSchema.methods.rotate = async function(context = {}) {
+  const token = this.constructor.generateToken();
+
+  const revoked = await this.constructor.findOneAndUpdate(
+    { _id: this._id, revokedAt: { $exists: false } },
+    {
+      revokedAt: new Date(),
+      revokedReason: 'rotated',
+      replacedByHash: this.constructor.hashToken(token)
+    }
+  );
+
+  if (!revoked) {
+    return null;
+  }
+
+  return this.constructor.issue(this.userId, {
+    token,
+    family: this.family,
+    deviceId: this.deviceId,
+    userAgent: context.userAgent || this.userAgent,
+    ip: context.ip || this.ip
+  });
+};
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
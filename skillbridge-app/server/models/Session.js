@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import { emitDomainEvent } from '../services/events.js';
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Device and context
+  deviceId: {
+    type: String,
+    trim: true,
+    default: 'unknown'
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Set when the login completed a TOTP / recovery code challenge
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Revocation
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'password_changed', 'password_reset', 'account_deleted', 'reuse_detected', 'replaced']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Create indexes
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ userId: 1, deviceId: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for usable state
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Session lifetime follows the refresh token lifetime
+sessionSchema.statics.getExpiryDate = function() {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Static method to start a new session
+sessionSchema.statics.start = function(userId, context = {}) {
+  return this.create({
+    userId,
+    deviceId: context.deviceId || 'unknown',
+    userAgent: context.userAgent,
+    ip: context.ip,
+    twoFactorVerified: !!context.twoFactorVerified,
+    expiresAt: this.getExpiryDate()
+  });
+};
+
+// Static method to list a user's active sessions
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort('-lastSeenAt');
+};
+
+// Static method to revoke sessions matching a filter along with their refresh tokens
+sessionSchema.statics.revokeWhere = async function(filter, reason) {
+  const sessions = await this.find({ ...filter, revokedAt: { $exists: false } }).select('_id');
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map(s => s._id);
+  await this.updateMany({ _id: { $in: ids } }, { revokedAt: new Date(), revokedReason: reason });
+
+  const RefreshToken = mongoose.model('RefreshToken');
+  await RefreshToken.updateMany(
+    { family: { $in: ids.map(id => id.toString()) }, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: 'logout' }
+  );
+
+  // Live sockets on these sessions are disconnected (see services/sockets.js)
+  emitDomainEvent('sessions_revoked', { sessionIds: ids.map(id => id.toString()), reason });
+
+  return ids.length;
+};
+
+// Static method to revoke every session of a user (optionally keeping one)
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const filter = { userId };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.revokeWhere(filter, reason);
+};
+
+// Static method to revoke the previous sessions of a user on one device
+sessionSchema.statics.revokeDevice = function(userId, deviceId, reason = 'replaced') {
+  return this.revokeWhere({ userId, deviceId }, reason);
+};
+
+// Method to revoke this session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  return this.constructor.revokeWhere({ _id: this._id }, reason);
+};
+
+// Method to record activity (throttled to one write per minute)
+sessionSchema.methods.touch = async function(ip) {
+  const now = new Date();
+  if (now - this.lastSeenAt < 60 * 1000 && (!ip || ip === this.ip)) {
+    return;
+  }
+
+  this.lastSeenAt = now;
+  if (ip) this.ip = ip;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lastSeenAt: this.lastSeenAt, ip: this.ip },
+    { timestamps: false }
+  );
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -1,5 +1,17 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { verifyCode, hashRecoveryCode } from '../utils/totp.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
+import { emitDomainEvent } from '../services/events.js';
+import { isBadgeEntryActive } from './Badge.js';
+
+// Channel switches for one notification event
+const eventChannels = (inApp, email, sms) => ({
+  inApp: { type: Boolean, default: inApp },
+  email: { type: Boolean, default: email },
+  sms: { type: Boolean, default: sms }
+});
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -35,6 +47,18 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Pending phone number verification (one-time SMS code)
+  phoneVerification: {
+    phone: { type: String, select: false },
+    codeHash: { type: String, select: false },
+    expiresAt: { type: Date, select: false },
+    attempts: { type: Number, default: 0, select: false },
+    sentAt: { type: Date, select: false }
+  },
   avatar: {
     type: String,
     default: null
@@ -81,7 +105,15 @@ const userSchema = new mongoose.Schema({
   badges: [{
     badgeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Badge' },
     earnedAt: { type: Date, default: Date.now },
-    courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' }
+    courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' },
+    // Awards of badges with a validity period expire and can be renewed by re-certifying
+    status: { type: String, enum: ['active', 'expired', 'revoked'], default: 'active' },
+    expiresAt: Date,
+    renewedAt: Date,
+    recertificationPromptedAt: Date,
+    revokedAt: Date,
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revocationReason: String
   }],
   
   xp: {
@@ -163,7 +195,29 @@ const userSchema = new mongoose.Schema({
     darkMode: { type: Boolean, default: false },
     language: { type: String, default: 'en' },
     currency: { type: String, default: 'KES' },
-    availabilityRadius: { type: Number, default: 10 } // in kilometers
+    availabilityRadius: { type: Number, default: 10 }, // in kilometers
+
+    // Per-event channels; the global switches above still turn a whole channel off
+    notificationEvents: {
+      new_application: eventChannels(true, true, false),
+      application_status_update: eventChannels(true, true, true),
+      gig_completed: eventChannels(true, true, false),
+      course_completed: eventChannels(true, true, false),
+      submission_graded: eventChannels(true, true, false),
+      badge_earned: eventChannels(true, true, false),
+      streak_at_risk: eventChannels(true, false, false)
+    },
+    timezone: { type: String, default: DEFAULT_TIMEZONE },
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: '22:00' }, // HH:MM in the user's timezone
+      end: { type: String, default: '07:00' }
+    },
+    digest: {
+      enabled: { type: Boolean, default: true },
+      hour: { type: Number, default: 8, min: 0, max: 23 }, // local hour to send the daily digest
+      lastSentAt: Date
+    }
   },
   
   // Account status
@@ -175,6 +229,23 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+
+  // Account deletion (personal data is purged after the grace period)
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    purgedAt: Date
+  },
+
+  // Failed login tracking and temporary lockout
+  loginSecurity: {
+    failedAttempts: { type: Number, default: 0 },
+    lastFailedAt: Date,
+    lockedUntil: Date,
+    lockCount: { type: Number, default: 0 },
+    unlockToken: { type: String, select: false },
+    unlockTokenExpire: { type: Date, select: false }
+  },
   
   // Password reset
   resetPasswordToken: String,
@@ -182,11 +253,39 @@ const userSchema = new mongoose.Schema({
   
   // Email verification
   emailVerificationToken: String,
+  emailVerificationExpire: Date,
   emailVerified: {
     type: Boolean,
     default: false
   },
   
+  // Linked social login identities (verified OIDC subjects)
+  identities: [{
+    provider: { type: String, enum: ['google', 'apple', 'microsoft'], required: true },
+    subject: { type: String, required: true },
+    email: { type: String, lowercase: true },
+    linkedAt: { type: Date, default: Date.now },
+    lastUsedAt: Date
+  }],
+  
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: {
+      type: [{
+        hash: { type: String, required: true },
+        usedAt: Date
+      }],
+      select: false
+    },
+    lastUsedStep: { type: Number, select: false },
+    // jti of the outstanding login challenge; cleared once it has been used
+    challengeId: { type: String, select: false },
+    enabledAt: Date
+  },
+  
   // Achievement tracking
   achievements: [{
     name: String,
@@ -200,7 +299,8 @@ const userSchema = new mongoose.Schema({
   streak: {
     current: { type: Number, default: 0 },
     longest: { type: Number, default: 0 },
-    lastActivityDate: { type: Date }
+    lastActivityDate: { type: Date },
+    lastReminderAt: { type: Date }
   }
 }, {
   timestamps: true,
@@ -218,6 +318,7 @@ userSchema.index({ 'rating.average': -1 });
 userSchema.index({ level: -1 });
 userSchema.index({ email: 1 });
 userSchema.index({ 'skills.name': 1 });
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 }, { unique: true, sparse: true });
 
 // Virtual for full profile completion percentage
 userSchema.virtual('profileCompletion').get(function() {
@@ -271,6 +372,94 @@ userSchema.methods.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Verify a TOTP code (requires +twoFactor.secret +twoFactor.lastUsedStep); rejects replayed codes
+userSchema.methods.verifyTwoFactorCode = async function(code, useSecret = 'secret') {
+  const step = verifyCode(this.twoFactor[useSecret], code);
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+  
+  this.twoFactor.lastUsedStep = step;
+  await this.save({ validateBeforeSave: false });
+  return true;
+};
+
+// Start a 2FA login challenge; returns the jti to embed in the challenge token.
+// Issuing a new challenge replaces any earlier one.
+userSchema.methods.issueLoginChallenge = async function() {
+  const challengeId = crypto.randomUUID();
+  await this.constructor.updateOne({ _id: this._id }, { $set: { 'twoFactor.challengeId': challengeId } });
+  return challengeId;
+};
+
+// Use up a login challenge; false if it was already used or replaced
+userSchema.methods.consumeLoginChallenge = async function(challengeId) {
+  if (!challengeId) {
+    return false;
+  }
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.challengeId': challengeId },
+    { $unset: { 'twoFactor.challengeId': 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Consume a recovery code (requires +twoFactor.recoveryCodes)
+userSchema.methods.useRecoveryCode = async function(code) {
+  const hash = hashRecoveryCode(code);
+  const recoveryCode = this.twoFactor.recoveryCodes?.find(c => c.hash === hash && !c.usedAt);
+  
+  if (!recoveryCode) {
+    return false;
+  }
+  
+  recoveryCode.usedAt = new Date();
+  await this.save({ validateBeforeSave: false });
+  return true;
+};
+
+// Start verifying a phone number; returns the one-time code to send by SMS
+userSchema.methods.createPhoneVerificationCode = function(phone, expiresInMinutes = 10) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  this.phoneVerification = {
+    phone,
+    codeHash: crypto.createHash('sha256').update(code).digest('hex'),
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+    attempts: 0,
+    sentAt: new Date()
+  };
+
+  return code;
+};
+
+// Check a phone verification code (requires +phoneVerification.*); verifies the phone on success
+userSchema.methods.verifyPhoneCode = async function(code, maxAttempts = 5) {
+  const pending = this.phoneVerification;
+
+  if (!pending?.codeHash || !pending.expiresAt || pending.expiresAt < new Date()) {
+    return { verified: false, reason: 'Verification code has expired. Please request a new one.' };
+  }
+
+  if (pending.attempts >= maxAttempts) {
+    return { verified: false, reason: 'Too many incorrect attempts. Please request a new code.' };
+  }
+
+  const hash = crypto.createHash('sha256').update(String(code)).digest('hex');
+  if (!crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(pending.codeHash))) {
+    pending.attempts += 1;
+    await this.save({ validateBeforeSave: false });
+    return { verified: false, reason: 'Invalid verification code' };
+  }
+
+  this.phone = pending.phone;
+  this.phoneVerified = true;
+  this.phoneVerification = undefined;
+  await this.save({ validateBeforeSave: false });
+  return { verified: true };
+};
+
 // Update level based on XP
 userSchema.methods.updateLevel = function() {
   const newLevel = Math.floor(this.xp / 1000) + 1;
@@ -281,10 +470,10 @@ userSchema.methods.updateLevel = function() {
   return false;
 };
 
-// Add XP and update level
+// Add XP and update level. XP is incremented atomically so concurrent awards
+// (e.g. badge rewards from services/badges.js) are never overwritten.
 userSchema.methods.addXP = async function(xpAmount, reason = 'General activity') {
-  this.xp += xpAmount;
-  const leveledUp = this.updateLevel();
+  const previousStreak = this.streak.current;
   
   // Update streak if activity is course completion or gig completion
   if (reason.includes('course') || reason.includes('gig')) {
@@ -292,6 +481,37 @@ userSchema.methods.addXP = async function(xpAmount, reason = 'General activity')
   }
   
   await this.save();
+  
+  const { xp } = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { xp: xpAmount } },
+    { new: true, projection: { xp: 1 } }
+  );
+  this.xp = xp;
+  this.unmarkModified('xp');
+  
+  const leveledUp = this.updateLevel();
+  if (leveledUp) {
+    await this.constructor.updateOne({ _id: this._id }, { $max: { level: this.level } });
+    this.unmarkModified('level');
+  }
+  
+  emitDomainEvent('xp_added', {
+    userId: this._id,
+    amount: xpAmount,
+    reason,
+    xp: this.xp,
+    level: this.level,
+    leveledUp
+  });
+  if (this.streak.current !== previousStreak) {
+    emitDomainEvent('streak_updated', {
+      userId: this._id,
+      current: this.streak.current,
+      longest: this.streak.longest
+    });
+  }
+  
   return { newXP: this.xp, newLevel: this.level, leveledUp, xpAdded: xpAmount };
 };
 
@@ -346,6 +566,18 @@ userSchema.methods.addBadge = async function(badgeId, courseId = null) {
   return false;
 };
 
+// Badges that are currently valid (not expired or revoked)
+userSchema.methods.getActiveBadges = function(now = new Date()) {
+  return this.badges.filter(b => isBadgeEntryActive(b, now));
+};
+
+// Find the user linked to a provider identity
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({
+    identities: { $elemMatch: { provider, subject } }
+  });
+};
+
 // Get nearby users (for networking/collaboration)
 userSchema.statics.findNearby = function(coordinates, maxDistance = 10000) {
   return this.find({
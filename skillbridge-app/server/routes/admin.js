@@ -2,16 +2,48 @@ import express from 'express';
 import User from '../models/User.js';
 import Course from '../models/Course.js';
 import Gig from '../models/Gig.js';
-import Badge from '../models/Badge.js';
-import { adminOnly } from '../middleware/auth.js';
-import { asyncHandler, validateRequired } from '../middleware/errorHandler.js';
+import Badge, { loadCriteriaCourses } from '../models/Badge.js';
+import BusinessApplication from '../models/BusinessApplication.js';
+import AuditLog from '../models/AuditLog.js';
+import { auth, permit } from '../middleware/auth.js';
+import { asyncHandler, validateRequired, validateObjectId, createNotFoundError } from '../middleware/errorHandler.js';
+import { resolveStoredFile } from '../utils/uploads.js';
+import { sendBusinessApplicationReviewedEmail } from '../utils/email.js';
+import { revokeBadge, reinstateBadge } from '../services/badges.js';
+import { validateCriteriaExpression } from '../utils/criteriaExpression.js';
 
 const router = express.Router();
 
+const CRITERIA_TYPES = Badge.schema.path('criteria').schema.path('type').enumValues;
+
+// Check a badge's criteria list; returns an error message or null
+const validateBadgeCriteria = (criteria = []) => {
+  if (!Array.isArray(criteria)) {
+    return 'Criteria must be an array';
+  }
+
+  for (const [index, criterion] of criteria.entries()) {
+    if (!CRITERIA_TYPES.includes(criterion?.type)) {
+      return `Criterion ${index + 1}: type must be one of ${CRITERIA_TYPES.join(', ')}`;
+    }
+    if (criterion.value === undefined || criterion.value === null) {
+      return `Criterion ${index + 1}: value is required`;
+    }
+    if (criterion.type === 'custom') {
+      const expressionError = validateCriteriaExpression(criterion.value);
+      if (expressionError) {
+        return `Criterion ${index + 1}: invalid expression - ${expressionError}`;
+      }
+    }
+  }
+
+  return null;
+};
+
 // @desc    Get platform statistics
 // @route   GET /api/admin/stats
 // @access  Private/Admin
-router.get('/stats', adminOnly, asyncHandler(async (req, res, next) => {
+router.get('/stats', [auth, permit('platform:view-stats')], asyncHandler(async (req, res, next) => {
   const [
     totalUsers,
     totalCourses,
@@ -45,11 +77,20 @@ router.get('/stats', adminOnly, asyncHandler(async (req, res, next) => {
 
 // @desc    Create badge
 // @route   POST /api/admin/badges
-// @access  Private/Admin
+// @access  Private/Admin (2FA-verified session)
 router.post('/badges', [
-  adminOnly,
+  auth,
+  permit('badge:create', { require2FA: true }),
   validateRequired(['name', 'description', 'icon', 'category'])
 ], asyncHandler(async (req, res, next) => {
+  const criteriaError = validateBadgeCriteria(req.body.criteria);
+  if (criteriaError) {
+    return res.status(400).json({
+      success: false,
+      message: criteriaError
+    });
+  }
+
   req.body.createdBy = req.user._id;
   
   const badge = await Badge.create(req.body);
@@ -61,10 +102,164 @@ router.post('/badges', [
   });
 }));
 
+// @desc    Dry-run badge criteria: how many current users would qualify
+// @route   POST /api/admin/badges/dry-run
+// @access  Private/Admin
+router.post('/badges/dry-run', [
+  auth,
+  permit('badge:create'),
+  validateRequired(['criteria'])
+], asyncHandler(async (req, res, next) => {
+  const criteriaError = validateBadgeCriteria(req.body.criteria);
+  if (criteriaError) {
+    return res.status(400).json({
+      success: false,
+      message: criteriaError
+    });
+  }
+
+  // Unsaved badge so the real criterion checks are used
+  const badge = new Badge({ criteria: req.body.criteria });
+  const courses = await loadCriteriaCourses();
+  const sample = [];
+  let evaluated = 0;
+  let qualifying = 0;
+
+  const cursor = User.find({ isActive: true })
+    .select('name email xp level rating gigsCompleted streak skills enrolledCourses badges verified createdAt')
+    .cursor();
+
+  for await (const user of cursor) {
+    evaluated += 1;
+
+    let meetsAll = true;
+    for (const criterion of badge.criteria) {
+      const { meets } = await badge.checkCriterion(user, criterion, { courses });
+      if (!meets) {
+        meetsAll = false;
+        break;
+      }
+    }
+
+    if (meetsAll) {
+      qualifying += 1;
+      if (sample.length < 10) {
+        sample.push({ _id: user._id, name: user.name, email: user.email });
+      }
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      evaluated,
+      qualifying,
+      percentage: evaluated ? Math.round((qualifying / evaluated) * 1000) / 10 : 0,
+      sample
+    }
+  });
+}));
+
+// @desc    Revoke a user's badge
+// @route   PUT /api/admin/users/:userId/badges/:badgeId/revoke
+// @access  Private/Admin (2FA-verified session)
+router.put('/users/:userId/badges/:badgeId/revoke', [
+  auth,
+  permit('badge:revoke', { require2FA: true }),
+  validateObjectId('userId'),
+  validateObjectId('badgeId'),
+  validateRequired(['reason'])
+], asyncHandler(async (req, res, next) => {
+  const badge = await Badge.findById(req.params.badgeId);
+
+  if (!badge) {
+    return next(createNotFoundError('Badge'));
+  }
+
+  const revoked = await revokeBadge(badge, req.params.userId, {
+    revokedBy: req.user,
+    reason: String(req.body.reason).trim(),
+    req
+  });
+
+  if (!revoked) {
+    return res.status(400).json({
+      success: false,
+      message: 'User does not hold this badge or it is already revoked'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Badge revoked'
+  });
+}));
+
+// @desc    Reinstate a revoked badge
+// @route   PUT /api/admin/users/:userId/badges/:badgeId/reinstate
+// @access  Private/Admin (2FA-verified session)
+router.put('/users/:userId/badges/:badgeId/reinstate', [
+  auth,
+  permit('badge:revoke', { require2FA: true }),
+  validateObjectId('userId'),
+  validateObjectId('badgeId')
+], asyncHandler(async (req, res, next) => {
+  const badge = await Badge.findById(req.params.badgeId);
+
+  if (!badge) {
+    return next(createNotFoundError('Badge'));
+  }
+
+  const reinstated = await reinstateBadge(badge, req.params.userId, {
+    reinstatedBy: req.user,
+    reason: typeof req.body.reason === 'string' ? req.body.reason.trim() : '',
+    req
+  });
+
+  if (!reinstated) {
+    return res.status(400).json({
+      success: false,
+      message: 'Badge is not revoked for this user'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Badge reinstated'
+  });
+}));
+
+// @desc    Badge revocation audit trail for a user
+// @route   GET /api/admin/users/:userId/badges/history
+// @access  Private/Admin
+router.get('/users/:userId/badges/history', [
+  auth,
+  permit('badge:revoke'),
+  validateObjectId('userId')
+], asyncHandler(async (req, res, next) => {
+  const [user, entries] = await Promise.all([
+    User.findById(req.params.userId)
+      .select('name email badges')
+      .populate('badges.badgeId', 'name icon validityMonths'),
+    AuditLog.find({ userId: req.params.userId, action: { $in: ['badge_revoked', 'badge_reinstated'] } })
+      .populate('actorId', 'name email')
+      .sort('-createdAt')
+  ]);
+
+  if (!user) {
+    return next(createNotFoundError('User'));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { badges: user.badges, history: entries }
+  });
+}));
+
 // @desc    Get all users for admin
 // @route   GET /api/admin/users
 // @access  Private/Admin
-router.get('/users', adminOnly, asyncHandler(async (req, res, next) => {
+router.get('/users', [auth, permit('user:list')], asyncHandler(async (req, res, next) => {
   const page = parseInt(req.query.page, 10) || 1;
   const limit = parseInt(req.query.limit, 10) || 50;
   const startIndex = (page - 1) * limit;
@@ -85,4 +280,102 @@ router.get('/users', adminOnly, asyncHandler(async (req, res, next) => {
   });
 }));
 
+// @desc    Business application review queue
+// @route   GET /api/admin/business-applications?status=pending
+// @access  Private/Admin
+router.get('/business-applications', [auth, permit('business-application:review')], asyncHandler(async (req, res, next) => {
+  const status = req.query.status || 'pending';
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const [applications, total] = await Promise.all([
+    BusinessApplication.find({ status })
+      .populate('userId', 'name email phone createdAt')
+      .populate('reviewedBy', 'name')
+      .sort(status === 'pending' ? 'createdAt' : '-reviewedAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    BusinessApplication.countDocuments({ status })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: applications.length,
+    total,
+    data: { applications }
+  });
+}));
+
+// @desc    Download a business application document
+// @route   GET /api/admin/business-applications/:id/documents/:documentId
+// @access  Private/Admin
+router.get('/business-applications/:id/documents/:documentId', [
+  auth,
+  permit('business-application:review'),
+  validateObjectId('id'),
+  validateObjectId('documentId')
+], asyncHandler(async (req, res, next) => {
+  const application = await BusinessApplication.findById(req.params.id);
+  const document = application?.documents.id(req.params.documentId);
+
+  if (!document) {
+    return next(createNotFoundError('Document'));
+  }
+
+  res.download(resolveStoredFile(document.path), document.originalName);
+}));
+
+// @desc    Approve or reject a business application
+// @route   PUT /api/admin/business-applications/:id/review
+// @access  Private/Admin
+router.put('/business-applications/:id/review', [
+  auth,
+  permit('business-application:review'),
+  validateObjectId('id'),
+  validateRequired(['status'])
+], asyncHandler(async (req, res, next) => {
+  const { status, notes } = req.body;
+
+  if (!['approved', 'rejected'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Status must be approved or rejected'
+    });
+  }
+
+  const application = await BusinessApplication.findById(req.params.id);
+
+  if (!application) {
+    return next(createNotFoundError('Business application'));
+  }
+
+  if (application.status !== 'pending') {
+    return res.status(400).json({
+      success: false,
+      message: `Application has already been ${application.status}`
+    });
+  }
+
+  const user = await application.review(req.user, status, notes);
+
+  await AuditLog.record({
+    action: `business_application_${status}`,
+    userId: application.userId,
+    actorId: req.user._id,
+    req,
+    metadata: { applicationId: application._id, notes }
+  });
+
+  if (user) {
+    sendBusinessApplicationReviewedEmail(user, application)
+      .catch(error => console.error('Business application email error:', error));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Business application ${status}`,
+    data: { application }
+  });
+}));
+
 export default router;
\ No newline at end of file
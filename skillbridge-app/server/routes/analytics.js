@@ -3,7 +3,7 @@ import User from '../models/User.js';
 import Course from '../models/Course.js';
 import Progress from '../models/Progress.js';
 import Gig from '../models/Gig.js';
-import { auth, adminOnly } from '../middleware/auth.js';
+import { auth, permit } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
 const router = express.Router();
@@ -11,7 +11,7 @@ const router = express.Router();
 // @desc    Get platform analytics
 // @route   GET /api/analytics/platform
 // @access  Private/Admin
-router.get('/platform', adminOnly, asyncHandler(async (req, res, next) => {
+router.get('/platform', [auth, permit('analytics:view-platform')], asyncHandler(async (req, res, next) => {
   const timeframe = req.query.timeframe || '30d';
   
   // Get date range
@@ -2,28 +2,117 @@ import express from 'express';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import User from '../models/User.js';
-import { auth, optionalAuth } from '../middleware/auth.js';
+import RefreshToken from '../models/RefreshToken.js';
+import Session from '../models/Session.js';
+import { sendVerificationEmail, sendPasswordResetEmail, sendWelcomeEmail } from '../utils/email.js';
+import {
+  generateSecret,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from '../utils/totp.js';
+import { verifyIdToken, isSupportedProvider } from '../utils/oidc.js';
+import { sendSms, normalizePhone } from '../utils/sms.js';
+import { auth, permit } from '../middleware/auth.js';
+import {
+  loginRateGuard,
+  checkAccountLock,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} from '../middleware/loginProtection.js';
+import AuditLog from '../models/AuditLog.js';
 import { 
   asyncHandler, 
   validateRequired, 
   validateEmail, 
-  validatePassword 
+  validatePassword,
+  validateObjectId,
+  createNotFoundError,
+  createRateLimitError
 } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d'
+const VERIFICATION_TOKEN_HOURS = 24;
+const RESET_TOKEN_MINUTES = 10;
+const PHONE_CODE_MINUTES = 10;
+const PHONE_CODE_RESEND_SECONDS = 60;
+const PHONE_CODES_PER_ACCOUNT_PER_DAY = 5;
+const PHONE_CODES_PER_NUMBER_PER_DAY = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Phone numbers are kept hashed in the audit log
+const hashPhone = (phone) => crypto.createHash('sha256').update(phone).digest('hex');
+
+// Seconds until fewer than `limit` phone codes matching `filter` were sent in the last day (0 when under the limit)
+const getPhoneCodeWait = async (filter, limit) => {
+  const sent = await AuditLog.find({
+    action: 'phone_code_sent',
+    createdAt: { $gte: new Date(Date.now() - DAY_MS) },
+    ...filter
+  })
+    .sort('-createdAt')
+    .limit(limit)
+    .select('createdAt')
+    .lean();
+
+  if (sent.length < limit) return 0;
+  return Math.max(1, Math.ceil((sent[limit - 1].createdAt.getTime() + DAY_MS - Date.now()) / 1000));
+};
+
+// Generate JWT token bound to a server-side session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
 
+// Request context stored alongside sessions and refresh tokens
+const getClientContext = (req) => ({
+  deviceId: req.body?.deviceId || req.header('X-Device-Id') || 'unknown',
+  userAgent: req.header('User-Agent'),
+  ip: req.ip
+});
+
+// Refresh token cookie options (only sent back to the auth routes)
+const refreshCookieOptions = () => ({
+  expires: new Date(Date.now() + (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30) * 24 * 60 * 60 * 1000),
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/auth'
+});
+
+// Generate email verification token (the hashed value is stored on the user)
+const setEmailVerificationToken = (user) => {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  user.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+  user.emailVerificationExpire = Date.now() + VERIFICATION_TOKEN_HOURS * 60 * 60 * 1000;
+  return verificationToken;
+};
+
 // Send token response
-const sendTokenResponse = (user, statusCode, res, message) => {
-  const token = generateToken(user._id);
+// options.issued: rotated refresh token to reuse, options.twoFactorVerified: mark the new session as 2FA-verified
+const sendTokenResponse = async (user, statusCode, req, res, message, options = {}) => {
+  let { issued } = options;
+
+  // Start a new session for this device unless we are rotating an existing one
+  if (!issued) {
+    const context = getClientContext(req);
+    await Session.revokeDevice(user._id, context.deviceId);
+    const session = await Session.start(user._id, {
+      ...context,
+      twoFactorVerified: options.twoFactorVerified
+    });
+    issued = await RefreshToken.issue(user._id, { ...context, family: session._id.toString() });
+  }
+
+  const token = generateToken(user._id, issued.refreshToken.family);
 
-  const options = {
+  const cookieOptions = {
     expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
     httpOnly: true,
     secure: process.env.NODE_ENV === 'production',
@@ -31,7 +120,8 @@ const sendTokenResponse = (user, statusCode, res, message) => {
   };
 
   res.status(statusCode)
-    .cookie('token', token, options)
+    .cookie('token', token, cookieOptions)
+    .cookie('refreshToken', issued.token, refreshCookieOptions())
     .json({
       success: true,
       message,
@@ -47,12 +137,34 @@ const sendTokenResponse = (user, statusCode, res, message) => {
           level: user.level,
           verified: user.verified,
           emailVerified: user.emailVerified,
+          twoFactorEnabled: !!user.twoFactor?.enabled,
           profileCompletion: user.profileCompletion
         }
       }
     });
 };
 
+// Finish a login - accounts with 2FA get a short-lived challenge instead of tokens
+const completeLogin = async (user, req, res, message) => {
+  if (user.twoFactor?.enabled) {
+    const challengeId = await user.issueLoginChallenge();
+    const challengeToken = jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET, {
+      expiresIn: '5m',
+      jwtid: challengeId
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken
+    });
+  }
+
+  await recordSuccessfulLogin(user);
+  await sendTokenResponse(user, 200, req, res, message);
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -61,7 +173,7 @@ router.post('/register', [
   validateEmail(),
   validatePassword()
 ], asyncHandler(async (req, res, next) => {
-  const { name, email, password, role = 'learner', ...otherData } = req.body;
+  const { name, email, password, phone, age, location } = req.body;
 
   // Check if user already exists
   const existingUser = await User.findOne({ email });
@@ -72,34 +184,33 @@ router.post('/register', [
     });
   }
 
-  // Create user
+  // Everyone registers as a learner; business accounts go through the application review
   const user = await User.create({
     name,
     email,
     password,
-    role,
-    ...otherData
+    role: 'learner',
+    phone,
+    age,
+    location
   });
 
   // Generate email verification token
-  const verificationToken = crypto.randomBytes(32).toString('hex');
-  user.emailVerificationToken = crypto
-    .createHash('sha256')
-    .update(verificationToken)
-    .digest('hex');
-
+  const verificationToken = setEmailVerificationToken(user);
   await user.save({ validateBeforeSave: false });
 
-  // TODO: Send verification email
-  // await sendVerificationEmail(user.email, verificationToken);
+  // Don't fail registration if the email cannot be delivered - it can be resent
+  sendVerificationEmail(user, verificationToken, VERIFICATION_TOKEN_HOURS)
+    .catch(error => console.error('Verification email error:', error));
 
-  sendTokenResponse(user, 201, res, 'User registered successfully. Please check your email for verification.');
+  await sendTokenResponse(user, 201, req, res, 'User registered successfully. Please check your email for verification.');
 }));
 
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
 router.post('/login', [
+  loginRateGuard,
   validateRequired(['email', 'password']),
   validateEmail()
 ], asyncHandler(async (req, res, next) => {
@@ -108,7 +219,16 @@ router.post('/login', [
   // Check for user and include password
   const user = await User.findOne({ email }).select('+password');
 
+  // Locked or backing-off accounts (and unknown emails) are rejected before the password is checked
+  const lockError = checkAccountLock(user, email);
+  if (lockError) {
+    return next(lockError);
+  }
+
+  // Same response whether or not this failure locked the account
   if (!user || !(await user.comparePassword(password))) {
+    await recordFailedLogin(req, user, email);
+
     return res.status(401).json({
       success: false,
       message: 'Invalid credentials'
@@ -127,23 +247,37 @@ router.post('/login', [
   user.lastLogin = new Date();
   await user.save({ validateBeforeSave: false });
 
-  sendTokenResponse(user, 200, res, 'Login successful');
+  await completeLogin(user, req, res, 'Login successful');
 }));
 
 // @desc    Logout user / clear cookie
-// @route   GET /api/auth/logout
+// @route   GET|POST /api/auth/logout
 // @access  Private
-router.get('/logout', asyncHandler(async (req, res, next) => {
+const logout = asyncHandler(async (req, res, next) => {
+  const refreshToken = req.body?.refreshToken || req.cookies?.refreshToken;
+
+  // End the session (and its refresh token family) of this device
+  if (refreshToken) {
+    const stored = await RefreshToken.findByToken(refreshToken);
+    if (stored) {
+      await Session.revokeWhere({ _id: stored.family }, 'logout');
+    }
+  }
+
   res.cookie('token', 'none', {
     expires: new Date(Date.now() + 10 * 1000),
     httpOnly: true
   });
+  res.clearCookie('refreshToken', { path: '/api/auth' });
 
   res.status(200).json({
     success: true,
     message: 'User logged out successfully'
   });
-}));
+});
+
+router.get('/logout', logout);
+router.post('/logout', logout);
 
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
@@ -171,10 +305,32 @@ router.put('/updatedetails', auth, asyncHandler(async (req, res, next) => {
     location: req.body.location,
     businessName: req.body.businessName,
     businessType: req.body.businessType,
-    businessDescription: req.body.businessDescription,
-    preferences: req.body.preferences
+    businessDescription: req.body.businessDescription
   };
 
+  // Merge general preferences key by key so nested notification settings are kept
+  // (those are managed through /api/notifications/preferences)
+  const GENERAL_PREFERENCES = ['notifications', 'emailUpdates', 'smsUpdates', 'darkMode', 'language', 'currency', 'availabilityRadius'];
+  GENERAL_PREFERENCES.forEach(key => {
+    if (req.body.preferences?.[key] !== undefined) {
+      fieldsToUpdate[`preferences.${key}`] = req.body.preferences[key];
+    }
+  });
+
+  // Phone numbers are stored in E.164; a changed number has to be verified again
+  if (req.body.phone) {
+    fieldsToUpdate.phone = normalizePhone(req.body.phone);
+    if (!fieldsToUpdate.phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid phone number'
+      });
+    }
+  }
+  if (fieldsToUpdate.phone !== undefined && fieldsToUpdate.phone !== req.user.phone) {
+    fieldsToUpdate.phoneVerified = false;
+  }
+
   // Remove undefined fields
   Object.keys(fieldsToUpdate).forEach(key => {
     if (fieldsToUpdate[key] === undefined) {
@@ -215,7 +371,12 @@ router.put('/updatepassword', [
   user.password = req.body.newPassword;
   await user.save();
 
-  sendTokenResponse(user, 200, res, 'Password updated successfully');
+  // End every existing session - this device gets a fresh one below
+  await Session.revokeAllForUser(user._id, 'password_changed');
+
+  await sendTokenResponse(user, 200, req, res, 'Password updated successfully', {
+    twoFactorVerified: req.authSession.twoFactorVerified
+  });
 }));
 
 // @desc    Forgot password
@@ -244,20 +405,28 @@ router.post('/forgotpassword', [
     .digest('hex');
 
   // Set expire
-  user.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
+  user.resetPasswordExpire = Date.now() + RESET_TOKEN_MINUTES * 60 * 1000;
 
   await user.save({ validateBeforeSave: false });
 
-  // Create reset url
-  const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/resetpassword/${resetToken}`;
+  try {
+    await sendPasswordResetEmail(user, resetToken, RESET_TOKEN_MINUTES);
+  } catch (error) {
+    console.error('Password reset email error:', error);
 
-  // TODO: Send email with reset URL
-  // await sendPasswordResetEmail(user.email, resetUrl);
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Password reset email could not be sent'
+    });
+  }
 
   res.status(200).json({
     success: true,
-    message: 'Password reset email sent',
-    resetToken // Remove this in production
+    message: 'Password reset email sent'
   });
 }));
 
@@ -292,7 +461,45 @@ router.put('/resetpassword/:resettoken', [
   user.resetPasswordExpire = undefined;
   await user.save();
 
-  sendTokenResponse(user, 200, res, 'Password reset successful');
+  await Session.revokeAllForUser(user._id, 'password_reset');
+
+  await completeLogin(user, req, res, 'Password reset successful');
+}));
+
+// @desc    Unlock account from the lockout email
+// @route   GET /api/auth/unlock/:token
+// @access  Public
+router.get('/unlock/:token', asyncHandler(async (req, res, next) => {
+  const unlockToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    'loginSecurity.unlockToken': unlockToken,
+    'loginSecurity.unlockTokenExpire': { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired unlock link'
+    });
+  }
+
+  user.loginSecurity.failedAttempts = 0;
+  user.loginSecurity.lastFailedAt = undefined;
+  user.loginSecurity.lockedUntil = undefined;
+  user.loginSecurity.unlockToken = undefined;
+  user.loginSecurity.unlockTokenExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record({ action: 'account_unlocked', userId: user._id, req, metadata: { via: 'email' } });
+
+  res.status(200).json({
+    success: true,
+    message: 'Account unlocked. You can log in again.'
+  });
 }));
 
 // @desc    Verify email
@@ -305,23 +512,30 @@ router.get('/verify/:token', asyncHandler(async (req, res, next) => {
     .update(req.params.token)
     .digest('hex');
 
-  const user = await User.findOne({ emailVerificationToken });
+  const user = await User.findOne({
+    emailVerificationToken,
+    emailVerificationExpire: { $gt: Date.now() }
+  });
 
   if (!user) {
     return res.status(400).json({
       success: false,
-      message: 'Invalid verification token'
+      message: 'Invalid or expired verification token'
     });
   }
 
   // Verify email
   user.emailVerified = true;
   user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
   await user.save();
 
   // Award XP for email verification
   await user.addXP(50, 'Email verification');
 
+  sendWelcomeEmail(user)
+    .catch(error => console.error('Welcome email error:', error));
+
   res.status(200).json({
     success: true,
     message: 'Email verified successfully! You earned 50 XP.',
@@ -343,16 +557,18 @@ router.post('/resend-verification', auth, asyncHandler(async (req, res, next) =>
   }
 
   // Generate new verification token
-  const verificationToken = crypto.randomBytes(32).toString('hex');
-  user.emailVerificationToken = crypto
-    .createHash('sha256')
-    .update(verificationToken)
-    .digest('hex');
-
+  const verificationToken = setEmailVerificationToken(user);
   await user.save({ validateBeforeSave: false });
 
-  // TODO: Send verification email
-  // await sendVerificationEmail(user.email, verificationToken);
+  try {
+    await sendVerificationEmail(user, verificationToken, VERIFICATION_TOKEN_HOURS);
+  } catch (error) {
+    console.error('Verification email error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Verification email could not be sent'
+    });
+  }
 
   res.status(200).json({
     success: true,
@@ -377,80 +593,666 @@ router.delete('/deleteaccount', [
     });
   }
 
-  // Soft delete - deactivate account
+  // Soft delete - deactivate account and schedule the personal data purge
+  const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
   user.isActive = false;
   user.email = `deleted_${Date.now()}_${user.email}`;
+  user.deletion = {
+    requestedAt: new Date(),
+    scheduledFor: new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000)
+  };
   await user.save();
 
+  await AuditLog.record({
+    action: 'account_deletion_requested',
+    userId: user._id,
+    actorId: user._id,
+    req,
+    metadata: { scheduledFor: user.deletion.scheduledFor }
+  });
+
+  await Session.revokeAllForUser(user._id, 'account_deleted');
+  res.clearCookie('token');
+  res.clearCookie('refreshToken', { path: '/api/auth' });
+
   res.status(200).json({
     success: true,
-    message: 'Account deleted successfully'
+    message: 'Account deleted successfully',
+    data: {
+      scheduledFor: user.deletion.scheduledFor
+    }
   });
 }));
 
-// @desc    Social login callback
+// @desc    Social login with a provider ID token
 // @route   POST /api/auth/social
 // @access  Public
-router.post('/social', asyncHandler(async (req, res, next) => {
-  const { provider, providerData } = req.body;
+router.post('/social', [
+  validateRequired(['provider', 'idToken'])
+], asyncHandler(async (req, res, next) => {
+  const { provider, idToken } = req.body;
 
-  // Validate provider data based on provider type
-  if (!provider || !providerData || !providerData.email) {
+  if (!isSupportedProvider(provider)) {
     return res.status(400).json({
       success: false,
-      message: 'Invalid social login data'
+      message: `Unsupported social login provider: ${provider}`
     });
   }
 
-  let user = await User.findOne({ email: providerData.email });
+  const profile = await verifyIdToken(provider, idToken);
+
+  let user = await User.findByIdentity(provider, profile.subject);
 
   if (user) {
-    // Update last login
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deactivated. Please contact support.'
+      });
+    }
+
+    const identity = user.identities.find(i => i.provider === provider && i.subject === profile.subject);
+    identity.lastUsedAt = new Date();
     user.lastLogin = new Date();
     await user.save({ validateBeforeSave: false });
-  } else {
-    // Create new user
-    user = await User.create({
-      name: providerData.name || providerData.displayName,
-      email: providerData.email,
-      avatar: providerData.picture || providerData.photos?.[0]?.value,
-      emailVerified: true, // Social logins are pre-verified
-      password: crypto.randomBytes(32).toString('hex') // Random password
+
+    return completeLogin(user, req, res, 'Social login successful');
+  }
+
+  if (!profile.email || !profile.emailVerified) {
+    return res.status(400).json({
+      success: false,
+      message: 'Your provider account has no verified email address'
     });
+  }
 
-    // Award welcome XP
-    await user.addXP(100, 'Welcome to SkillBridge!');
+  // Never attach a social identity to an existing account by email alone
+  const existingUser = await User.findOne({ email: profile.email });
+  if (existingUser) {
+    return res.status(409).json({
+      success: false,
+      message: `An account with this email already exists. Log in with your password and link ${provider} from your account settings.`,
+      accountLinkRequired: true
+    });
   }
 
-  sendTokenResponse(user, 200, res, 'Social login successful');
+  // Create new user
+  user = await User.create({
+    name: profile.name || profile.email.split('@')[0],
+    email: profile.email,
+    avatar: profile.picture,
+    emailVerified: true, // Provider verified the email
+    password: crypto.randomBytes(32).toString('hex'), // Random password
+    identities: [{
+      provider,
+      subject: profile.subject,
+      email: profile.email,
+      lastUsedAt: new Date()
+    }]
+  });
+
+  // Award welcome XP
+  await user.addXP(100, 'Welcome to SkillBridge!');
+
+  sendWelcomeEmail(user)
+    .catch(error => console.error('Welcome email error:', error));
+
+  await completeLogin(user, req, res, 'Social login successful');
 }));
 
-// @desc    Refresh token
+// @desc    Link a social identity to the current account
+// @route   POST /api/auth/social/link
+// @access  Private
+router.post('/social/link', [
+  auth,
+  validateRequired(['provider', 'idToken'])
+], asyncHandler(async (req, res, next) => {
+  const { provider, idToken } = req.body;
+
+  if (!isSupportedProvider(provider)) {
+    return res.status(400).json({
+      success: false,
+      message: `Unsupported social login provider: ${provider}`
+    });
+  }
+
+  const profile = await verifyIdToken(provider, idToken);
+
+  const linkedUser = await User.findByIdentity(provider, profile.subject);
+  if (linkedUser) {
+    const isSelf = linkedUser._id.toString() === req.user._id.toString();
+    return res.status(isSelf ? 400 : 409).json({
+      success: false,
+      message: isSelf
+        ? `This ${provider} account is already linked`
+        : `This ${provider} account is linked to another SkillBridge account`
+    });
+  }
+
+  const user = await User.findById(req.user._id);
+  if (user.identities.some(i => i.provider === provider)) {
+    return res.status(400).json({
+      success: false,
+      message: `A ${provider} account is already linked. Unlink it first.`
+    });
+  }
+
+  user.identities.push({
+    provider,
+    subject: profile.subject,
+    email: profile.email
+  });
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: `${provider} account linked successfully`,
+    data: { identities: user.identities }
+  });
+}));
+
+// @desc    Unlink a social identity
+// @route   DELETE /api/auth/social/:provider
+// @access  Private
+router.delete('/social/:provider', [
+  auth,
+  validateRequired(['password'])
+], asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+password');
+
+  if (!(await user.comparePassword(req.body.password))) {
+    return res.status(401).json({
+      success: false,
+      message: 'Incorrect password'
+    });
+  }
+
+  const identity = user.identities.find(i => i.provider === req.params.provider);
+  if (!identity) {
+    return next(createNotFoundError('Linked identity'));
+  }
+
+  identity.deleteOne();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: `${req.params.provider} account unlinked`,
+    data: { identities: user.identities }
+  });
+}));
+
+// End every session and refresh token descended from a token that was presented twice
+const revokeReusedFamily = async (stored) => {
+  await stored.revokeFamily('reuse_detected');
+  await Session.revokeWhere({ _id: stored.family }, 'reuse_detected');
+};
+
+// @desc    Refresh token (rotates the refresh token)
 // @route   POST /api/auth/refresh
 // @access  Public
-router.post('/refresh', optionalAuth, asyncHandler(async (req, res, next) => {
-  const { refreshToken } = req.body;
+router.post('/refresh', asyncHandler(async (req, res, next) => {
+  const refreshToken = req.body.refreshToken || req.cookies?.refreshToken;
 
-  if (!refreshToken && !req.user) {
+  if (!refreshToken) {
     return res.status(401).json({
       success: false,
       message: 'Refresh token required'
     });
   }
 
-  let user;
-  if (req.user) {
-    user = req.user;
-  } else {
-    // Verify refresh token logic here
-    // For now, just generate new token for existing user
+  const stored = await RefreshToken.findByToken(refreshToken);
+
+  if (!stored) {
     return res.status(401).json({
       success: false,
       message: 'Invalid refresh token'
     });
   }
 
-  sendTokenResponse(user, 200, res, 'Token refreshed successfully');
+  // A rotated token being presented again means it leaked - revoke the whole family
+  if (stored.revokedAt) {
+    if (stored.revokedReason === 'rotated') {
+      await revokeReusedFamily(stored);
+    }
+
+    return res.status(401).json({
+      success: false,
+      message: 'Refresh token has been revoked'
+    });
+  }
+
+  if (stored.isExpired) {
+    return res.status(401).json({
+      success: false,
+      message: 'Refresh token has expired'
+    });
+  }
+
+  const session = await Session.findById(stored.family);
+
+  if (!session || !session.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Session has been revoked or expired'
+    });
+  }
+
+  const user = await User.findById(stored.userId);
+
+  if (!user || !user.isActive) {
+    await session.revoke('logout');
+    return res.status(401).json({
+      success: false,
+      message: 'Account not found or deactivated'
+    });
+  }
+
+  const issued = await stored.rotate(getClientContext(req));
+
+  // Another request rotated the same token first: treat it as reuse
+  if (!issued) {
+    await revokeReusedFamily(stored);
+    return res.status(401).json({
+      success: false,
+      message: 'Refresh token has been revoked'
+    });
+  }
+
+  // Sliding expiry: the session lives as long as its newest refresh token
+  session.expiresAt = issued.refreshToken.expiresAt;
+  session.lastSeenAt = new Date();
+  session.ip = req.ip;
+  await session.save();
+
+  await sendTokenResponse(user, 200, req, res, 'Token refreshed successfully', { issued });
+}));
+
+// @desc    List active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', auth, asyncHandler(async (req, res, next) => {
+  const sessions = await Session.findActiveForUser(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: {
+      sessions: sessions.map(session => ({
+        id: session._id,
+        deviceId: session.deviceId,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.authSession._id.toString()
+      }))
+    }
+  });
+}));
+
+// @desc    Revoke all other sessions
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', auth, asyncHandler(async (req, res, next) => {
+  const revoked = await Session.revokeAllForUser(req.user._id, 'user_revoked', req.authSession._id);
+
+  res.status(200).json({
+    success: true,
+    message: `${revoked} other session(s) revoked`,
+    data: { revoked }
+  });
+}));
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+router.delete('/sessions/:sessionId', [
+  validateObjectId('sessionId'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.sessionId,
+    userId: req.user._id
+  });
+
+  if (!session || !session.isActive) {
+    return next(createNotFoundError('Session'));
+  }
+
+  await session.revoke('user_revoked');
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+}));
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires login challenge token)
+router.post('/2fa/verify', [
+  loginRateGuard,
+  validateRequired(['challengeToken'])
+], asyncHandler(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.purpose !== '2fa') {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired login challenge. Please log in again.'
+    });
+  }
+
+  const user = await User.findById(decoded.id)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes +twoFactor.challengeId');
+
+  // Each challenge can complete one login; a used or replaced one needs a fresh password login
+  if (!user || !user.isActive || !user.twoFactor.enabled || !decoded.jti || user.twoFactor.challengeId !== decoded.jti) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid login challenge'
+    });
+  }
+
+  const lockError = checkAccountLock(user);
+  if (lockError) {
+    return next(lockError);
+  }
+
+  const verified = recoveryCode
+    ? await user.useRecoveryCode(recoveryCode)
+    : await user.verifyTwoFactorCode(code);
+
+  if (!verified) {
+    await recordFailedLogin(req, user);
+
+    return res.status(401).json({
+      success: false,
+      message: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code'
+    });
+  }
+
+  // Claim the challenge atomically so two requests racing with the same token cannot both log in
+  if (!await user.consumeLoginChallenge(decoded.jti)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid login challenge'
+    });
+  }
+
+  await recordSuccessfulLogin(user);
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  await sendTokenResponse(user, 200, req, res, 'Login successful', { twoFactorVerified: true });
+}));
+
+// @desc    Start 2FA enrolment (generate secret)
+// @route   POST /api/auth/2fa/setup
+// @access  Private (Business/Admin)
+router.post('/2fa/setup', [
+  auth,
+  permit('auth:setup-2fa')
+], asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    }
+  });
+}));
+
+// @desc    Confirm 2FA enrolment
+// @route   POST /api/auth/2fa/enable
+// @access  Private (Business/Admin)
+router.post('/2fa/enable', [
+  auth,
+  permit('auth:setup-2fa'),
+  validateRequired(['code'])
+], asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id)
+    .select('+twoFactor.pendingSecret +twoFactor.lastUsedStep');
+
+  if (!user.twoFactor.pendingSecret) {
+    return res.status(400).json({
+      success: false,
+      message: 'Start two-factor setup first'
+    });
+  }
+
+  if (!(await user.verifyTwoFactorCode(req.body.code, 'pendingSecret'))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid authentication code'
+    });
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(code => ({ hash: hashRecoveryCode(code) }));
+  await user.save({ validateBeforeSave: false });
+
+  // The current session just proved possession of the authenticator
+  req.authSession.twoFactorVerified = true;
+  await req.authSession.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    data: { recoveryCodes }
+  });
+}));
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', [
+  auth,
+  validateRequired(['password'])
+], asyncHandler(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+  const user = await User.findById(req.user._id)
+    .select('+password +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+  if (!user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  if (!(await user.comparePassword(password))) {
+    return res.status(401).json({
+      success: false,
+      message: 'Incorrect password'
+    });
+  }
+
+  const verified = recoveryCode
+    ? await user.useRecoveryCode(recoveryCode)
+    : await user.verifyTwoFactorCode(code);
+
+  if (!verified) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid authentication code'
+    });
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+// @desc    Regenerate recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', [
+  auth,
+  validateRequired(['code'])
+], asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+  if (!user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  if (!(await user.verifyTwoFactorCode(req.body.code))) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid authentication code'
+    });
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => ({ hash: hashRecoveryCode(recoveryCode) }));
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'New recovery codes generated. Previous codes no longer work.',
+    data: { recoveryCodes }
+  });
+}));
+
+// @desc    Send a one-time code to verify a phone number
+// @route   POST /api/auth/phone/send-code
+// @access  Private
+router.post('/phone/send-code', [
+  auth,
+  validateRequired(['phone'])
+], asyncHandler(async (req, res, next) => {
+  const phone = normalizePhone(req.body.phone);
+
+  if (!phone) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please enter a valid phone number'
+    });
+  }
+
+  const user = await User.findById(req.user._id).select('+phoneVerification.sentAt');
+
+  if (user.phoneVerified && user.phone === phone) {
+    return res.status(400).json({
+      success: false,
+      message: 'This phone number is already verified'
+    });
+  }
+
+  // One code per minute
+  const sentAt = user.phoneVerification?.sentAt;
+  if (sentAt && Date.now() - sentAt.getTime() < PHONE_CODE_RESEND_SECONDS * 1000) {
+    return next(createRateLimitError(
+      'Please wait before requesting another code',
+      Math.ceil((sentAt.getTime() + PHONE_CODE_RESEND_SECONDS * 1000 - Date.now()) / 1000)
+    ));
+  }
+
+  // Daily caps per account and per number (across accounts), so the endpoint cannot be used to flood a phone
+  const accountWait = await getPhoneCodeWait({ userId: user._id }, PHONE_CODES_PER_ACCOUNT_PER_DAY);
+  if (accountWait > 0) {
+    return next(createRateLimitError('Too many verification codes requested today. Please try again later.', accountWait));
+  }
+
+  const numberWait = await getPhoneCodeWait({ 'metadata.phoneHash': hashPhone(phone) }, PHONE_CODES_PER_NUMBER_PER_DAY);
+  if (numberWait > 0) {
+    return next(createRateLimitError('Too many verification codes sent to this number today. Please try again later.', numberWait));
+  }
+
+  const code = user.createPhoneVerificationCode(phone, PHONE_CODE_MINUTES);
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendSms({
+      to: phone,
+      message: `Your SkillBridge verification code is ${code}. It expires in ${PHONE_CODE_MINUTES} minutes.`
+    });
+  } catch (error) {
+    console.error('Phone verification SMS error:', error);
+    user.phoneVerification = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Verification code could not be sent'
+    });
+  }
+
+  await AuditLog.record({ action: 'phone_code_sent', userId: user._id, req, metadata: { phoneHash: hashPhone(phone) } });
+
+  res.status(200).json({
+    success: true,
+    message: `Verification code sent to ${phone}`,
+    data: { phone, expiresInMinutes: PHONE_CODE_MINUTES }
+  });
+}));
+
+// @desc    Verify a phone number with the SMS code
+// @route   POST /api/auth/phone/verify
+// @access  Private
+router.post('/phone/verify', [
+  auth,
+  validateRequired(['code'])
+], asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(
+    '+phoneVerification.phone +phoneVerification.codeHash +phoneVerification.expiresAt +phoneVerification.attempts'
+  );
+
+  const { verified, reason } = await user.verifyPhoneCode(req.body.code);
+
+  if (!verified) {
+    return res.status(400).json({
+      success: false,
+      message: reason
+    });
+  }
+
+  // Verifying a number opts the user in to SMS updates; they can turn it off in settings
+  user.preferences.smsUpdates = true;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Phone number verified. SMS updates are now on.',
+    data: { phone: user.phone, phoneVerified: true }
+  });
 }));
 
 export default router;
\ No newline at end of file
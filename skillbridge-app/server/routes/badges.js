@@ -1,6 +1,6 @@
 import express from 'express';
 import Badge from '../models/Badge.js';
-import { auth, adminOnly, optionalAuth } from '../middleware/auth.js';
+import { auth, optionalAuth } from '../middleware/auth.js';
 import { asyncHandler, validateObjectId, createNotFoundError } from '../middleware/errorHandler.js';
 
 const router = express.Router();
@@ -0,0 +1,124 @@
+import express from 'express';
+import fs from 'fs';
+import Progress from '../models/Progress.js';
+import { auth } from '../middleware/auth.js';
+import { renderVerificationPage } from '../utils/certificates.js';
+import { resolveStoredFile } from '../utils/uploads.js';
+import { asyncHandler, validateObjectId, createNotFoundError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const CERTIFICATE_ID_PATTERN = /^SB-[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/;
+
+// Render the PDF again when the stored file is missing (or was never written); null when it cannot be
+const ensureCertificateFile = async (progress) => {
+  if (!progress.certificatePath || !fs.existsSync(resolveStoredFile(progress.certificatePath))) {
+    if (!await progress.issueCertificate()) return null;
+  }
+  return resolveStoredFile(progress.certificatePath);
+};
+
+// @desc    List my certificates
+// @route   GET /api/certificates/me
+// @access  Private
+router.get('/me', auth, asyncHandler(async (req, res, next) => {
+  const certificates = await Progress.find({ userId: req.user._id, certificateIssued: true })
+    .select('courseId certificateId certificateIssuedAt completedAt')
+    .populate('courseId', 'title thumbnail')
+    .sort('-certificateIssuedAt');
+
+  res.status(200).json({
+    success: true,
+    count: certificates.length,
+    data: { certificates }
+  });
+}));
+
+// @desc    Issue the certificate for a completed course (courses completed before certificates existed)
+// @route   POST /api/certificates/course/:courseId
+// @access  Private
+router.post('/course/:courseId', [
+  validateObjectId('courseId'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  const progress = await Progress.findOne({ userId: req.user._id, courseId: req.params.courseId });
+
+  if (!progress) {
+    return next(createNotFoundError('Enrollment'));
+  }
+
+  if (progress.status !== 'completed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Complete the course to receive a certificate'
+    });
+  }
+
+  if (!progress.certificateIssued) {
+    await progress.issueCertificate();
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Certificate issued',
+    data: {
+      certificateId: progress.certificateId,
+      certificateIssuedAt: progress.certificateIssuedAt
+    }
+  });
+}));
+
+// @desc    Download my certificate PDF
+// @route   GET /api/certificates/:certificateId/download
+// @access  Private (Learner)
+router.get('/:certificateId/download', auth, asyncHandler(async (req, res, next) => {
+  const progress = CERTIFICATE_ID_PATTERN.test(req.params.certificateId)
+    ? await Progress.findOne({ certificateId: req.params.certificateId, userId: req.user._id })
+    : null;
+
+  const file = progress && await ensureCertificateFile(progress);
+
+  if (!file) {
+    return next(createNotFoundError('Certificate'));
+  }
+
+  res.download(file, `skillbridge-certificate-${progress.certificateId}.pdf`);
+}));
+
+// @desc    Verify a certificate (HTML page for browsers, JSON otherwise)
+// @route   GET /api/certificates/:certificateId/verify
+// @access  Public
+router.get('/:certificateId/verify', asyncHandler(async (req, res, next) => {
+  const { certificateId } = req.params;
+  const progress = CERTIFICATE_ID_PATTERN.test(certificateId)
+    ? await Progress.findOne({ certificateId, certificateIssued: true })
+      .populate('userId', 'name')
+      .populate({
+        path: 'courseId',
+        select: 'title instructor',
+        populate: { path: 'instructor', select: 'name businessName' }
+      })
+    : null;
+
+  const verification = progress?.userId && progress.courseId
+    ? {
+      valid: true,
+      certificateId,
+      learnerName: progress.userId.name,
+      courseTitle: progress.courseId.title,
+      instructorName: progress.courseId.instructor?.businessName || progress.courseId.instructor?.name,
+      completedAt: progress.completedAt,
+      issuedAt: progress.certificateIssuedAt
+    }
+    : { valid: false, certificateId };
+
+  res.status(verification.valid ? 200 : 404).format({
+    json: () => res.json({
+      success: verification.valid,
+      data: { verification }
+    }),
+    html: () => res.send(renderVerificationPage(verification))
+  });
+}));
+
+export default router;
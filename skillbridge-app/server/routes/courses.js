@@ -1,15 +1,37 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Course from '../models/Course.js';
 import User from '../models/User.js';
 import Progress from '../models/Progress.js';
-import Badge from '../models/Badge.js';
-import { auth, adminOnly, optionalAuth, businessOrAdmin } from '../middleware/auth.js';
+import { auth, permit, optionalAuth } from '../middleware/auth.js';
+import { can } from '../utils/policy.js';
+import { notify } from '../services/notifications.js';
+import { awardModuleCompletion } from '../services/courses.js';
+import { presentSubmission } from '../services/grading.js';
+import { getQuizItemAnalysis } from '../services/quizAnalytics.js';
+import { DOCUMENT_TYPES, getUploadedFiles, validateFiles, storeFile, removeStoredFile } from '../utils/uploads.js';
+import {
+  sanitizeQuiz,
+  presentQuiz,
+  hasQuizQuestions,
+  generateAttemptSeed,
+  drawQuestionIds,
+  getAttemptQuestions,
+  isAttemptOverdue,
+  toAnswerEntries,
+  mergeQuestionTimes,
+  buildAttemptReview,
+  getRecertification,
+  submitQuizAttempt
+} from '../services/quizzes.js';
 import { 
   asyncHandler, 
   validateRequired, 
   validateObjectId,
   createNotFoundError,
-  createPermissionError 
+  createPermissionError,
+  createBadRequestError,
+  createRateLimitError
 } from '../middleware/errorHandler.js';
 
 const router = express.Router();
@@ -154,7 +176,7 @@ router.get('/:id', [
 
   // Check if user can access this course
   if (course.status !== 'published' || !course.isPublic) {
-    if (!req.user || (req.user._id.toString() !== course.instructor._id.toString() && req.user.role !== 'admin')) {
+    if (!can(req.user, 'course:read-unpublished', course)) {
       return next(createNotFoundError('Course'));
     }
   }
@@ -177,17 +199,10 @@ router.get('/:id', [
     canEnroll = false; // Need to be logged in to enroll
   }
 
-  // Hide quiz questions for non-enrolled users
+  // Correct answers and explanations are only shown to the course's instructors
   let courseData = course.toObject();
-  if (!userProgress) {
-    if (courseData.quiz) {
-      courseData.quiz.questions = courseData.quiz.questions.map(q => ({
-        ...q,
-        options: q.options?.map(opt => ({ text: opt.text })), // Hide correct answers
-        correctAnswer: undefined,
-        explanation: undefined
-      }));
-    }
+  if (courseData.quiz && !can(req.user, 'course:update', course)) {
+    courseData.quiz = sanitizeQuiz(courseData.quiz);
   }
 
   res.status(200).json({
@@ -207,7 +222,8 @@ router.get('/:id', [
 // @route   POST /api/courses
 // @access  Private (Admin/Business)
 router.post('/', [
-  businessOrAdmin,
+  auth,
+  permit('course:create'),
   validateRequired(['title', 'description', 'skillTag', 'category', 'level', 'duration'])
 ], asyncHandler(async (req, res, next) => {
   // Add instructor ID to request body
@@ -239,7 +255,7 @@ router.put('/:id', [
   }
 
   // Check ownership
-  if (course.instructor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (!can(req.user, 'course:update', course)) {
     return next(createPermissionError('Not authorized to update this course'));
   }
 
@@ -272,7 +288,7 @@ router.delete('/:id', [
   }
 
   // Check ownership
-  if (course.instructor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (!can(req.user, 'course:delete', course)) {
     return next(createPermissionError('Not authorized to delete this course'));
   }
 
@@ -298,7 +314,8 @@ router.delete('/:id', [
 // @access  Private
 router.post('/:id/enroll', [
   validateObjectId('id'),
-  auth
+  auth,
+  permit('course:enroll')
 ], asyncHandler(async (req, res, next) => {
   const course = await Course.findById(req.params.id);
 
@@ -371,9 +388,15 @@ router.get('/:id/progress', [
     });
   }
 
+  const progressData = progress.toObject();
+  if (progressData.courseId?.quiz) {
+    progressData.courseId.quiz = sanitizeQuiz(progressData.courseId.quiz);
+  }
+  progressData.assignmentSubmissions = progressData.assignmentSubmissions.map(presentSubmission);
+
   res.status(200).json({
     success: true,
-    data: { progress }
+    data: { progress: progressData }
   });
 }));
 
@@ -399,6 +422,17 @@ router.put('/:id/modules/:moduleId/progress', [
 
   const { status, timeSpent = 0, notes, bookmarked = false } = req.body;
 
+  const course = await Course.findById(req.params.id);
+  const module = course?.modules.id(req.params.moduleId);
+
+  // Assignment modules are completed by the instructor passing a submission
+  if (status === 'completed' && module?.content?.type === 'assignment') {
+    return res.status(400).json({
+      success: false,
+      message: 'Assignment modules are completed once your submission has been graded'
+    });
+  }
+
   const moduleProgress = await progress.updateModuleProgress(req.params.moduleId, {
     status,
     timeSpent,
@@ -408,37 +442,9 @@ router.put('/:id/modules/:moduleId/progress', [
     ...(status === 'in-progress' && !progress.modulesProgress.find(m => m.moduleId.toString() === req.params.moduleId)?.startedAt && { startedAt: new Date() })
   });
 
-  // Award XP for module completion
-  if (status === 'completed') {
-    const course = await Course.findById(req.params.id);
-    const module = course.modules.id(req.params.moduleId);
-    
-    if (module) {
-      const xpReward = module.xpReward || 50;
-      await req.user.addXP(xpReward, `Module completed: ${module.title}`);
-    }
-
-    // Check for course completion
-    if (progress.progressPercentage === 100) {
-      await progress.markCompleted();
-      await Course.findByIdAndUpdate(req.params.id, { $inc: { completionCount: 1 } });
-      
-      // Award course completion XP
-      const courseXP = course.xpReward || 500;
-      await req.user.addXP(courseXP, `Course completed: ${course.title}`);
-
-      // Award badge if configured
-      if (course.badgeGranted) {
-        try {
-          const badge = await Badge.findById(course.badgeGranted);
-          if (badge) {
-            await badge.awardToUser(req.user, course._id);
-          }
-        } catch (error) {
-          console.error('Badge award error:', error);
-        }
-      }
-    }
+  // Award XP for module completion (and the course rewards when it was the last one)
+  if (status === 'completed' && course) {
+    await awardModuleCompletion({ course, progress, user: req.user, moduleId: req.params.moduleId });
   }
 
   res.status(200).json({
@@ -451,7 +457,371 @@ router.put('/:id/modules/:moduleId/progress', [
   });
 }));
 
-// @desc    Submit quiz attempt
+// @desc    Submit files for an assignment module (graded by the instructor)
+// @route   POST /api/courses/:id/modules/:moduleId/submission
+// @access  Private
+router.post('/:id/modules/:moduleId/submission', [
+  validateObjectId('id'),
+  validateObjectId('moduleId'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  const [course, progress] = await Promise.all([
+    Course.findById(req.params.id),
+    Progress.findOne({ userId: req.user._id, courseId: req.params.id })
+  ]);
+
+  if (!course || !progress) {
+    return next(createNotFoundError('Course or enrollment'));
+  }
+
+  const module = course.modules.id(req.params.moduleId);
+  if (!module || module.content?.type !== 'assignment') {
+    return next(createNotFoundError('Assignment'));
+  }
+
+  // A new submission is only accepted after a returned (failed) one
+  const latest = progress.getAssignmentSubmission(module._id);
+  if (latest && latest.status !== 'returned') {
+    return res.status(400).json({
+      success: false,
+      message: latest.status === 'needs-review'
+        ? 'Your submission is still waiting to be graded'
+        : 'This assignment has already been graded'
+    });
+  }
+
+  const files = getUploadedFiles(req, 'files');
+  if (files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'At least one file is required'
+    });
+  }
+
+  const assignment = module.assignment || {};
+  validateFiles(files, {
+    allowedTypes: assignment.allowedTypes?.length ? assignment.allowedTypes : DOCUMENT_TYPES,
+    maxFiles: assignment.maxFiles || 3,
+    maxSizeMB: assignment.maxSizeMB || 10
+  });
+
+  const stored = [];
+  for (const file of files) {
+    stored.push(await storeFile(file, `assignments/${course._id}/${req.user._id}`));
+  }
+
+  const submitted = await progress.submitAssignment(module._id, { files: stored, comment: req.body.comment });
+
+  // Lost the race to a concurrent submission
+  if (!submitted) {
+    for (const file of stored) {
+      await removeStoredFile(file.path);
+    }
+    return res.status(400).json({
+      success: false,
+      message: 'Your submission is still waiting to be graded'
+    });
+  }
+
+  const moduleProgress = submitted.progress.modulesProgress.find(m => m.moduleId.toString() === module._id.toString());
+  await submitted.progress.updateModuleProgress(module._id, {
+    status: 'in-progress',
+    ...(!moduleProgress?.startedAt && { startedAt: new Date() })
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Assignment submitted for grading',
+    data: { submission: presentSubmission(submitted.submission) }
+  });
+}));
+
+// @desc    Get my latest submission for an assignment module
+// @route   GET /api/courses/:id/modules/:moduleId/submission
+// @access  Private
+router.get('/:id/modules/:moduleId/submission', [
+  validateObjectId('id'),
+  validateObjectId('moduleId'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  const progress = await Progress.findOne({ userId: req.user._id, courseId: req.params.id });
+  const submission = progress?.getAssignmentSubmission(req.params.moduleId);
+
+  if (!submission) {
+    return next(createNotFoundError('Submission'));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { submission: presentSubmission(submission) }
+  });
+}));
+
+// Course and the caller's enrollment for the quiz routes
+const findQuizEnrollment = async (req) => {
+  const [course, progress] = await Promise.all([
+    Course.findById(req.params.id),
+    Progress.findOne({ userId: req.user._id, courseId: req.params.id })
+  ]);
+  return { course, progress };
+};
+
+// Answers from the request body ({ [questionId]: answer } or an array); undefined keeps the autosaved ones
+const submittedAnswers = (body) => (body.answers && typeof body.answers === 'object' ? body.answers : undefined);
+
+const sendQuizResult = (res, result) => {
+  const { attempt, review, xpEarned, expired, pendingReview, badgeRenewed } = result;
+  // XP is only awarded when the attempt improves on what the learner already earned from the quiz
+  const xpMessage = xpEarned > 0 ? `You earned ${xpEarned} XP.` : 'No new XP, improve on your best result to earn more.';
+  let message = attempt.passed
+    ? `Quiz passed! Score: ${attempt.score}%. ${xpMessage}`
+    : `Quiz failed. Score: ${attempt.score}%. ${xpMessage}`;
+  if (pendingReview) {
+    message = 'Quiz submitted. Some answers are graded by the instructor; your score and XP follow once they are reviewed.';
+  }
+  if (expired) {
+    message = `Time limit reached, your saved answers were graded. ${message}`;
+  }
+
+  res.status(201).json({
+    success: true,
+    message,
+    data: {
+      attempt,
+      review,
+      xpEarned,
+      pendingReview,
+      badgeRenewed
+    }
+  });
+};
+
+// Error for a learner who cannot start another attempt yet (attempt limit or cooldown), otherwise null
+const getQuizStartError = async (course, progress, user) => {
+  // Check attempt limit (plus any extra attempts granted by the instructor)
+  const { recertifying } = await getRecertification(course, user);
+  if (!recertifying && progress.quizAttempts.length >= progress.getQuizAttemptsAllowed(course.quiz)) {
+    return createBadRequestError('Maximum quiz attempts reached');
+  }
+
+  // Check cooldown since the last attempt
+  const nextAttemptAt = progress.getNextQuizAttemptAt(course.quiz);
+  if (nextAttemptAt) {
+    const wait = Math.ceil((nextAttemptAt - Date.now()) / 1000);
+    return createRateLimitError(
+      `You can retake the quiz in ${Math.ceil(wait / 60)} minute${wait > 60 ? 's' : ''}`,
+      wait
+    );
+  }
+
+  return null;
+};
+
+// @desc    Start (or resume) a timed quiz attempt
+// @route   POST /api/courses/:id/quiz/start
+// @access  Private
+router.post('/:id/quiz/start', [
+  validateObjectId('id'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  let { course, progress } = await findQuizEnrollment(req);
+
+  if (!course || !progress) {
+    return next(createNotFoundError('Course or enrollment'));
+  }
+
+  if (!hasQuizQuestions(course.quiz)) {
+    return res.status(400).json({
+      success: false,
+      message: 'No quiz available for this course'
+    });
+  }
+
+  let attempt = progress.getOpenQuizAttempt();
+
+  // An attempt left open past its deadline is graded with what was saved before starting a new one
+  if (attempt && isAttemptOverdue(attempt)) {
+    await submitQuizAttempt({ course, progress, user: req.user, attempt });
+    progress = await Progress.findById(progress._id);
+    attempt = null;
+  }
+
+  if (attempt) {
+    return res.status(200).json({
+      success: true,
+      message: 'Quiz attempt resumed',
+      data: {
+        attempt,
+        quiz: presentQuiz(course.quiz, attempt, await getAttemptQuestions(course.quiz, attempt)),
+        serverTime: new Date()
+      }
+    });
+  }
+
+  const startError = await getQuizStartError(course, progress, req.user);
+  if (startError) {
+    return next(startError);
+  }
+
+  const seed = generateAttemptSeed();
+  const questionIds = await drawQuestionIds(course, seed);
+
+  if (questionIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No quiz questions are available right now'
+    });
+  }
+
+  attempt = await progress.startQuizAttempt({
+    timeLimit: course.quiz.timeLimit,
+    seed,
+    questionIds
+  });
+
+  if (!attempt) {
+    return res.status(409).json({
+      success: false,
+      message: 'A quiz attempt is already in progress'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Quiz attempt started',
+    data: {
+      attempt,
+      quiz: presentQuiz(course.quiz, attempt, await getAttemptQuestions(course.quiz, attempt)),
+      serverTime: new Date()
+    }
+  });
+}));
+
+// @desc    Get a quiz attempt (answers and explanations are included once it has been graded)
+// @route   GET /api/courses/:id/quiz/attempts/:attemptId
+// @access  Private
+router.get('/:id/quiz/attempts/:attemptId', [
+  validateObjectId('id'),
+  validateObjectId('attemptId'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  const { course, progress } = await findQuizEnrollment(req);
+  const attempt = progress?.quizAttempts.id(req.params.attemptId);
+
+  if (!course?.quiz || !attempt) {
+    return next(createNotFoundError('Quiz attempt'));
+  }
+
+  const questions = await getAttemptQuestions(course.quiz, attempt);
+  const open = attempt.status === 'in-progress';
+
+  res.status(200).json({
+    success: true,
+    data: {
+      attempt,
+      quiz: open ? presentQuiz(course.quiz, attempt, questions) : undefined,
+      review: buildAttemptReview(attempt, questions),
+      serverTime: new Date()
+    }
+  });
+}));
+
+// @desc    Autosave answers on an open quiz attempt
+// @route   PUT /api/courses/:id/quiz/attempts/:attemptId
+// @access  Private
+router.put('/:id/quiz/attempts/:attemptId', [
+  validateObjectId('id'),
+  validateObjectId('attemptId'),
+  auth,
+  validateRequired(['answers'])
+], asyncHandler(async (req, res, next) => {
+  const { course, progress } = await findQuizEnrollment(req);
+  const attempt = progress?.quizAttempts.id(req.params.attemptId);
+
+  if (!course?.quiz || !attempt) {
+    return next(createNotFoundError('Quiz attempt'));
+  }
+
+  if (!submittedAnswers(req.body)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Answers must be keyed by question ID'
+    });
+  }
+
+  if (attempt.status !== 'in-progress') {
+    return res.status(400).json({
+      success: false,
+      message: 'This attempt has already been submitted'
+    });
+  }
+
+  if (isAttemptOverdue(attempt)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Time limit reached, submit the attempt to have your saved answers graded'
+    });
+  }
+
+  const questions = await getAttemptQuestions(course.quiz, attempt);
+  const saved = await progress.saveQuizAnswers(attempt._id, toAnswerEntries(
+    questions,
+    req.body.answers,
+    mergeQuestionTimes(attempt, req.body.timeSpent)
+  ));
+
+  if (!saved) {
+    return res.status(400).json({
+      success: false,
+      message: 'This attempt has already been submitted'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Answers saved',
+    data: {
+      savedAt: new Date(),
+      expiresAt: attempt.expiresAt
+    }
+  });
+}));
+
+// @desc    Submit a quiz attempt for grading
+// @route   POST /api/courses/:id/quiz/attempts/:attemptId/submit
+// @access  Private
+router.post('/:id/quiz/attempts/:attemptId/submit', [
+  validateObjectId('id'),
+  validateObjectId('attemptId'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  const { course, progress } = await findQuizEnrollment(req);
+  const attempt = progress?.quizAttempts.id(req.params.attemptId);
+
+  if (!course?.quiz || !attempt) {
+    return next(createNotFoundError('Quiz attempt'));
+  }
+
+  const result = attempt.status === 'in-progress' && await submitQuizAttempt({
+    course,
+    progress,
+    user: req.user,
+    attempt,
+    answers: submittedAnswers(req.body),
+    timeSpent: req.body.timeSpent
+  });
+
+  if (!result) {
+    return res.status(400).json({
+      success: false,
+      message: 'This attempt has already been submitted'
+    });
+  }
+
+  sendQuizResult(res, result);
+}));
+
+// @desc    Submit the open quiz attempt (kept for older clients; prefer the attempt routes above)
 // @route   POST /api/courses/:id/quiz/attempt
 // @access  Private
 router.post('/:id/quiz/attempt', [
@@ -459,108 +829,148 @@ router.post('/:id/quiz/attempt', [
   auth,
   validateRequired(['answers'])
 ], asyncHandler(async (req, res, next) => {
-  const course = await Course.findById(req.params.id);
-  const progress = await Progress.findOne({
-    userId: req.user._id,
-    courseId: req.params.id
-  });
+  const { course, progress } = await findQuizEnrollment(req);
 
   if (!course || !progress) {
     return next(createNotFoundError('Course or enrollment'));
   }
 
-  if (!course.quiz || !course.quiz.questions.length) {
+  if (!hasQuizQuestions(course.quiz)) {
     return res.status(400).json({
       success: false,
       message: 'No quiz available for this course'
     });
   }
 
-  const { answers, timeSpent = 0 } = req.body;
+  // Attempts are only started through POST /quiz/start, which draws the questions and
+  // sets the deadline; grading one here in the same request would skip both
+  const attempt = progress.getOpenQuizAttempt();
 
-  // Check attempt limit
-  if (progress.quizAttempts.length >= course.quiz.attemptsAllowed) {
+  if (!attempt) {
     return res.status(400).json({
       success: false,
-      message: 'Maximum quiz attempts reached'
+      message: 'Start the quiz before submitting answers'
     });
   }
 
-  // Grade the quiz
-  let totalPoints = 0;
-  let maxPoints = 0;
-  const gradedAnswers = [];
-
-  for (let i = 0; i < course.quiz.questions.length; i++) {
-    const question = course.quiz.questions[i];
-    const userAnswer = answers[i];
-    let isCorrect = false;
-    let pointsEarned = 0;
-
-    maxPoints += question.points;
-
-    switch (question.type) {
-      case 'multiple-choice':
-        const correctOption = question.options.find(opt => opt.isCorrect);
-        isCorrect = userAnswer === correctOption?.text;
-        break;
-      case 'true-false':
-        const correctTF = question.options.find(opt => opt.isCorrect);
-        isCorrect = userAnswer === correctTF?.text;
-        break;
-      case 'fill-blank':
-      case 'short-answer':
-        isCorrect = userAnswer?.toLowerCase().trim() === question.correctAnswer?.toLowerCase().trim();
-        break;
-    }
+  const result = await submitQuizAttempt({
+    course,
+    progress,
+    user: req.user,
+    attempt,
+    answers: submittedAnswers(req.body),
+    timeSpent: req.body.timeSpent
+  });
 
-    if (isCorrect) {
-      pointsEarned = question.points;
-      totalPoints += pointsEarned;
-    }
+  if (!result) {
+    return res.status(400).json({
+      success: false,
+      message: 'This attempt has already been submitted'
+    });
+  }
+
+  sendQuizResult(res, result);
+}));
+
+// @desc    Get per-question statistics for the course quiz
+// @route   GET /api/courses/:id/quiz/analytics
+// @access  Private (Instructor/Admin)
+router.get('/:id/quiz/analytics', [
+  validateObjectId('id'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  const course = await Course.findById(req.params.id);
+
+  if (!course) {
+    return next(createNotFoundError('Course'));
+  }
+
+  if (!can(req.user, 'course:view-analytics', course)) {
+    return next(createPermissionError('Not authorized to view analytics for this course'));
+  }
 
-    gradedAnswers.push({
-      questionId: question._id,
-      answer: userAnswer,
-      isCorrect,
-      pointsEarned
+  if (!course.quiz) {
+    return res.status(400).json({
+      success: false,
+      message: 'This course has no quiz'
     });
   }
 
-  const score = Math.round((totalPoints / maxPoints) * 100);
-  const passed = score >= (course.quiz.passingScore || 70);
+  const analysis = await getQuizItemAnalysis(course, { allAttempts: req.query.attempts === 'all' });
 
-  // Record quiz attempt
-  const attempt = await progress.recordQuizAttempt({
-    startedAt: new Date(Date.now() - timeSpent * 1000),
-    completedAt: new Date(),
-    timeSpent,
-    answers: gradedAnswers,
-    score,
-    totalPoints,
-    maxPoints,
-    passed
-  });
-
-  // Award XP for quiz completion
-  let xpReward = 0;
-  if (passed) {
-    xpReward = course.quiz.xpReward || 100;
-    await req.user.addXP(xpReward, `Quiz passed: ${course.title}`);
-  } else {
-    xpReward = Math.floor((course.quiz.xpReward || 100) * 0.3); // 30% XP for failed attempt
-    await req.user.addXP(xpReward, `Quiz attempted: ${course.title}`);
+  res.status(200).json({
+    success: true,
+    data: { analysis }
+  });
+}));
+
+// @desc    Grant a learner extra quiz attempts (also lifts the retake cooldown)
+// @route   POST /api/courses/:id/quiz/extra-attempts
+// @access  Private (Instructor/Admin)
+router.post('/:id/quiz/extra-attempts', [
+  validateObjectId('id'),
+  auth,
+  validateRequired(['userId'])
+], asyncHandler(async (req, res, next) => {
+  const course = await Course.findById(req.params.id);
+
+  if (!course?.quiz) {
+    return next(createNotFoundError('Course quiz'));
   }
 
-  res.status(201).json({
+  if (!can(req.user, 'course:grade', course)) {
+    return next(createPermissionError('Not authorized to manage attempts for this course'));
+  }
+
+  const attempts = req.body.attempts === undefined ? 1 : Number(req.body.attempts);
+  if (!Number.isInteger(attempts) || attempts < 1 || attempts > 10) {
+    return res.status(400).json({
+      success: false,
+      message: 'Attempts must be a whole number between 1 and 10'
+    });
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(req.body.userId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid userId format'
+    });
+  }
+
+  const progress = await Progress.findOneAndUpdate(
+    { userId: req.body.userId, courseId: course._id },
+    {
+      $push: {
+        quizAttemptGrants: {
+          attempts,
+          reason: req.body.reason,
+          grantedBy: req.user._id,
+          grantedAt: new Date()
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!progress) {
+    return next(createNotFoundError('Enrollment'));
+  }
+
+  await notify(progress.userId, {
+    type: 'system',
+    title: 'Extra quiz attempts',
+    message: `You have been given ${attempts} extra attempt${attempts === 1 ? '' : 's'} at the "${course.title}" quiz.`,
+    link: `/courses/${course._id}`,
+    data: { courseId: course._id, attempts }
+  });
+
+  res.status(200).json({
     success: true,
-    message: passed ? `Quiz passed! Score: ${score}%. You earned ${xpReward} XP.` : `Quiz failed. Score: ${score}%. You earned ${xpReward} XP for trying.`,
-    data: { 
-      attempt: {
-        ...attempt.toObject(),
-        feedback: passed ? 'Great job! You passed the quiz.' : 'Keep studying and try again.'
-      },
-      xpEarned: xpReward
+    message: `Granted ${attempts} extra attempt${attempts === 1 ? '' : 's'}`,
+    data: {
+      attemptsUsed: progress.quizAttempts.length,
+      attemptsAllowed: progress.getQuizAttemptsAllowed(course.quiz),
+      grants: progress.quizAttemptGrants
     }
   });
 }));
@@ -571,6 +981,7 @@ router.post('/:id/quiz/attempt', [
 router.post('/:id/review', [
   validateObjectId('id'),
   auth,
+  permit('course:review'),
   validateRequired(['rating'])
 ], asyncHandler(async (req, res, next) => {
   const course = await Course.findById(req.params.id);
@@ -693,7 +1104,7 @@ router.get('/my/enrolled', auth, asyncHandler(async (req, res, next) => {
 // @desc    Get instructor's courses
 // @route   GET /api/courses/my/teaching
 // @access  Private (Business/Admin)
-router.get('/my/teaching', [auth, businessOrAdmin], asyncHandler(async (req, res, next) => {
+router.get('/my/teaching', [auth, permit('course:list-own')], asyncHandler(async (req, res, next) => {
   const courses = await Course.find({ instructor: req.user._id })
     .populate('badgeGranted', 'name icon')
     .sort('-createdAt');
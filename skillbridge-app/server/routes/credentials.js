@@ -0,0 +1,370 @@
+import express from 'express';
+import fs from 'fs/promises';
+import { isDeepStrictEqual } from 'util';
+import mongoose from 'mongoose';
+import Badge from '../models/Badge.js';
+import BadgeAssertion from '../models/BadgeAssertion.js';
+import AuditLog from '../models/AuditLog.js';
+import { auth } from '../middleware/auth.js';
+import { can } from '../utils/policy.js';
+import {
+  REVOCATION_LIST_TYPE,
+  credentialsUrl,
+  getIssuerProfile,
+  getSigningKey,
+  buildAchievement,
+  verifyCredentialJwt
+} from '../utils/openBadges.js';
+import { renderBadgeSvg, renderBadgePng, bakeSvg, bakePng, extractBakedCredential } from '../utils/badgeImages.js';
+import {
+  asyncHandler,
+  validateObjectId,
+  createNotFoundError,
+  createPermissionError
+} from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const sendJsonLd = (res, document) => {
+  res.type('application/ld+json').send(JSON.stringify(document, null, 2));
+};
+
+// Current standing of an issued credential
+const getVerification = (assertion) => {
+  const result = {
+    id: assertion.credential.id,
+    status: assertion.status,
+    revoked: assertion.status === 'revoked',
+    revokedAt: assertion.revokedAt,
+    revocationReason: assertion.revocationReason,
+    expired: Boolean(assertion.expiresAt && assertion.expiresAt < new Date()),
+    signatureValid: false
+  };
+
+  if (!assertion.jwt) {
+    // Withdrawn when the recipient's account was purged
+    result.signatureError = 'The signed credential is no longer held by the issuer';
+  } else {
+    try {
+      verifyCredentialJwt(assertion.jwt);
+      result.signatureValid = true;
+    } catch (error) {
+      result.signatureError = error.message;
+    }
+  }
+
+  result.valid = result.signatureValid && !result.revoked && !result.expired;
+  return result;
+};
+
+// @desc    Issuer profile
+// @route   GET /api/credentials/issuer
+// @access  Public
+router.get('/issuer', (req, res) => {
+  sendJsonLd(res, getIssuerProfile());
+});
+
+// @desc    Issuer public signing keys
+// @route   GET /api/credentials/issuer/jwks
+// @access  Public
+router.get('/issuer/jwks', (req, res) => {
+  res.status(200).json({ keys: [getSigningKey().jwk] });
+});
+
+// @desc    Revocation list of every revoked credential
+// @route   GET /api/credentials/revocations
+// @access  Public
+router.get('/revocations', asyncHandler(async (req, res, next) => {
+  const revoked = await BadgeAssertion.find({ status: 'revoked' })
+    .select('credential.id revokedAt revocationReason')
+    .sort('-revokedAt')
+    .lean();
+
+  sendJsonLd(res, {
+    id: credentialsUrl('/revocations'),
+    type: REVOCATION_LIST_TYPE,
+    issuer: credentialsUrl('/issuer'),
+    revokedCredentials: revoked.map(assertion => ({
+      id: assertion.credential.id,
+      revoked: true,
+      revokedAt: assertion.revokedAt,
+      ...(assertion.revocationReason && { revocationReason: assertion.revocationReason })
+    }))
+  });
+}));
+
+// @desc    Achievement definition for a badge
+// @route   GET /api/credentials/achievements/:id
+// @access  Public
+router.get('/achievements/:id', [
+  validateObjectId('id')
+], asyncHandler(async (req, res, next) => {
+  const badge = await Badge.findById(req.params.id);
+
+  if (!badge) {
+    return next(createNotFoundError('Badge'));
+  }
+
+  sendJsonLd(res, { '@context': getIssuerProfile()['@context'], ...buildAchievement(badge) });
+}));
+
+// @desc    Badge artwork (not baked)
+// @route   GET /api/credentials/achievements/:id/image.:format
+// @access  Public
+router.get('/achievements/:id/image.:format(svg|png)', [
+  validateObjectId('id')
+], asyncHandler(async (req, res, next) => {
+  const badge = await Badge.findById(req.params.id);
+
+  if (!badge) {
+    return next(createNotFoundError('Badge'));
+  }
+
+  res.set('Cache-Control', 'public, max-age=86400');
+  if (req.params.format === 'svg') {
+    res.type('image/svg+xml').send(renderBadgeSvg(badge));
+  } else {
+    res.type('image/png').send(renderBadgePng(badge));
+  }
+}));
+
+// @desc    List my issued credentials
+// @route   GET /api/credentials/me
+// @access  Private
+router.get('/me', auth, asyncHandler(async (req, res, next) => {
+  const assertions = await BadgeAssertion.find({ userId: req.user._id })
+    .populate('badgeId', 'name description icon category rarity')
+    .select('-jwt')
+    .sort('-earnedAt');
+
+  res.status(200).json({
+    success: true,
+    count: assertions.length,
+    data: { credentials: assertions }
+  });
+}));
+
+// @desc    Issue (or fetch) the credential for one of my earned badges
+// @route   POST /api/credentials
+// @access  Private
+router.post('/', auth, asyncHandler(async (req, res, next) => {
+  const { badgeId } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(badgeId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'A valid badgeId is required'
+    });
+  }
+
+  const badge = await Badge.findById(badgeId);
+  if (!badge) {
+    return next(createNotFoundError('Badge'));
+  }
+
+  const assertion = await BadgeAssertion.findOrIssue(req.user, badge);
+  if (!assertion) {
+    return res.status(400).json({
+      success: false,
+      message: 'You do not currently hold this badge'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Credential issued',
+    data: {
+      credential: assertion.credential,
+      jwt: assertion.jwt,
+      links: {
+        verify: credentialsUrl(`/${assertion._id}/verify`),
+        svg: credentialsUrl(`/${assertion._id}/image.svg`),
+        png: credentialsUrl(`/${assertion._id}/image.png`)
+      }
+    }
+  });
+}));
+
+// @desc    Verify a credential presented as a VC-JWT, credential JSON or baked image
+// @route   POST /api/credentials/verify
+// @access  Public
+router.post('/verify', asyncHandler(async (req, res, next) => {
+  let token = req.body.jwt;
+
+  if (!token && req.files?.image) {
+    const image = Array.isArray(req.files.image) ? req.files.image[0] : req.files.image;
+    // Uploads are written to temp files (see server.js)
+    const data = image.tempFilePath ? await fs.readFile(image.tempFilePath) : image.data;
+    token = extractBakedCredential(data);
+  }
+
+  const presented = req.body.credential;
+  const credentialId = presented?.id;
+
+  if (!token && !credentialId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide a jwt, a credential or a baked badge image'
+    });
+  }
+
+  let claimedId = credentialId;
+  if (token) {
+    try {
+      claimedId = verifyCredentialJwt(token).id;
+    } catch (error) {
+      return res.status(200).json({
+        success: true,
+        data: { verification: { valid: false, signatureValid: false, signatureError: error.message } }
+      });
+    }
+  }
+
+  // Only credentials hosted here can be checked against the revocation list
+  const prefix = credentialsUrl('/');
+  const assertionId = typeof claimedId === 'string' && claimedId.startsWith(prefix) ? claimedId.slice(prefix.length) : null;
+  const assertion = mongoose.Types.ObjectId.isValid(assertionId) ? await BadgeAssertion.findById(assertionId) : null;
+
+  if (!assertion) {
+    return next(createNotFoundError('Credential'));
+  }
+
+  const verification = getVerification(assertion);
+
+  // An unsigned credential is only valid if it is exactly the one issued
+  if (!token) {
+    verification.matchesIssued = isDeepStrictEqual(presented, assertion.credential);
+    if (!verification.matchesIssued) {
+      verification.valid = false;
+      verification.mismatchError = 'The presented credential differs from the one issued';
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { verification, credential: assertion.credential }
+  });
+}));
+
+// @desc    Hosted credential (?format=jwt for the VC-JWT)
+// @route   GET /api/credentials/:id
+// @access  Public
+router.get('/:id', [
+  validateObjectId('id')
+], asyncHandler(async (req, res, next) => {
+  const assertion = await BadgeAssertion.findById(req.params.id);
+
+  if (!assertion) {
+    return next(createNotFoundError('Credential'));
+  }
+
+  if (req.query.format === 'jwt') {
+    if (!assertion.jwt) {
+      return res.status(410).json({
+        success: false,
+        message: 'This credential has been revoked'
+      });
+    }
+    return res.type('application/vc+jwt').send(assertion.jwt);
+  }
+
+  sendJsonLd(res, assertion.credential);
+}));
+
+// @desc    Hosted verification of a credential
+// @route   GET /api/credentials/:id/verify
+// @access  Public
+router.get('/:id/verify', [
+  validateObjectId('id')
+], asyncHandler(async (req, res, next) => {
+  const assertion = await BadgeAssertion.findById(req.params.id)
+    .populate('badgeId', 'name description icon');
+
+  if (!assertion) {
+    return next(createNotFoundError('Credential'));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      verification: getVerification(assertion),
+      badge: assertion.badgeId,
+      recipient: assertion.credential.credentialSubject?.name,
+      earnedAt: assertion.earnedAt
+    }
+  });
+}));
+
+// @desc    Baked badge image carrying the signed credential
+// @route   GET /api/credentials/:id/image.:format
+// @access  Public
+router.get('/:id/image.:format(svg|png)', [
+  validateObjectId('id')
+], asyncHandler(async (req, res, next) => {
+  const assertion = await BadgeAssertion.findById(req.params.id);
+  const badge = assertion && await Badge.findById(assertion.badgeId);
+
+  if (!assertion || !badge) {
+    return next(createNotFoundError('Credential'));
+  }
+
+  if (assertion.status === 'revoked') {
+    return res.status(410).json({
+      success: false,
+      message: 'This credential has been revoked'
+    });
+  }
+
+  const filename = `${badge.name.replace(/[^\w-]+/g, '-').toLowerCase()}.${req.params.format}`;
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+
+  if (req.params.format === 'svg') {
+    res.type('image/svg+xml').send(bakeSvg(renderBadgeSvg(badge), assertion.jwt));
+  } else {
+    res.type('image/png').send(bakePng(renderBadgePng(badge), assertion.jwt));
+  }
+}));
+
+// @desc    Revoke a credential
+// @route   PUT /api/credentials/:id/revoke
+// @access  Private (Recipient/Admin)
+router.put('/:id/revoke', [
+  validateObjectId('id'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  const assertion = await BadgeAssertion.findById(req.params.id);
+
+  if (!assertion) {
+    return next(createNotFoundError('Credential'));
+  }
+
+  if (!can(req.user, 'credential:revoke', assertion)) {
+    return next(createPermissionError('Not authorized to revoke this credential'));
+  }
+
+  if (assertion.status === 'revoked') {
+    return res.status(400).json({
+      success: false,
+      message: 'Credential is already revoked'
+    });
+  }
+
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  await assertion.revoke(req.user, reason);
+
+  await AuditLog.record({
+    action: 'credential_revoked',
+    userId: assertion.userId,
+    actorId: req.user._id,
+    req,
+    metadata: { assertionId: assertion._id, badgeId: assertion.badgeId, reason }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Credential revoked',
+    data: { verification: getVerification(assertion) }
+  });
+}));
+
+export default router;
@@ -1,7 +1,10 @@
 import express from 'express';
 import Gig from '../models/Gig.js';
 import User from '../models/User.js';
-import { auth, businessOrAdmin, authenticatedUser, optionalAuth } from '../middleware/auth.js';
+import { auth, permit, optionalAuth } from '../middleware/auth.js';
+import { can } from '../utils/policy.js';
+import { notify, notifyMany } from '../services/notifications.js';
+import { emitDomainEvent } from '../services/events.js';
 import { 
   asyncHandler, 
   validateRequired, 
@@ -131,7 +134,7 @@ router.get('/:id', [
   const canApply = req.user ? gig.canUserApply(req.user._id) : { canApply: false, reason: 'Authentication required' };
 
   // Hide sensitive application data for non-owners
-  if (!req.user || (req.user._id.toString() !== gig.clientId._id.toString() && req.user.role !== 'admin')) {
+  if (!can(req.user, 'gig:view-applications', gig)) {
     gig = gig.toObject();
     gig.applications = gig.applications.map(app => ({
       _id: app._id,
@@ -165,7 +168,8 @@ router.get('/:id', [
 // @route   POST /api/gigs
 // @access  Private (Business/Admin)
 router.post('/', [
-  businessOrAdmin,
+  auth,
+  permit('gig:create'),
   validateRequired(['title', 'description', 'category', 'skillsRequired', 'location.coordinates', 'location.address', 'budget.min', 'duration.estimated']),
   validateCoordinates('location.coordinates')
 ], asyncHandler(async (req, res, next) => {
@@ -205,7 +209,7 @@ router.put('/:id', [
   }
 
   // Check ownership
-  if (gig.clientId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (!can(req.user, 'gig:update', gig)) {
     return next(createPermissionError('Not authorized to update this gig'));
   }
 
@@ -245,7 +249,7 @@ router.delete('/:id', [
   }
 
   // Check ownership
-  if (gig.clientId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (!can(req.user, 'gig:delete', gig)) {
     return next(createPermissionError('Not authorized to delete this gig'));
   }
 
@@ -260,12 +264,15 @@ router.delete('/:id', [
   await gig.deleteOne();
 
   // Notify applicants about gig deletion
-  const io = req.app.get('io');
-  gig.applications.forEach(app => {
-    io.to(`user_${app.applicantId}`).emit('gig_deleted', {
+  await notifyMany(gig.applications.map(app => app.applicantId), {
+    type: 'gig_deleted',
+    title: 'Gig removed',
+    message: `"${gig.title}" was removed by the client.`,
+    link: '/gigs',
+    data: {
       gigId: gig._id,
       gigTitle: gig.title
-    });
+    }
   });
 
   res.status(200).json({
@@ -279,7 +286,8 @@ router.delete('/:id', [
 // @access  Private (Learners)
 router.post('/:id/apply', [
   validateObjectId('id'),
-  authenticatedUser,
+  auth,
+  permit('gig:apply'),
   validateRequired(['message'])
 ], asyncHandler(async (req, res, next) => {
   const gig = await Gig.findById(req.params.id);
@@ -299,16 +307,21 @@ router.post('/:id/apply', [
     const application = await gig.addApplication(req.user._id, applicationData);
 
     // Notify client
-    const io = req.app.get('io');
-    io.to(`user_${gig.clientId}`).emit('new_application', {
-      gigId: gig._id,
-      gigTitle: gig.title,
-      applicant: {
-        id: req.user._id,
-        name: req.user.name,
-        avatar: req.user.avatar
-      },
-      applicationId: application._id
+    await notify(gig.clientId, {
+      type: 'new_application',
+      title: 'New application',
+      message: `${req.user.name} applied to "${gig.title}".`,
+      link: `/gigs/${gig._id}`,
+      data: {
+        gigId: gig._id,
+        gigTitle: gig.title,
+        applicant: {
+          id: req.user._id,
+          name: req.user.name,
+          avatar: req.user.avatar
+        },
+        applicationId: application._id
+      }
     });
 
     res.status(201).json({
@@ -341,7 +354,7 @@ router.put('/:id/applications/:applicationId', [
   }
 
   // Check ownership
-  if (gig.clientId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (!can(req.user, 'gig:manage-applications', gig)) {
     return next(createPermissionError('Not authorized to update applications'));
   }
 
@@ -354,14 +367,19 @@ router.put('/:id/applications/:applicationId', [
       responseMessage
     );
 
-    // Notify applicant
-    const io = req.app.get('io');
-    io.to(`user_${application.applicantId}`).emit('application_status_update', {
-      gigId: gig._id,
-      gigTitle: gig.title,
-      applicationId: application._id,
-      status,
-      responseMessage
+    // Notify applicant (applicantId is populated on this query)
+    await notify(application.applicantId._id || application.applicantId, {
+      type: 'application_status_update',
+      title: `Application ${status}`,
+      message: `Your application to "${gig.title}" was ${status}.`,
+      link: `/gigs/${gig._id}`,
+      data: {
+        gigId: gig._id,
+        gigTitle: gig.title,
+        applicationId: application._id,
+        status,
+        responseMessage
+      }
     });
 
     // If accepted, award XP to worker
@@ -398,7 +416,7 @@ router.put('/:id/complete', [
   }
 
   // Check ownership
-  if (gig.clientId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (!can(req.user, 'gig:complete', gig)) {
     return next(createPermissionError('Not authorized to complete this gig'));
   }
 
@@ -427,14 +445,24 @@ router.put('/:id/complete', [
     await worker.addXP(xpReward, `Gig completed: ${gig.title}`);
     await worker.save();
 
+    emitDomainEvent('gig_completed', { userId: worker._id, gigId: gig._id, gigsCompleted: worker.gigsCompleted });
+    if (clientRating) {
+      emitDomainEvent('rating_updated', { userId: worker._id, rating: worker.rating.average, count: worker.rating.count });
+    }
+
     // Notify worker
-    const io = req.app.get('io');
-    io.to(`user_${worker._id}`).emit('gig_completed', {
-      gigId: gig._id,
-      gigTitle: gig.title,
-      rating: clientRating,
-      feedback: clientFeedback,
-      xpEarned: xpReward
+    await notify(worker._id, {
+      type: 'gig_completed',
+      title: 'Gig completed',
+      message: `"${gig.title}" was marked complete. You earned ${xpReward} XP.`,
+      link: `/gigs/${gig._id}`,
+      data: {
+        gigId: gig._id,
+        gigTitle: gig.title,
+        rating: clientRating,
+        feedback: clientFeedback,
+        xpEarned: xpReward
+      }
     });
   }
 
@@ -530,7 +558,7 @@ router.get('/my/applications', auth, asyncHandler(async (req, res, next) => {
 // @desc    Get user's posted gigs
 // @route   GET /api/gigs/my/posted
 // @access  Private (Business/Admin)
-router.get('/my/posted', [auth, businessOrAdmin], asyncHandler(async (req, res, next) => {
+router.get('/my/posted', [auth, permit('gig:list-own')], asyncHandler(async (req, res, next) => {
   const gigs = await Gig.find({ clientId: req.user._id })
     .populate('applications.applicantId', 'name avatar rating skills xp level')
     .populate('assignedTo', 'name avatar rating')
@@ -0,0 +1,162 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Course from '../models/Course.js';
+import Progress from '../models/Progress.js';
+import { auth, permit } from '../middleware/auth.js';
+import { can } from '../utils/policy.js';
+import { resolveStoredFile } from '../utils/uploads.js';
+import { getGradingQueue, gradeQuizAttempt, gradeAssignment, presentSubmission } from '../services/grading.js';
+import {
+  asyncHandler,
+  validateObjectId,
+  createNotFoundError,
+  createPermissionError
+} from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Enrollment record and its course, for grading one of its submissions
+const findGradingRecord = async (progressId) => {
+  const progress = await Progress.findById(progressId);
+  const course = progress && await Course.findById(progress.courseId);
+  return { progress, course };
+};
+
+// @desc    Get quiz attempts and assignments waiting to be graded
+// @route   GET /api/grading/queue
+// @access  Private (Instructor/Admin)
+router.get('/queue', [auth, permit('course:list-own')], asyncHandler(async (req, res, next) => {
+  const { courseId } = req.query;
+
+  if (courseId && !mongoose.Types.ObjectId.isValid(courseId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid courseId format'
+    });
+  }
+
+  const items = await getGradingQueue(req.user, { courseId });
+
+  res.status(200).json({
+    success: true,
+    count: items.length,
+    data: { items }
+  });
+}));
+
+// @desc    Grade the manually graded answers of a quiz attempt
+// @route   PUT /api/grading/quiz-attempts/:progressId/:attemptId
+// @access  Private (Instructor/Admin)
+router.put('/quiz-attempts/:progressId/:attemptId', [
+  validateObjectId('progressId'),
+  validateObjectId('attemptId'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  const { progress, course } = await findGradingRecord(req.params.progressId);
+  const attempt = progress?.quizAttempts.id(req.params.attemptId);
+
+  if (!course?.quiz || !attempt) {
+    return next(createNotFoundError('Quiz attempt'));
+  }
+
+  if (!can(req.user, 'course:grade', course)) {
+    return next(createPermissionError('Not authorized to grade this course'));
+  }
+
+  const result = attempt.status === 'needs-review' && await gradeQuizAttempt({
+    course,
+    progress,
+    attempt,
+    grader: req.user,
+    grades: req.body.grades,
+    feedback: req.body.feedback
+  });
+
+  if (!result) {
+    return res.status(400).json({
+      success: false,
+      message: 'This attempt is not waiting to be graded'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.finished
+      ? `Attempt graded: ${result.attempt.score}%`
+      : 'Grades saved. Some answers still need review.',
+    data: result
+  });
+}));
+
+// @desc    Grade an assignment submission (a fail returns it to the learner)
+// @route   PUT /api/grading/assignments/:progressId/:submissionId
+// @access  Private (Instructor/Admin)
+router.put('/assignments/:progressId/:submissionId', [
+  validateObjectId('progressId'),
+  validateObjectId('submissionId'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  const { progress, course } = await findGradingRecord(req.params.progressId);
+  const submission = progress?.assignmentSubmissions.id(req.params.submissionId);
+
+  if (!course || !submission) {
+    return next(createNotFoundError('Submission'));
+  }
+
+  if (!can(req.user, 'course:grade', course)) {
+    return next(createPermissionError('Not authorized to grade this course'));
+  }
+
+  const result = submission.status === 'needs-review' && await gradeAssignment({
+    course,
+    progress,
+    submission,
+    grader: req.user,
+    points: req.body.points,
+    rubricScores: req.body.rubricScores,
+    feedback: req.body.feedback
+  });
+
+  if (!result) {
+    return res.status(400).json({
+      success: false,
+      message: 'This submission has already been graded'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.submission.passed
+      ? `Submission passed with ${result.submission.score}%`
+      : `Submission returned with ${result.submission.score}%`,
+    data: {
+      submission: presentSubmission(result.submission),
+      courseCompleted: result.courseCompleted
+    }
+  });
+}));
+
+// @desc    Download a file from an assignment submission
+// @route   GET /api/grading/assignments/:progressId/:submissionId/files/:fileId
+// @access  Private (Learner who submitted it, Instructor/Admin)
+router.get('/assignments/:progressId/:submissionId/files/:fileId', [
+  validateObjectId('progressId'),
+  validateObjectId('submissionId'),
+  validateObjectId('fileId'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  const { progress, course } = await findGradingRecord(req.params.progressId);
+  const file = progress?.assignmentSubmissions.id(req.params.submissionId)?.files.id(req.params.fileId);
+
+  if (!course || !file) {
+    return next(createNotFoundError('File'));
+  }
+
+  if (progress.userId.toString() !== req.user._id.toString() && !can(req.user, 'course:grade', course)) {
+    return next(createPermissionError('Not authorized to download this file'));
+  }
+
+  res.download(resolveStoredFile(file.path), file.originalName);
+}));
+
+export default router;
@@ -0,0 +1,223 @@
+import express from 'express';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { auth } from '../middleware/auth.js';
+import { asyncHandler, validateObjectId, createNotFoundError } from '../middleware/errorHandler.js';
+import { isValidTimeZone, isValidClockTime } from '../utils/timezone.js';
+
+const router = express.Router();
+
+const PREFERENCE_EVENTS = ['new_application', 'application_status_update', 'gig_completed', 'course_completed', 'submission_graded', 'badge_earned', 'streak_at_risk'];
+const PREFERENCE_CHANNELS = ['inApp', 'email', 'sms'];
+
+// Notification settings as returned to the client
+const pickNotificationPreferences = (preferences) => ({
+  notifications: preferences.notifications,
+  emailUpdates: preferences.emailUpdates,
+  smsUpdates: preferences.smsUpdates,
+  events: preferences.notificationEvents,
+  timezone: preferences.timezone,
+  quietHours: preferences.quietHours,
+  digest: {
+    enabled: preferences.digest?.enabled,
+    hour: preferences.digest?.hour
+  }
+});
+
+// Turn a partial settings body into dotted $set paths; returns { updates } or { error }
+const buildPreferenceUpdates = (body) => {
+  const updates = {};
+  const isBoolean = (value) => typeof value === 'boolean';
+
+  for (const key of ['notifications', 'emailUpdates', 'smsUpdates']) {
+    if (body[key] === undefined) continue;
+    if (!isBoolean(body[key])) return { error: `${key} must be true or false` };
+    updates[`preferences.${key}`] = body[key];
+  }
+
+  for (const [event, channels] of Object.entries(body.events || {})) {
+    if (!PREFERENCE_EVENTS.includes(event)) return { error: `Unknown notification event: ${event}` };
+
+    for (const [channel, enabled] of Object.entries(channels || {})) {
+      if (!PREFERENCE_CHANNELS.includes(channel)) return { error: `Unknown notification channel: ${channel}` };
+      if (!isBoolean(enabled)) return { error: `${event}.${channel} must be true or false` };
+      updates[`preferences.notificationEvents.${event}.${channel}`] = enabled;
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    if (!isValidTimeZone(body.timezone)) return { error: `Unknown timezone: ${body.timezone}` };
+    updates['preferences.timezone'] = body.timezone;
+  }
+
+  if (body.quietHours) {
+    const { enabled, start, end } = body.quietHours;
+    if (enabled !== undefined && !isBoolean(enabled)) return { error: 'quietHours.enabled must be true or false' };
+    if (start !== undefined && !isValidClockTime(start)) return { error: 'quietHours.start must be HH:MM' };
+    if (end !== undefined && !isValidClockTime(end)) return { error: 'quietHours.end must be HH:MM' };
+    if (enabled !== undefined) updates['preferences.quietHours.enabled'] = enabled;
+    if (start !== undefined) updates['preferences.quietHours.start'] = start;
+    if (end !== undefined) updates['preferences.quietHours.end'] = end;
+  }
+
+  if (body.digest) {
+    const { enabled, hour } = body.digest;
+    if (enabled !== undefined && !isBoolean(enabled)) return { error: 'digest.enabled must be true or false' };
+    if (hour !== undefined && !(Number.isInteger(hour) && hour >= 0 && hour <= 23)) {
+      return { error: 'digest.hour must be a whole hour between 0 and 23' };
+    }
+    if (enabled !== undefined) updates['preferences.digest.enabled'] = enabled;
+    if (hour !== undefined) updates['preferences.digest.hour'] = hour;
+  }
+
+  return { updates };
+};
+
+// @desc    Get current user's notifications
+// @route   GET /api/notifications?page=1&limit=20&unread=true
+// @access  Private
+router.get('/', auth, asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const query = { userId: req.user._id, inApp: true };
+
+  if (req.query.unread === 'true') {
+    query.readAt = null;
+  }
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Notification.countDocuments(query),
+    Notification.countUnread(req.user._id)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    },
+    data: { notifications, unreadCount }
+  });
+}));
+
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', auth, asyncHandler(async (req, res, next) => {
+  const unreadCount = await Notification.countUnread(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: { unreadCount }
+  });
+}));
+
+// @desc    Get notification settings (event x channel matrix, quiet hours, digest)
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get('/preferences', auth, asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: { preferences: pickNotificationPreferences(req.user.preferences) }
+  });
+}));
+
+// @desc    Update notification settings (partial updates are merged)
+// @route   PUT /api/notifications/preferences
+// @access  Private
+router.put('/preferences', auth, asyncHandler(async (req, res, next) => {
+  const { updates, error } = buildPreferenceUpdates(req.body);
+
+  if (error || Object.keys(updates).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: error || 'No notification settings provided'
+    });
+  }
+
+  const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, {
+    new: true,
+    runValidators: true
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification settings updated',
+    data: { preferences: pickNotificationPreferences(user.preferences) }
+  });
+}));
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', auth, asyncHandler(async (req, res, next) => {
+  const result = await Notification.markAllRead(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'All notifications marked as read',
+    data: { updated: result.modifiedCount, unreadCount: 0 }
+  });
+}));
+
+// @desc    Mark one notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put('/:id/read', [
+  validateObjectId('id'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  const notification = await Notification.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+    inApp: true
+  });
+
+  if (!notification) {
+    return next(createNotFoundError('Notification'));
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  const unreadCount = await Notification.countUnread(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: { notification, unreadCount }
+  });
+}));
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+router.delete('/:id', [
+  validateObjectId('id'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  const notification = await Notification.findOneAndDelete({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!notification) {
+    return next(createNotFoundError('Notification'));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification deleted'
+  });
+}));
+
+export default router;
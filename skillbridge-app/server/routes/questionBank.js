@@ -0,0 +1,249 @@
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import QuestionBank from '../models/QuestionBank.js';
+import { auth, permit } from '../middleware/auth.js';
+import { can } from '../utils/policy.js';
+import { getUploadedFiles, validateFiles } from '../utils/uploads.js';
+import { IMPORT_FORMATS, MAX_IMPORT_QUESTIONS, parseQuestionImport } from '../utils/questionImport.js';
+import {
+  asyncHandler,
+  validateRequired,
+  validateObjectId,
+  createNotFoundError,
+  createPermissionError
+} from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'question', 'type', 'options', 'pairs', 'correctAnswer', 'acceptedAnswers', 'answerPattern',
+  'caseSensitive', 'numericAnswer', 'tolerance', 'partialCredit', 'manualGrading', 'rubric', 'points', 'explanation',
+  'difficulty', 'skillTag', 'topics', 'isShared'
+];
+
+const IMPORT_TYPES = ['text/csv', 'text/plain', 'application/vnd.ms-excel', 'application/octet-stream'];
+
+const pickEditable = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Items are visible to their author, admins, and every instructor once shared
+const canRead = (user, item) => item.isShared || can(user, 'question:read', item);
+
+// @desc    List question bank items I can use
+// @route   GET /api/question-bank
+// @access  Private (Business/Admin)
+router.get('/', [auth, permit('question:list')], asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  const query = can(req.user, 'question:read')
+    ? { isArchived: false }
+    : QuestionBank.accessibleFilter(req.user._id);
+
+  if (req.query.mine === 'true') query.createdBy = req.user._id;
+  if (req.query.skillTag) query.skillTag = req.query.skillTag.toLowerCase();
+  if (req.query.topic) query.topics = req.query.topic.toLowerCase();
+  if (req.query.difficulty) query.difficulty = req.query.difficulty;
+  if (req.query.type) query.type = req.query.type;
+  if (req.query.search) query.question = { $regex: escapeRegex(req.query.search), $options: 'i' };
+
+  const [questions, total] = await Promise.all([
+    QuestionBank.find(query)
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('createdBy', 'name businessName'),
+    QuestionBank.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: questions.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    },
+    data: { questions }
+  });
+}));
+
+// @desc    Import questions from a CSV or GIFT file
+// @route   POST /api/question-bank/import
+// @access  Private (Business/Admin)
+router.post('/import', [auth, permit('question:create')], asyncHandler(async (req, res, next) => {
+  const [file] = getUploadedFiles(req, 'file');
+  let content = req.body.content;
+
+  if (file) {
+    validateFiles([file], { allowedTypes: IMPORT_TYPES, maxFiles: 1, maxSizeMB: 2 });
+    content = (file.tempFilePath ? await fs.readFile(file.tempFilePath) : file.data).toString('utf8');
+  }
+
+  if (!content || typeof content !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Upload a CSV or GIFT file (field "file") or send its text as "content"'
+    });
+  }
+
+  const extension = file ? path.extname(file.name).slice(1).toLowerCase() : null;
+  const format = (req.body.format || (IMPORT_FORMATS.includes(extension) ? extension : 'csv')).toLowerCase();
+
+  if (!IMPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${IMPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  const { questions, errors } = parseQuestionImport(content, format);
+
+  if (questions.length > MAX_IMPORT_QUESTIONS) {
+    return res.status(400).json({
+      success: false,
+      message: `A maximum of ${MAX_IMPORT_QUESTIONS} questions can be imported at once`
+    });
+  }
+
+  // Defaults for fields the file leaves out
+  const defaults = {
+    skillTag: req.body.skillTag,
+    difficulty: req.body.difficulty,
+    topics: req.body.topics ? String(req.body.topics).split(',').map(topic => topic.trim()).filter(Boolean) : [],
+    isShared: req.body.isShared === true || req.body.isShared === 'true'
+  };
+
+  const items = [];
+  for (const { line, ...question } of questions) {
+    const item = new QuestionBank({
+      ...pickEditable(question),
+      skillTag: question.skillTag || defaults.skillTag,
+      difficulty: question.difficulty || defaults.difficulty,
+      topics: question.topics.length ? question.topics : defaults.topics,
+      isShared: defaults.isShared,
+      createdBy: req.user._id
+    });
+
+    const invalid = item.validateSync();
+    if (invalid) {
+      errors.push({ line, message: Object.values(invalid.errors).map(error => error.message).join(', ') });
+    } else {
+      items.push(item);
+    }
+  }
+
+  const imported = items.length ? await QuestionBank.insertMany(items) : [];
+  errors.sort((a, b) => a.line - b.line);
+
+  res.status(imported.length ? 201 : 400).json({
+    success: imported.length > 0,
+    message: `Imported ${imported.length} question${imported.length === 1 ? '' : 's'}${errors.length ? `, skipped ${errors.length}` : ''}`,
+    data: {
+      imported: imported.length,
+      questions: imported,
+      errors
+    }
+  });
+}));
+
+// @desc    Get a question bank item
+// @route   GET /api/question-bank/:id
+// @access  Private (Business/Admin)
+router.get('/:id', [
+  validateObjectId('id'),
+  auth,
+  permit('question:list')
+], asyncHandler(async (req, res, next) => {
+  const question = await QuestionBank.findById(req.params.id).populate('createdBy', 'name businessName');
+
+  if (!question || !canRead(req.user, question)) {
+    return next(createNotFoundError('Question'));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { question }
+  });
+}));
+
+// @desc    Add a question to the bank
+// @route   POST /api/question-bank
+// @access  Private (Business/Admin)
+router.post('/', [
+  auth,
+  permit('question:create'),
+  validateRequired(['question', 'skillTag'])
+], asyncHandler(async (req, res, next) => {
+  const question = await QuestionBank.create({
+    ...pickEditable(req.body),
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Question added to the bank',
+    data: { question }
+  });
+}));
+
+// @desc    Update a question bank item
+// @route   PUT /api/question-bank/:id
+// @access  Private (Author or Admin)
+router.put('/:id', [
+  validateObjectId('id'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  const question = await QuestionBank.findById(req.params.id);
+
+  if (!question || question.isArchived) {
+    return next(createNotFoundError('Question'));
+  }
+
+  if (!can(req.user, 'question:update', question)) {
+    return next(createPermissionError('Not authorized to update this question'));
+  }
+
+  question.set(pickEditable(req.body));
+  await question.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Question updated',
+    data: { question }
+  });
+}));
+
+// @desc    Archive a question bank item (kept for grading past attempts, no longer drawn into quizzes)
+// @route   DELETE /api/question-bank/:id
+// @access  Private (Author or Admin)
+router.delete('/:id', [
+  validateObjectId('id'),
+  auth
+], asyncHandler(async (req, res, next) => {
+  const question = await QuestionBank.findById(req.params.id);
+
+  if (!question || question.isArchived) {
+    return next(createNotFoundError('Question'));
+  }
+
+  if (!can(req.user, 'question:delete', question)) {
+    return next(createPermissionError('Not authorized to delete this question'));
+  }
+
+  question.isArchived = true;
+  await question.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Question archived'
+  });
+}));
+
+export default router;
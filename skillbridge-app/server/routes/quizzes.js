@@ -2,6 +2,7 @@ import express from 'express';
 import Course from '../models/Course.js';
 import Progress from '../models/Progress.js';
 import { auth } from '../middleware/auth.js';
+import { sanitizeQuiz, isAttemptOverdue } from '../services/quizzes.js';
 import { asyncHandler, validateObjectId, createNotFoundError } from '../middleware/errorHandler.js';
 
 const router = express.Router();
@@ -30,13 +31,21 @@ router.get('/course/:courseId', [
     });
   }
 
+  // Answers stay on the server; they are revealed per attempt once it is graded
+  const openAttempt = progress.getOpenQuizAttempt();
+
   res.status(200).json({
     success: true,
     data: { 
-      quiz: course.quiz,
+      quiz: sanitizeQuiz(course.quiz),
       attempts: progress.quizAttempts.length,
-      maxAttempts: course.quiz.attemptsAllowed,
-      bestScore: progress.bestQuizScore
+      maxAttempts: progress.getQuizAttemptsAllowed(course.quiz),
+      nextAttemptAt: progress.getNextQuizAttemptAt(course.quiz),
+      bestScore: progress.bestQuizScore,
+      scoringPolicy: course.quiz.scoringPolicy,
+      openAttempt: openAttempt && !isAttemptOverdue(openAttempt)
+        ? { _id: openAttempt._id, startedAt: openAttempt.startedAt, expiresAt: openAttempt.expiresAt }
+        : null
     }
   });
 }));
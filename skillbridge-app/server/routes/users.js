@@ -1,14 +1,17 @@
 import express from 'express';
 import User from '../models/User.js';
-import { auth, adminOnly, optionalAuth } from '../middleware/auth.js';
-import { asyncHandler, validateObjectId, createNotFoundError } from '../middleware/errorHandler.js';
+import BusinessApplication from '../models/BusinessApplication.js';
+import { auth, permit, optionalAuth } from '../middleware/auth.js';
+import { asyncHandler, validateObjectId, validateRequired, createNotFoundError } from '../middleware/errorHandler.js';
+import { buildUserExport, streamExportZip } from '../utils/dataExport.js';
+import { getUploadedFiles, validateFiles, storeFile } from '../utils/uploads.js';
 
 const router = express.Router();
 
 // @desc    Get all users (Admin only)
 // @route   GET /api/users
 // @access  Private/Admin
-router.get('/', [auth, adminOnly], asyncHandler(async (req, res, next) => {
+router.get('/', [auth, permit('user:list')], asyncHandler(async (req, res, next) => {
   const users = await User.find({ isActive: true })
     .select('-password')
     .sort('-createdAt');
@@ -20,6 +23,106 @@ router.get('/', [auth, adminOnly], asyncHandler(async (req, res, next) => {
   });
 }));
 
+// @desc    Export all personal data for the current user
+// @route   GET /api/users/me/export?format=json|zip
+// @access  Private
+router.get('/me/export', auth, asyncHandler(async (req, res, next) => {
+  const format = req.query.format || 'json';
+
+  if (!['json', 'zip'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Export format must be json or zip'
+    });
+  }
+
+  const data = await buildUserExport(req.user._id);
+
+  if (!data) {
+    return next(createNotFoundError('User'));
+  }
+
+  const filename = `skillbridge-export-${req.user._id}-${new Date().toISOString().slice(0, 10)}`;
+
+  if (format === 'zip') {
+    res.attachment(`${filename}.zip`);
+    return streamExportZip(data, res);
+  }
+
+  res.attachment(`${filename}.json`);
+  res.status(200).json({
+    success: true,
+    data
+  });
+}));
+
+// @desc    Apply for a verified business account
+// @route   POST /api/users/me/business-application (multipart, files in "documents")
+// @access  Private
+router.post('/me/business-application', [
+  auth,
+  permit('business-application:submit'),
+  validateRequired(['businessName', 'businessType'])
+], asyncHandler(async (req, res, next) => {
+  if (req.user.role === 'business' && req.user.verified) {
+    return res.status(400).json({
+      success: false,
+      message: 'Your business account is already verified'
+    });
+  }
+
+  if (await BusinessApplication.findPendingForUser(req.user._id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'You already have an application awaiting review'
+    });
+  }
+
+  const files = getUploadedFiles(req, 'documents');
+  if (files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'At least one supporting document is required'
+    });
+  }
+  validateFiles(files);
+
+  const documents = [];
+  for (const file of files) {
+    documents.push(await storeFile(file, `business-documents/${req.user._id}`));
+  }
+
+  const application = await BusinessApplication.create({
+    userId: req.user._id,
+    businessName: req.body.businessName,
+    businessType: req.body.businessType,
+    businessDescription: req.body.businessDescription,
+    registrationNumber: req.body.registrationNumber,
+    documents
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Business application submitted for review',
+    data: { application }
+  });
+}));
+
+// @desc    Get the current user's business applications
+// @route   GET /api/users/me/business-application
+// @access  Private
+router.get('/me/business-application', auth, asyncHandler(async (req, res, next) => {
+  const applications = await BusinessApplication.find({ userId: req.user._id })
+    .select('-documents.path')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: applications.length,
+    data: { applications }
+  });
+}));
+
 // @desc    Get user profile
 // @route   GET /api/users/:id
 // @access  Public
@@ -36,6 +139,9 @@ router.get('/:id', [
     return next(createNotFoundError('User'));
   }
 
+  // Public profiles only show badges that are currently valid
+  user.badges = user.getActiveBadges();
+
   res.status(200).json({
     success: true,
     data: { user }
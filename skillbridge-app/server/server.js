@@ -6,6 +6,7 @@ import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import morgan from 'morgan';
 import fileUpload from 'express-fileupload';
+import cookieParser from 'cookie-parser';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 
@@ -19,8 +20,17 @@ import quizRoutes from './routes/quizzes.js';
 import progressRoutes from './routes/progress.js';
 import adminRoutes from './routes/admin.js';
 import analyticsRoutes from './routes/analytics.js';
-import { errorHandler } from './middleware/errorHandler.js';
+import notificationRoutes from './routes/notifications.js';
+import credentialRoutes from './routes/credentials.js';
+import certificateRoutes from './routes/certificates.js';
+import questionBankRoutes from './routes/questionBank.js';
+import gradingRoutes from './routes/grading.js';
+import { errorHandler, createRateLimitError } from './middleware/errorHandler.js';
 import { auth } from './middleware/auth.js';
+import { setSocketServer } from './services/notifications.js';
+import { registerSocketHandlers } from './services/sockets.js';
+import { registerBadgeHandlers } from './services/badges.js';
+import { startJobs } from './jobs/index.js';
 
 dotenv.config();
 
@@ -49,8 +59,11 @@ if (process.env.NODE_ENV === 'development') {
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP, please try again later.'
+  handler: (req, res, next, options) => {
+    next(createRateLimitError(
+      'Too many requests from this IP, please try again later.',
+      Math.ceil(((req.rateLimit?.resetTime?.getTime() || Date.now() + options.windowMs) - Date.now()) / 1000)
+    ));
   }
 });
 app.use('/api/', limiter);
@@ -58,6 +71,7 @@ app.use('/api/', limiter);
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // File upload middleware
 app.use(fileUpload({
@@ -71,30 +85,19 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/skillbrid
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('🚀 MongoDB connected successfully'))
+.then(() => {
+  console.log('🚀 MongoDB connected successfully');
+  startJobs();
+})
 .catch((err) => console.error('❌ MongoDB connection error:', err));
 
-// Socket.io for real-time updates
-io.on('connection', (socket) => {
-  console.log('👤 User connected:', socket.id);
-  
-  socket.on('join_user_room', (userId) => {
-    socket.join(`user_${userId}`);
-    console.log(`User ${userId} joined their room`);
-  });
-  
-  socket.on('join_gig_room', (gigId) => {
-    socket.join(`gig_${gigId}`);
-    console.log(`User joined gig room: ${gigId}`);
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('👤 User disconnected:', socket.id);
-  });
-});
+// Socket.io for real-time updates (connections must present a valid access token)
+registerSocketHandlers(io);
 
-// Make io available to routes
+// Make io available to routes and the notification service
 app.set('io', io);
+setSocketServer(io);
+registerBadgeHandlers();
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -106,6 +109,11 @@ app.use('/api/quizzes', quizRoutes);
 app.use('/api/progress', progressRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/credentials', credentialRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/question-bank', questionBankRoutes);
+app.use('/api/grading', gradingRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
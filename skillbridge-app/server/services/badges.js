@@ -0,0 +1,165 @@
+import Badge from '../models/Badge.js';
+import User from '../models/User.js';
+import BadgeAssertion from '../models/BadgeAssertion.js';
+import AuditLog from '../models/AuditLog.js';
+import { onDomainEvent } from './events.js';
+import { notify, emitToUser } from './notifications.js';
+
+// Automatic badge engine: when a domain event changes a stat, re-evaluate only
+// the automatic badges whose criteria depend on that stat. Custom expressions
+// can read any stat, so they are re-evaluated on every event.
+
+export const EVENT_CRITERIA = {
+  xp_added: ['xp_threshold', 'custom'],
+  gig_completed: ['gig_completion', 'custom'],
+  rating_updated: ['rating_threshold', 'custom'],
+  streak_updated: ['streak', 'custom']
+};
+
+// Award (or renew) a badge and tell the user. Returns null when the user already had it.
+export const awardBadge = async (badge, user, { courseId = null } = {}) => {
+  const result = await badge.awardToUser(user, courseId);
+  if (!result.success) {
+    return null;
+  }
+
+  // A renewed award gets a fresh credential with the new validity period
+  if (result.renewed) {
+    await BadgeAssertion.revokeForUser(user._id, 'Superseded by re-certification', { badgeId: badge._id });
+  }
+
+  await notify(user._id, {
+    type: 'badge_earned',
+    title: result.renewed ? 'Badge renewed' : 'Badge earned',
+    message: result.renewed
+      ? `Your "${badge.name}" badge has been renewed.`
+      : `You earned the "${badge.name}" badge.`,
+    link: '/profile',
+    data: {
+      badge: {
+        _id: badge._id,
+        name: badge.name,
+        icon: badge.icon
+      },
+      renewed: result.renewed,
+      expiresAt: result.expiresAt,
+      xpEarned: result.xpAwarded
+    }
+  });
+
+  return result;
+};
+
+// Renew a badge the user holds when it is expired or due for re-certification (e.g. after retaking the quiz)
+export const recertifyBadge = async (badge, user, { courseId = null } = {}) => {
+  const entry = user.badges.find(b => b.badgeId.toString() === badge._id.toString());
+  if (!entry || !badge.isRenewable(entry)) {
+    return null;
+  }
+
+  const { eligible } = await badge.checkEligibility(user);
+  return eligible ? awardBadge(badge, user, { courseId }) : null;
+};
+
+// Revoke a user's badge (admin action): the award stays on record as revoked and cannot be re-earned automatically
+export const revokeBadge = async (badge, userId, { revokedBy, reason, req }) => {
+  const { modifiedCount } = await User.updateOne(
+    { _id: userId, badges: { $elemMatch: { badgeId: badge._id, status: { $ne: 'revoked' } } } },
+    {
+      $set: {
+        'badges.$.status': 'revoked',
+        'badges.$.revokedAt': new Date(),
+        'badges.$.revokedBy': revokedBy._id,
+        'badges.$.revocationReason': reason
+      }
+    }
+  );
+
+  if (modifiedCount === 0) {
+    return false;
+  }
+
+  await BadgeAssertion.revokeForUser(userId, reason, { badgeId: badge._id, revokedBy: revokedBy._id });
+
+  await AuditLog.record({
+    action: 'badge_revoked',
+    userId,
+    actorId: revokedBy._id,
+    req,
+    metadata: { badgeId: badge._id, badgeName: badge.name, reason }
+  });
+
+  await notify(userId, {
+    type: 'badge_revoked',
+    title: 'Badge revoked',
+    message: `Your "${badge.name}" badge was revoked: ${reason}`,
+    link: '/profile',
+    data: { badge: { _id: badge._id, name: badge.name, icon: badge.icon }, reason }
+  });
+
+  return true;
+};
+
+// Reinstate a revoked badge (admin action)
+export const reinstateBadge = async (badge, userId, { reinstatedBy, reason, req }) => {
+  const now = new Date();
+  const { modifiedCount } = await User.updateOne(
+    { _id: userId, badges: { $elemMatch: { badgeId: badge._id, status: 'revoked' } } },
+    {
+      $set: { 'badges.$.status': 'active', 'badges.$.renewedAt': now, 'badges.$.expiresAt': badge.getExpiryDate(now) },
+      $unset: { 'badges.$.revokedAt': '', 'badges.$.revokedBy': '', 'badges.$.revocationReason': '' }
+    }
+  );
+
+  if (modifiedCount === 0) {
+    return false;
+  }
+
+  await AuditLog.record({
+    action: 'badge_reinstated',
+    userId,
+    actorId: reinstatedBy._id,
+    req,
+    metadata: { badgeId: badge._id, badgeName: badge.name, reason }
+  });
+
+  return true;
+};
+
+// Award every active automatic badge with one of the given criteria types that the user now qualifies for
+export const evaluateBadges = async (userId, criteriaTypes) => {
+  const badges = await Badge.find({
+    type: 'automatic',
+    isActive: true,
+    'criteria.type': { $in: criteriaTypes }
+  }).sort({ level: 1 });
+
+  if (badges.length === 0) return [];
+
+  const user = await User.findById(userId);
+  if (!user || !user.isActive) return [];
+
+  const earned = [];
+  for (const badge of badges) {
+    const { eligible } = await badge.checkEligibility(user);
+    if (!eligible) continue;
+
+    if (await awardBadge(badge, user)) {
+      earned.push(badge);
+    }
+  }
+
+  return earned;
+};
+
+// Subscribe the engine to the domain events (called once from server.js)
+export const registerBadgeHandlers = () => {
+  for (const [event, criteriaTypes] of Object.entries(EVENT_CRITERIA)) {
+    onDomainEvent(event, ({ userId }) => evaluateBadges(userId, criteriaTypes));
+  }
+
+  // Keep XP/level displays live
+  onDomainEvent('xp_added', ({ userId, amount, xp, level, leveledUp }) => {
+    emitToUser(userId, 'xp_updated', { amount, xp, level, leveledUp });
+  });
+};
@@ -0,0 +1,57 @@
+import Course from '../models/Course.js';
+import Badge from '../models/Badge.js';
+import { notify } from './notifications.js';
+import { awardBadge } from './badges.js';
+
+// Rewards for finishing course modules, shared by learners marking a module
+// completed and instructors passing an assignment submission.
+
+// Award XP for a completed module; when that completes the course, mark it
+// completed (issuing the certificate), award course XP and the course badge
+export const awardModuleCompletion = async ({ course, progress, user, moduleId }) => {
+  const module = course.modules.id(moduleId);
+
+  if (module) {
+    const xpReward = module.xpReward || 50;
+    await user.addXP(xpReward, `Module completed: ${module.title}`);
+  }
+
+  // Check for course completion
+  if (progress.progressPercentage !== 100) {
+    return { courseCompleted: false };
+  }
+
+  await progress.markCompleted();
+  await Course.findByIdAndUpdate(course._id, { $inc: { completionCount: 1 } });
+
+  // Award course completion XP
+  const courseXP = course.xpReward || 500;
+  await user.addXP(courseXP, `Course completed: ${course.title}`);
+
+  await notify(user._id, {
+    type: 'course_completed',
+    title: 'Course completed',
+    message: `You completed "${course.title}" and earned ${courseXP} XP.`,
+    link: `/courses/${course._id}`,
+    data: {
+      courseId: course._id,
+      courseTitle: course.title,
+      xpEarned: courseXP,
+      certificateId: progress.certificateId
+    }
+  });
+
+  // Award badge if configured
+  if (course.badgeGranted) {
+    try {
+      const badge = await Badge.findById(course.badgeGranted);
+      if (badge) {
+        await awardBadge(badge, user, { courseId: course._id });
+      }
+    } catch (error) {
+      console.error('Badge award error:', error);
+    }
+  }
+
+  return { courseCompleted: true };
+};
@@ -0,0 +1,34 @@
+import { EventEmitter } from 'events';
+
+// In-process domain event bus. Models and routes emit facts about what happened
+// (XP gained, gig completed...) and services react to them without the emitter
+// knowing who is listening - see services/badges.js.
+
+export const DOMAIN_EVENTS = ['xp_added', 'gig_completed', 'rating_updated', 'streak_updated', 'sessions_revoked'];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+// Publish an event; listeners run in the background and never fail the caller
+export const emitDomainEvent = (name, payload) => {
+  if (!DOMAIN_EVENTS.includes(name)) {
+    throw new Error(`Unknown domain event: ${name}`);
+  }
+  bus.emit(name, { ...payload, name, occurredAt: new Date() });
+};
+
+// Subscribe to an event with an (async) handler
+export const onDomainEvent = (name, handler) => {
+  if (!DOMAIN_EVENTS.includes(name)) {
+    throw new Error(`Unknown domain event: ${name}`);
+  }
+
+  const listener = (event) => {
+    Promise.resolve()
+      .then(() => handler(event))
+      .catch(error => console.error(`Domain event ${name} handler error:`, error));
+  };
+
+  bus.on(name, listener);
+  return () => bus.off(name, listener);
+};
@@ -0,0 +1,244 @@
+import Course from '../models/Course.js';
+import Progress from '../models/Progress.js';
+import User from '../models/User.js';
+import { can } from '../utils/policy.js';
+import { isManuallyGraded } from '../utils/questionTypes.js';
+import { createBadRequestError } from '../middleware/errorHandler.js';
+import { notify } from './notifications.js';
+import { awardModuleCompletion } from './courses.js';
+import { getAttemptQuestions, summarizeAnswers, awardQuizResult } from './quizzes.js';
+
+// Manual grading: quiz attempts with manually graded short answers and
+// assignment submissions wait in needs-review until the course instructor
+// (or an admin) grades them, optionally against a rubric. The XP, course
+// completion and badges they lead to are only awarded once grading is done.
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Submission as shown to its learner or grader, without stored file paths
+export const presentSubmission = (submission) => {
+  if (!submission) return submission;
+  const { files = [], ...rest } = typeof submission.toObject === 'function' ? submission.toObject() : submission;
+  return { ...rest, files: files.map(({ path, ...file }) => file) };
+};
+
+// Points for one graded item: the sum of its rubric scores when it has a rubric
+// (every criterion scored between 0 and its points), otherwise the points given
+export const scoreWithRubric = (rubric, { points, rubricScores }, maxPoints) => {
+  if (rubric?.length) {
+    const scores = rubric.map(criterion => {
+      const given = Array.isArray(rubricScores)
+        ? rubricScores.find(score => score?.criterionId?.toString() === criterion._id.toString())
+        : null;
+      const value = Number(given?.points);
+      if (!given || given.points === '' || !Number.isFinite(value) || value < 0 || value > criterion.points) {
+        throw createBadRequestError(`Score "${criterion.criterion}" between 0 and ${criterion.points}`);
+      }
+      return { criterionId: criterion._id, points: value };
+    });
+
+    return {
+      points: round(scores.reduce((sum, score) => sum + score.points, 0)),
+      rubricScores: scores
+    };
+  }
+
+  const value = Number(points);
+  if (points === undefined || points === null || points === '' || !Number.isFinite(value) || value < 0 || value > maxPoints) {
+    throw createBadRequestError(`Points must be between 0 and ${maxPoints}`);
+  }
+  return { points: round(value), rubricScores: [] };
+};
+
+// Submissions waiting for review in the courses the user grades (all courses for admins), oldest first
+export const getGradingQueue = async (user, { courseId } = {}) => {
+  const filter = can(user, 'course:grade') ? {} : { instructor: user._id };
+  if (courseId) filter._id = courseId;
+
+  const courses = await Course.find(filter).select('title instructor modules quiz');
+  if (courses.length === 0) return [];
+
+  const records = await Progress.find({
+    courseId: { $in: courses.map(course => course._id) },
+    $or: [
+      { 'quizAttempts.status': 'needs-review' },
+      { 'assignmentSubmissions.status': 'needs-review' }
+    ]
+  }).populate('userId', 'name email avatar');
+
+  const byId = new Map(courses.map(course => [course._id.toString(), course]));
+  const items = [];
+
+  for (const progress of records) {
+    const course = byId.get(progress.courseId.toString());
+    const base = {
+      progressId: progress._id,
+      course: { _id: course._id, title: course.title },
+      learner: progress.userId
+    };
+
+    for (const attempt of progress.quizAttempts.filter(a => a.status === 'needs-review')) {
+      const questions = await getAttemptQuestions(course.quiz, attempt);
+      items.push({
+        ...base,
+        kind: 'quiz',
+        attemptId: attempt._id,
+        attemptNumber: attempt.attemptNumber,
+        submittedAt: attempt.completedAt,
+        answers: questions.filter(isManuallyGraded).map(question => {
+          const answer = attempt.answers.find(a => a.questionId.toString() === question._id.toString());
+          return {
+            questionId: question._id,
+            question: question.question,
+            points: question.points,
+            rubric: question.rubric,
+            answer: answer?.answer,
+            needsReview: answer?.needsReview || false,
+            pointsEarned: answer?.pointsEarned || 0,
+            rubricScores: answer?.rubricScores,
+            comment: answer?.comment
+          };
+        })
+      });
+    }
+
+    for (const submission of progress.assignmentSubmissions.filter(s => s.status === 'needs-review')) {
+      const module = course.modules.id(submission.moduleId);
+      items.push({
+        ...base,
+        kind: 'assignment',
+        submissionId: submission._id,
+        submittedAt: submission.submittedAt,
+        module: module && { _id: module._id, title: module.title, assignment: module.assignment },
+        submission: presentSubmission(submission)
+      });
+    }
+  }
+
+  return items.sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+};
+
+// Grade manually graded answers of an attempt in needs-review. `grades` is
+// [{ questionId, points | rubricScores, comment }]; grades can be given over several
+// calls. Once no answer needs review the attempt is graded: its score becomes final
+// and any XP it adds (plus badge renewal) is awarded. Returns null when the attempt is not waiting for review.
+export const gradeQuizAttempt = async ({ course, progress, attempt, grader, grades, feedback }) => {
+  if (!Array.isArray(grades) || grades.length === 0) {
+    throw createBadRequestError('Grades are required');
+  }
+
+  const questions = await getAttemptQuestions(course.quiz, attempt);
+  const now = new Date();
+  const answers = attempt.answers.map(answer => answer.toObject());
+
+  for (const grade of grades) {
+    const question = questions.find(q => q._id.toString() === grade?.questionId?.toString());
+    const answer = question && answers.find(a => a.questionId.toString() === question._id.toString());
+
+    if (!answer || !isManuallyGraded(question)) {
+      throw createBadRequestError(`No manually graded answer for question ${grade?.questionId}`);
+    }
+
+    const { points, rubricScores } = scoreWithRubric(question.rubric, grade, question.points);
+    Object.assign(answer, {
+      pointsEarned: points,
+      isCorrect: points === question.points,
+      rubricScores,
+      comment: grade.comment,
+      needsReview: false,
+      gradedBy: grader._id,
+      gradedAt: now
+    });
+  }
+
+  const summary = summarizeAnswers(course.quiz, answers, questions);
+  const finished = !answers.some(answer => answer.needsReview);
+
+  // Partial grades are saved while other answers still wait; only the final result passes or fails
+  const result = finished
+    ? {
+      answers,
+      ...summary,
+      status: 'graded',
+      gradedBy: grader._id,
+      gradedAt: now,
+      feedback: feedback || (summary.passed ? 'Great job! You passed the quiz.' : 'Keep studying and try again.')
+    }
+    : { answers, ...summary, status: 'needs-review', passed: false };
+
+  const graded = await progress.recordQuizResult(attempt._id, 'needs-review', result, {
+    scoringPolicy: course.quiz.scoringPolicy
+  });
+
+  if (!graded || !finished) {
+    return graded && { attempt: graded, finished, xpEarned: 0, badgeRenewed: false };
+  }
+
+  const learner = await User.findById(progress.userId);
+  const { xpEarned, badgeRenewed } = learner
+    ? await awardQuizResult({ course, progress, user: learner, attempt: graded })
+    : { xpEarned: 0, badgeRenewed: false };
+
+  await notify(progress.userId, {
+    type: 'submission_graded',
+    title: 'Quiz graded',
+    message: `Your quiz for "${course.title}" has been graded: ${graded.score}% (${graded.passed ? 'passed' : 'not passed'}).`,
+    link: `/courses/${course._id}`,
+    data: { courseId: course._id, attemptId: graded._id, score: graded.score, passed: graded.passed, xpEarned }
+  });
+
+  return { attempt: graded, finished, xpEarned, badgeRenewed };
+};
+
+// Grade an assignment submission in needs-review. A pass completes the module (with its XP,
+// and the course rewards when it was the last one); a fail returns it so the learner can resubmit.
+// Returns null when the submission was already graded.
+export const gradeAssignment = async ({ course, progress, submission, grader, points, rubricScores, feedback }) => {
+  const module = course.modules.id(submission.moduleId);
+  const assignment = module?.assignment || {};
+  const maxPoints = assignment.points || 100;
+
+  const score = scoreWithRubric(assignment.rubric, { points, rubricScores }, maxPoints);
+  const percentage = Math.round((score.points / maxPoints) * 100);
+  const passed = percentage >= (assignment.passingScore ?? 50);
+
+  const updated = await progress.recordAssignmentGrade(submission._id, {
+    status: passed ? 'graded' : 'returned',
+    points: score.points,
+    score: percentage,
+    passed,
+    rubricScores: score.rubricScores,
+    feedback,
+    gradedBy: grader._id,
+    gradedAt: new Date()
+  });
+
+  if (!updated) {
+    return null;
+  }
+
+  let courseCompleted = false;
+  if (passed && module) {
+    await updated.updateModuleProgress(module._id, { status: 'completed', completedAt: new Date() });
+
+    const learner = await User.findById(progress.userId);
+    if (learner) {
+      ({ courseCompleted } = await awardModuleCompletion({ course, progress: updated, user: learner, moduleId: module._id }));
+    }
+  }
+
+  await notify(progress.userId, {
+    type: 'submission_graded',
+    title: passed ? 'Assignment passed' : 'Assignment returned',
+    message: passed
+      ? `Your assignment "${module?.title || 'Assignment'}" in "${course.title}" passed with ${percentage}%.`
+      : `Your assignment "${module?.title || 'Assignment'}" in "${course.title}" scored ${percentage}%. Review the feedback and submit again.`,
+    link: `/courses/${course._id}`,
+    data: { courseId: course._id, moduleId: submission.moduleId, submissionId: submission._id, score: percentage, passed }
+  });
+
+  return {
+    submission: updated.assignmentSubmissions.id(submission._id),
+    courseCompleted
+  };
+};
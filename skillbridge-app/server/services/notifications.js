@@ -0,0 +1,171 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { sendNotificationEmail } from '../utils/email.js';
+import { sendNotificationSms } from '../utils/sms.js';
+import { isWithinQuietHours } from '../utils/timezone.js';
+
+// Notifications: persisted for the in-app center, pushed live to the user's
+// socket room, and delivered by email/SMS according to the user's per-event
+// channel preferences. Email and SMS wait out quiet hours (see jobs/notifications.js);
+// low-priority emails are batched into the daily digest.
+
+// Event types; `preference` points at the matrix row that controls the event
+export const NOTIFICATION_EVENTS = {
+  new_application: { priority: 'high' },
+  application_status_update: { priority: 'high' },
+  gig_deleted: { priority: 'high', preference: 'application_status_update' },
+  gig_completed: { priority: 'low' },
+  course_completed: { priority: 'low' },
+  submission_graded: { priority: 'high' },
+  badge_earned: { priority: 'low' },
+  badge_expiring: { priority: 'high', preference: 'badge_earned' },
+  badge_expired: { priority: 'low', preference: 'badge_earned' },
+  badge_revoked: { priority: 'high', preference: 'badge_earned' },
+  streak_at_risk: { priority: 'high' },
+  system: { priority: 'high', inAppOnly: true }
+};
+
+export const CHANNELS = ['inApp', 'email', 'sms'];
+
+// Out-of-app channel senders: (user, notification) => Promise
+const channelSenders = {
+  email: sendNotificationEmail,
+  sms: sendNotificationSms
+};
+
+export const registerChannelSender = (channel, sender) => {
+  channelSenders[channel] = sender;
+};
+
+let io = null;
+
+// Called once from server.js with the Socket.IO server
+export const setSocketServer = (socketServer) => {
+  io = socketServer;
+};
+
+// Emit a live event to one user's room (no-op before the socket server is set)
+export const emitToUser = (userId, event, payload) => {
+  io?.to(`user_${userId}`).emit(event, payload);
+};
+
+// Channels the user wants for this event (global switch AND per-event switch)
+export const getEnabledChannels = (user, type) => {
+  const preferences = user.preferences || {};
+  const event = NOTIFICATION_EVENTS[type] || NOTIFICATION_EVENTS.system;
+  const inApp = preferences.notifications !== false;
+
+  if (event.inAppOnly) {
+    return { inApp, email: false, sms: false };
+  }
+
+  const eventPreferences = preferences.notificationEvents?.[event.preference || type] || {};
+
+  return {
+    inApp: inApp && eventPreferences.inApp !== false,
+    email: preferences.emailUpdates !== false && eventPreferences.email === true,
+    sms: preferences.smsUpdates === true && eventPreferences.sms === true && Boolean(user.phone && user.phoneVerified)
+  };
+};
+
+// Send one channel and record the outcome on the notification
+const deliverChannel = async (notification, user, channel) => {
+  const sender = channelSenders[channel];
+  const delivery = notification.channels[channel];
+
+  if (!sender) {
+    delivery.status = 'skipped';
+    delivery.error = `No ${channel} provider configured`;
+    return;
+  }
+
+  try {
+    await sender(user, notification);
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.error = undefined;
+  } catch (error) {
+    console.error(`Notification ${channel} delivery error:`, error.message);
+    delivery.status = 'failed';
+    delivery.error = error.message;
+  }
+};
+
+// Deliver the notification's pending email/SMS now
+export const deliverPending = async (notification, user) => {
+  const pending = ['email', 'sms'].filter(channel => notification.channels[channel]?.status === 'pending');
+  if (pending.length === 0) return;
+
+  for (const channel of pending) {
+    await deliverChannel(notification, user, channel);
+  }
+  await notification.save();
+};
+
+// Whether out-of-app delivery to this user is currently held back
+export const isQuietNow = (user, date = new Date()) => {
+  return isWithinQuietHours(user.preferences?.quietHours, user.preferences?.timezone, date);
+};
+
+// Create a notification and route it to the user's enabled channels.
+// Returns null when the user has every channel off for this event.
+export const notify = async (userId, { type, title, message, link, data = {} }) => {
+  try {
+    const user = await User.findById(userId).select('name email phone phoneVerified preferences isActive');
+    if (!user || !user.isActive) {
+      return null;
+    }
+
+    const event = NOTIFICATION_EVENTS[type] || NOTIFICATION_EVENTS.system;
+    const enabled = getEnabledChannels(user, type);
+    if (!CHANNELS.some(channel => enabled[channel])) {
+      return null;
+    }
+
+    const digestEmail = event.priority === 'low' && user.preferences?.digest?.enabled !== false;
+    const channelStatus = (channel) => {
+      if (!enabled[channel]) return 'skipped';
+      return channel === 'email' && digestEmail ? 'digest' : 'pending';
+    };
+
+    const notification = await Notification.create({
+      userId,
+      type,
+      title,
+      message,
+      link,
+      data,
+      priority: event.priority,
+      inApp: enabled.inApp,
+      channels: {
+        email: { status: channelStatus('email') },
+        sms: { status: channelStatus('sms') }
+      }
+    });
+
+    if (enabled.inApp) {
+      const unreadCount = await Notification.countUnread(userId);
+
+      // `notification` feeds the bell; the typed event keeps existing listeners working
+      emitToUser(userId, 'notification', { notification, unreadCount });
+      emitToUser(userId, type, data);
+    }
+
+    // Email/SMS go out in the background unless the user is in quiet hours
+    if (!isQuietNow(user)) {
+      deliverPending(notification, user)
+        .catch(error => console.error('Notification delivery error:', error));
+    }
+
+    return notification;
+  } catch (error) {
+    // Notifications never fail the action that triggered them
+    console.error('Notification error:', error);
+    return null;
+  }
+};
+
+// Notify several users with the same content
+export const notifyMany = (userIds, content) => {
+  return Promise.all(userIds.map(userId => notify(userId, content)));
+};
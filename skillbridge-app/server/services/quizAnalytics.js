@@ -0,0 +1,143 @@
+import Progress, { GRADED_ATTEMPT_STATUSES } from '../models/Progress.js';
+import QuestionBank from '../models/QuestionBank.js';
+import { selectedOptions } from '../utils/questionTypes.js';
+
+// Item analysis of a course quiz from its graded attempts, per question:
+//   difficultyIndex      share of the question's points earned (0 = nobody, 1 = everybody)
+//   discriminationIndex  difficulty index among the top 27% of attempts by score minus the bottom 27%;
+//                        low or negative values mean the question does not separate strong from weak learners
+//   options              how often each option was picked, for choice questions (distractor analysis)
+//   averageTime          mean seconds spent on the question, where the client reported it
+// Only each learner's first graded attempt counts unless all attempts are asked for, so
+// retakes of questions already seen do not make them look easier.
+
+const CHOICE_TYPES = ['multiple-choice', 'true-false', 'multi-select'];
+
+// Share of attempts in each of the upper and lower groups
+const GROUP_SHARE = 0.27;
+
+// Thresholds for flagging questions worth a second look
+const MIN_RESPONSES_TO_FLAG = 5;
+const TOO_EASY = 0.9;
+const TOO_HARD = 0.3;
+const LOW_DISCRIMINATION = 0.2;
+const UNUSED_DISTRACTOR = 0.05;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const isAnswered = (answer) => answer.answer !== undefined && answer.answer !== null && answer.answer !== '';
+
+// Statistics for one question from the attempts that were shown it
+const analyzeQuestion = (question, attempts) => {
+  const id = question._id.toString();
+  const rows = [];
+  for (const attempt of attempts) {
+    const answer = attempt.answers.find(a => a.questionId.toString() === id);
+    if (answer) rows.push({ score: attempt.score || 0, answer });
+  }
+
+  const credit = (row) => (question.points ? Math.min(1, (row.answer.pointsEarned || 0) / question.points) : 0);
+  const difficulty = mean(rows.map(credit));
+
+  // Upper and lower groups by overall attempt score
+  const groupSize = Math.floor(rows.length * GROUP_SHARE);
+  let discrimination = null;
+  if (groupSize > 0) {
+    const ranked = [...rows].sort((a, b) => b.score - a.score);
+    discrimination = mean(ranked.slice(0, groupSize).map(credit)) - mean(ranked.slice(-groupSize).map(credit));
+  }
+
+  const times = rows.map(row => row.answer.timeSpent).filter(time => typeof time === 'number');
+  const answered = rows.filter(row => isAnswered(row.answer)).length;
+
+  const stats = {
+    questionId: question._id,
+    question: question.question,
+    type: question.type,
+    points: question.points,
+    difficulty: question.difficulty,
+    responses: rows.length,
+    omitted: rows.length - answered,
+    difficultyIndex: difficulty === null ? null : round(difficulty),
+    discriminationIndex: discrimination === null ? null : round(discrimination),
+    averageTime: times.length ? Math.round(mean(times)) : null
+  };
+
+  if (CHOICE_TYPES.includes(question.type)) {
+    const counts = new Map(question.options.map(option => [option._id.toString(), 0]));
+    for (const row of rows) {
+      for (const option of selectedOptions(question, row.answer.answer)) {
+        counts.set(option._id.toString(), counts.get(option._id.toString()) + 1);
+      }
+    }
+    stats.options = question.options.map(option => {
+      const count = counts.get(option._id.toString());
+      return {
+        optionId: option._id,
+        text: option.text,
+        isCorrect: Boolean(option.isCorrect),
+        count,
+        share: rows.length ? round(count / rows.length) : 0
+      };
+    });
+  }
+
+  stats.flags = [];
+  if (rows.length >= MIN_RESPONSES_TO_FLAG) {
+    if (stats.difficultyIndex > TOO_EASY) stats.flags.push('too-easy');
+    if (stats.difficultyIndex < TOO_HARD) stats.flags.push('too-hard');
+    if (stats.discriminationIndex !== null && stats.discriminationIndex < 0) {
+      stats.flags.push('negative-discrimination');
+    } else if (stats.discriminationIndex !== null && stats.discriminationIndex < LOW_DISCRIMINATION) {
+      stats.flags.push('low-discrimination');
+    }
+    if (stats.options?.some(option => !option.isCorrect && option.share < UNUSED_DISTRACTOR)) {
+      stats.flags.push('unused-distractor');
+    }
+  }
+
+  return stats;
+};
+
+// Item analysis of graded attempts ({ score, answers }) over the given questions
+export const analyzeQuizItems = (questions, attempts) => {
+  return {
+    attempts: attempts.length,
+    averageScore: attempts.length ? Math.round(mean(attempts.map(attempt => attempt.score || 0))) : null,
+    questions: questions.map(question => analyzeQuestion(question, attempts))
+  };
+};
+
+// Item analysis of a course quiz. The quiz's own questions come first, then the question bank
+// items learners were shown (including ones archived since).
+export const getQuizItemAnalysis = async (course, { allAttempts = false } = {}) => {
+  const records = await Progress.find({
+    courseId: course._id,
+    'quizAttempts.status': { $in: GRADED_ATTEMPT_STATUSES }
+  }).select('userId quizAttempts').lean();
+
+  const attempts = [];
+  for (const record of records) {
+    const graded = record.quizAttempts
+      .filter(attempt => GRADED_ATTEMPT_STATUSES.includes(attempt.status))
+      .sort((a, b) => a.attemptNumber - b.attemptNumber);
+    attempts.push(...(allAttempts ? graded : graded.slice(0, 1)));
+  }
+
+  const own = course.quiz?.questions || [];
+  const ownIds = new Set(own.map(question => question._id.toString()));
+  const bankIds = new Set();
+  for (const attempt of attempts) {
+    for (const answer of attempt.answers) {
+      if (!ownIds.has(answer.questionId.toString())) bankIds.add(answer.questionId.toString());
+    }
+  }
+  const bank = bankIds.size ? await QuestionBank.find({ _id: { $in: [...bankIds] } }) : [];
+
+  return {
+    learners: records.length,
+    ...analyzeQuizItems([...own, ...bank], attempts)
+  };
+};
@@ -0,0 +1,307 @@
+import crypto from 'crypto';
+import Badge from '../models/Badge.js';
+import QuestionBank from '../models/QuestionBank.js';
+import { recertifyBadge } from './badges.js';
+import {
+  seededRandom,
+  shuffle,
+  presentQuestion,
+  scoreAnswer,
+  describeCorrectAnswer,
+  isManuallyGraded
+} from '../utils/questionTypes.js';
+
+// Quiz attempt sessions: an attempt is started on the server, which hands out
+// the questions without their answers and sets the deadline from quiz.timeLimit.
+// Answers are autosaved while the attempt is open; submitting (or running out
+// of time) grades it. Correct answers and explanations are only revealed for
+// attempts that have been graded.
+//
+// Each attempt records a random seed and the questions drawn for it, so the
+// shuffled question and option order can be rebuilt exactly for resuming and
+// reviewing. Answers are keyed by question ID, never by position.
+//
+// Besides its own questions, a quiz can link question bank items and draw
+// random bank items by rule; those are looked up from the QuestionBank.
+//
+// Answers to manually graded questions put the attempt in needs-review; its
+// score, XP and badge renewal wait until an instructor grades it (services/grading.js).
+
+// Allowance for network latency on submissions that arrive just after the deadline
+export const SUBMIT_GRACE_MS = 30 * 1000;
+
+export const generateAttemptSeed = () => crypto.randomBytes(8).toString('hex');
+
+// Whether the quiz has anything to ask: its own questions, linked bank items or bank rules
+export const hasQuizQuestions = (quiz) => {
+  return Boolean(quiz) && (quiz.questions.length > 0 || quiz.bankQuestions?.length > 0 || quiz.bankRules?.length > 0);
+};
+
+// Questions for a new attempt: questionsPerAttempt drawn from the quiz's own and linked bank questions,
+// plus each bank rule's random picks; shuffled when randomizeQuestions is on
+export const drawQuestionIds = async (course, seed) => {
+  const { quiz } = course;
+  const random = seededRandom(seed);
+  const pool = quiz.questions.map(question => question._id);
+
+  if (quiz.bankQuestions?.length) {
+    const linked = await QuestionBank.find({
+      _id: { $in: quiz.bankQuestions },
+      ...QuestionBank.accessibleFilter(course.instructor)
+    }).select('_id').lean();
+    const available = new Set(linked.map(item => item._id.toString()));
+    pool.push(...quiz.bankQuestions.filter(id => available.has(id.toString())));
+  }
+
+  const count = Math.min(quiz.questionsPerAttempt || pool.length, pool.length);
+  let drawn = pool;
+  if (count < pool.length) {
+    // Drawn from the pool but kept in the instructor's order
+    const kept = new Set(shuffle(pool, random).slice(0, count).map(id => id.toString()));
+    drawn = pool.filter(id => kept.has(id.toString()));
+  }
+
+  for (const rule of quiz.bankRules || []) {
+    const candidates = await QuestionBank.findIdsForRule(rule, course.instructor, drawn);
+    drawn = [...drawn, ...shuffle(candidates, random).slice(0, rule.count)];
+  }
+
+  return quiz.randomizeQuestions ? shuffle(drawn, random) : drawn;
+};
+
+// The attempt's questions in the order they were shown (the quiz's own questions for attempts made
+// before drawing existed). Bank items are looked up even when archived since, so old attempts stay gradable.
+export const getAttemptQuestions = async (quiz, attempt) => {
+  if (!attempt.questionIds?.length) return quiz.questions;
+
+  const own = new Map(quiz.questions.map(question => [question._id.toString(), question]));
+  const missing = attempt.questionIds.filter(id => !own.has(id.toString()));
+  const bank = missing.length ? await QuestionBank.find({ _id: { $in: missing } }) : [];
+  const byId = new Map([...own, ...bank.map(item => [item._id.toString(), item])]);
+
+  return attempt.questionIds.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+// Question as shown to a learner taking the quiz (see utils/questionTypes.js)
+export const sanitizeQuestion = (question) => presentQuestion(question);
+
+// Quiz without correct answers or explanations
+export const sanitizeQuiz = (quiz) => {
+  if (!quiz) return quiz;
+  const { questions = [], ...settings } = typeof quiz.toObject === 'function' ? quiz.toObject() : quiz;
+  return { ...settings, questions: questions.map(sanitizeQuestion) };
+};
+
+// The quiz as issued for an attempt: its questions in order, options shuffled with the attempt's seed
+export const presentQuiz = (quiz, attempt, questions) => {
+  const { questions: ownQuestions, bankQuestions, bankRules, ...settings } = sanitizeQuiz(quiz);
+
+  return {
+    ...settings,
+    questions: questions.map(question => {
+      const random = seededRandom(`${attempt.seed || ''}:${question._id}`);
+      const presented = presentQuestion(question, random);
+      if (quiz.randomizeOptions && attempt.seed && ['multiple-choice', 'multi-select'].includes(question.type)) {
+        presented.options = shuffle(presented.options, random);
+      }
+      return presented;
+    })
+  };
+};
+
+// Whether the deadline (plus grace) has passed for an open attempt
+export const isAttemptOverdue = (attempt, now = new Date()) => {
+  return Boolean(attempt.expiresAt) && now.getTime() > attempt.expiresAt.getTime() + SUBMIT_GRACE_MS;
+};
+
+// Longest plausible time on one question; anything above is ignored
+const MAX_QUESTION_SECONDS = 24 * 60 * 60;
+
+const toSeconds = (value) => {
+  const seconds = Number(value);
+  return value !== null && value !== '' && Number.isFinite(seconds) && seconds >= 0 && seconds <= MAX_QUESTION_SECONDS
+    ? Math.round(seconds)
+    : undefined;
+};
+
+// Question timings already saved on the attempt, updated with newly reported ones
+export const mergeQuestionTimes = (attempt, timeSpent) => ({
+  ...Object.fromEntries(attempt.answers
+    .filter(answer => answer.timeSpent !== undefined && answer.timeSpent !== null)
+    .map(answer => [answer.questionId.toString(), answer.timeSpent])),
+  ...(timeSpent && typeof timeSpent === 'object' ? timeSpent : {})
+});
+
+// Normalise submitted answers into { questionId, answer, timeSpent } entries for the attempt's questions.
+// Accepts { [questionId]: answer }, [{ questionId, answer, timeSpent }] or, from older clients, an array in
+// the order shown. `timeSpent` ({ [questionId]: seconds }) is the time the client measured on each question.
+export const toAnswerEntries = (questions, answers, timeSpent = {}) => {
+  let entries = [];
+
+  if (Array.isArray(answers)) {
+    entries = answers.map((answer, index) => (answer && typeof answer === 'object' && Object.hasOwn(answer, 'questionId'))
+      ? { questionId: answer.questionId, answer: answer.answer, timeSpent: answer.timeSpent }
+      : { questionId: questions[index]?._id, answer });
+  } else if (answers && typeof answers === 'object') {
+    entries = Object.entries(answers).map(([questionId, answer]) => ({ questionId, answer }));
+  }
+
+  const byQuestion = new Map();
+  for (const { questionId, answer, timeSpent: seconds } of entries) {
+    const question = questionId && questions.find(q => q._id.toString() === questionId.toString());
+    if (question && answer !== undefined && answer !== null) {
+      const id = question._id.toString();
+      byQuestion.set(id, {
+        questionId: question._id,
+        answer,
+        timeSpent: toSeconds(seconds ?? timeSpent?.[id])
+      });
+    }
+  }
+  return [...byQuestion.values()];
+};
+
+// Totals for graded answers against the quiz's passing score
+export const summarizeAnswers = (quiz, answers, questions) => {
+  const totalPoints = answers.reduce((sum, answer) => sum + (answer.pointsEarned || 0), 0);
+  const maxPoints = questions.reduce((sum, question) => sum + question.points, 0);
+  const score = maxPoints ? Math.round((totalPoints / maxPoints) * 100) : 0;
+
+  return {
+    score,
+    totalPoints: Math.round(totalPoints * 100) / 100,
+    maxPoints,
+    passed: score >= (quiz.passingScore ?? 70)
+  };
+};
+
+// Grade answer entries against the attempt's questions; unanswered questions score zero and
+// partially correct answers earn their share of the points. Answered manually graded questions
+// score zero for now and are flagged with needsReview.
+export const gradeQuiz = (quiz, entries, questions = quiz.questions) => {
+  const answers = [];
+
+  for (const question of questions) {
+    const entry = entries.find(e => e.questionId?.toString() === question._id.toString());
+
+    if (entry && isManuallyGraded(question)) {
+      answers.push({
+        questionId: question._id,
+        answer: entry.answer,
+        timeSpent: entry.timeSpent,
+        isCorrect: false,
+        pointsEarned: 0,
+        needsReview: true
+      });
+      continue;
+    }
+
+    const credit = entry ? scoreAnswer(question, entry.answer) : 0;
+    answers.push({
+      questionId: question._id,
+      answer: entry?.answer,
+      timeSpent: entry?.timeSpent,
+      isCorrect: credit === 1,
+      pointsEarned: Math.round(question.points * credit * 100) / 100
+    });
+  }
+
+  return {
+    answers,
+    ...summarizeAnswers(quiz, answers, questions),
+    needsReview: answers.some(answer => answer.needsReview)
+  };
+};
+
+// Per-question review of a graded attempt: the learner's answer, the correct answer and the explanation
+export const buildAttemptReview = (attempt, questions) => {
+  if (attempt.status === 'in-progress') return null;
+
+  return questions.map(question => {
+    const answer = attempt.answers.find(a => a.questionId.toString() === question._id.toString());
+    return {
+      ...sanitizeQuestion(question),
+      answer: answer?.answer,
+      isCorrect: answer?.isCorrect || false,
+      pointsEarned: answer?.pointsEarned || 0,
+      needsReview: answer?.needsReview || false,
+      comment: answer?.comment,
+      correctAnswer: describeCorrectAnswer(question),
+      explanation: question.explanation
+    };
+  });
+};
+
+// Holders of the course badge may retake the quiz to re-certify, even after using up their attempts
+export const getRecertification = async (course, user) => {
+  const badge = course.badgeGranted && await Badge.findById(course.badgeGranted._id || course.badgeGranted);
+  const entry = badge && user.badges.find(b => b.badgeId.toString() === badge._id.toString());
+  return { badge, recertifying: Boolean(entry && badge.isRenewable(entry)) };
+};
+
+// XP a graded attempt is worth: the full reward for a pass, up to 30% of it by score for a fail
+export const quizXpFor = (quiz, attempt) => {
+  const xpReward = quiz.xpReward ?? 100;
+  return attempt.passed ? xpReward : Math.floor(xpReward * 0.3 * (attempt.score || 0) / 100);
+};
+
+// XP for a graded attempt, only for what it adds on top of the XP already earned from the quiz
+// (so retakes can't farm XP), and renewal of an expired or expiring course badge on a re-certifying pass
+export const awardQuizResult = async ({ course, progress, user, attempt }) => {
+  const xpEarned = await progress.claimQuizXp(quizXpFor(course.quiz, attempt));
+  if (xpEarned > 0) {
+    await user.addXP(xpEarned, attempt.passed ? `Quiz passed: ${course.title}` : `Quiz attempted: ${course.title}`);
+  }
+
+  const { badge, recertifying } = await getRecertification(course, user);
+  const recertification = attempt.passed && recertifying
+    ? await recertifyBadge(badge, user, { courseId: course._id })
+    : null;
+
+  return { xpEarned, badgeRenewed: Boolean(recertification) };
+};
+
+// Grade and close an open attempt, then award any XP it adds (and renew the course badge on a re-certifying pass).
+// `answers` replaces the autosaved answers unless the attempt is overdue, in which case only what was
+// saved before the deadline counts. Attempts with manually graded answers go to needs-review and are
+// awarded once graded. Returns null when the attempt had already been closed.
+export const submitQuizAttempt = async ({ course, progress, user, attempt, answers, timeSpent }) => {
+  const now = new Date();
+  const overdue = isAttemptOverdue(attempt, now);
+  const questions = await getAttemptQuestions(course.quiz, attempt);
+
+  const entries = overdue || answers === undefined
+    ? attempt.answers
+    : toAnswerEntries(questions, answers, mergeQuestionTimes(attempt, timeSpent));
+
+  const completedAt = overdue ? attempt.expiresAt : now;
+  const { needsReview, ...graded } = gradeQuiz(course.quiz, entries, questions);
+  let feedback = graded.passed ? 'Great job! You passed the quiz.' : 'Keep studying and try again.';
+  if (needsReview) feedback = 'Submitted for grading. Your score will be final once the instructor has reviewed it.';
+
+  const closed = await progress.recordQuizResult(attempt._id, 'in-progress', {
+    ...graded,
+    passed: needsReview ? false : graded.passed,
+    status: needsReview ? 'needs-review' : (overdue ? 'expired' : 'submitted'),
+    completedAt,
+    timeSpent: Math.max(0, Math.round((completedAt - attempt.startedAt) / 1000)),
+    feedback
+  }, { scoringPolicy: course.quiz.scoringPolicy });
+
+  if (!closed) {
+    return null;
+  }
+
+  const { xpEarned, badgeRenewed } = needsReview
+    ? { xpEarned: 0, badgeRenewed: false }
+    : await awardQuizResult({ course, progress, user, attempt: closed });
+
+  return {
+    attempt: closed,
+    review: buildAttemptReview(closed, questions),
+    xpEarned,
+    expired: overdue,
+    pendingReview: needsReview,
+    badgeRenewed
+  };
+};
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+import Gig from '../models/Gig.js';
+import { socketAuth } from '../middleware/auth.js';
+import { can } from '../utils/policy.js';
+import { onDomainEvent } from './events.js';
+
+// Socket.IO connections: every socket authenticates with an access token
+// (see socketAuth) and joins its own user room, which the client never chooses,
+// plus a room for its session so revoking the session disconnects it. Gig rooms
+// are only open to the gig's participants.
+
+const sessionRoom = (sessionId) => `session_${sessionId}`;
+
+// Wire authentication and event handlers onto the Socket.IO server.
+// Returns a function that stops listening for session revocations.
+export const registerSocketHandlers = (io) => {
+  io.use(socketAuth);
+
+  io.on('connection', (socket) => {
+    const { user, sessionId } = socket.data;
+    console.log('👤 User connected:', socket.id);
+
+    socket.join(`user_${user._id}`);
+    socket.join(sessionRoom(sessionId));
+
+    socket.on('join_gig_room', async (gigId, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        if (!mongoose.Types.ObjectId.isValid(gigId)) {
+          return reply({ success: false, message: 'Invalid gig id' });
+        }
+
+        const gig = await Gig.findById(gigId).select('clientId assignedTo applications.applicantId');
+
+        if (!gig || !(gig.isParticipant(user._id) || can(user, 'gig:view-applications', gig))) {
+          return reply({ success: false, message: 'Not allowed to join this gig room' });
+        }
+
+        socket.join(`gig_${gigId}`);
+        reply({ success: true });
+      } catch (error) {
+        console.error('Join gig room error:', error);
+        reply({ success: false, message: 'Could not join gig room' });
+      }
+    });
+
+    socket.on('leave_gig_room', (gigId) => {
+      socket.leave(`gig_${gigId}`);
+    });
+
+    socket.on('disconnect', () => {
+      console.log('👤 User disconnected:', socket.id);
+    });
+  });
+
+  // Sockets authenticated with a revoked session must not keep receiving events
+  return onDomainEvent('sessions_revoked', ({ sessionIds }) => {
+    for (const sessionId of sessionIds) {
+      io.in(sessionRoom(sessionId)).disconnectSockets(true);
+    }
+  });
+};
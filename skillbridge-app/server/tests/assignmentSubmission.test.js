@@ -0,0 +1,36 @@
+import { afterEach, describe, expect, it, jest } from '@jest/globals';
+import Progress from '../models/Progress.js';
+import { objectId } from './helpers.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Progress#submitAssignment', () => {
+  const files = [{ originalName: 'budget.pdf', path: 'assignments/budget.pdf', mimetype: 'application/pdf', size: 1024 }];
+
+  it('only pushes when the module has no submission waiting for review or graded', async () => {
+    const progress = new Progress({ userId: objectId(), courseId: objectId() });
+    const moduleId = objectId();
+    const update = jest.spyOn(Progress, 'findOneAndUpdate').mockImplementation(async (filter, { $push }) => {
+      progress.assignmentSubmissions.push($push.assignmentSubmissions);
+      return progress;
+    });
+
+    const result = await progress.submitAssignment(moduleId, { files, comment: 'My budget' });
+
+    expect(update.mock.calls[0][0]).toEqual({
+      _id: progress._id,
+      assignmentSubmissions: { $not: { $elemMatch: { moduleId, status: { $in: ['needs-review', 'graded'] } } } }
+    });
+    expect(result.progress).toBe(progress);
+    expect(result.submission).toMatchObject({ moduleId, comment: 'My budget', status: 'needs-review' });
+  });
+
+  it('returns null when a concurrent submission got there first', async () => {
+    const progress = new Progress({ userId: objectId(), courseId: objectId() });
+    jest.spyOn(Progress, 'findOneAndUpdate').mockResolvedValue(null);
+
+    expect(await progress.submitAssignment(objectId(), { files })).toBeNull();
+  });
+});
@@ -0,0 +1,125 @@
+import { afterEach, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import BadgeAssertion from '../models/BadgeAssertion.js';
+import credentialRoutes from '../routes/credentials.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { buildCredential, hashRecipient, resetSigningKey, signCredential } from '../utils/openBadges.js';
+import { objectId, query } from './helpers.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/credentials', credentialRoutes);
+app.use(errorHandler);
+
+beforeAll(() => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  process.env.OPEN_BADGES_PRIVATE_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  resetSigningKey();
+});
+
+let assertion;
+
+beforeEach(() => {
+  const badge = {
+    _id: objectId(),
+    name: 'Budgeting basics',
+    description: 'Plans a monthly budget',
+    criteria: [{ type: 'course_completion', description: 'Complete the budgeting course' }]
+  };
+  assertion = new BadgeAssertion({
+    userId: objectId(),
+    badgeId: badge._id,
+    earnedAt: new Date('2026-03-01'),
+    recipient: hashRecipient('ama@example.com')
+  });
+  assertion.credential = buildCredential({ assertion, badge, user: { name: 'Ama Mensah' } });
+  assertion.jwt = signCredential(assertion.credential);
+
+  jest.spyOn(BadgeAssertion, 'findById').mockImplementation(id => query(String(id) === String(assertion._id) ? assertion : null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// The credential as a verifier would send it back (plain JSON)
+const presented = () => JSON.parse(JSON.stringify(assertion.credential));
+
+describe('POST /api/credentials/verify', () => {
+  it('accepts a signed VC-JWT', async () => {
+    const res = await request(app).post('/api/credentials/verify').send({ jwt: assertion.jwt });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.verification).toMatchObject({ valid: true, signatureValid: true });
+  });
+
+  it('accepts a credential identical to the one issued', async () => {
+    const res = await request(app).post('/api/credentials/verify').send({ credential: presented() });
+
+    expect(res.body.data.verification).toMatchObject({ valid: true, matchesIssued: true });
+  });
+
+  it('rejects a credential that was altered after issue', async () => {
+    const credential = presented();
+    credential.credentialSubject.name = 'Someone Else';
+
+    const res = await request(app).post('/api/credentials/verify').send({ credential });
+
+    expect(res.body.data.verification).toMatchObject({
+      valid: false,
+      matchesIssued: false,
+      mismatchError: 'The presented credential differs from the one issued'
+    });
+  });
+
+  it('rejects a bare credential id', async () => {
+    const res = await request(app).post('/api/credentials/verify').send({ credential: { id: assertion.credential.id } });
+
+    expect(res.body.data.verification.valid).toBe(false);
+  });
+});
+
+describe('credentials of purged accounts', () => {
+  beforeEach(() => {
+    assertion.status = 'revoked';
+    assertion.anonymizedAt = new Date();
+    assertion.credential = { id: assertion.credential.id };
+    assertion.jwt = undefined;
+    assertion.recipient = undefined;
+  });
+
+  it('no longer serve the recipient or the signed credential', async () => {
+    const hosted = await request(app).get(`/api/credentials/${assertion._id}`);
+    const signed = await request(app).get(`/api/credentials/${assertion._id}?format=jwt`);
+
+    expect(JSON.parse(hosted.text)).toEqual({ id: assertion.credential.id });
+    expect(signed.status).toBe(410);
+  });
+
+  it('verify as revoked', async () => {
+    const res = await request(app).get(`/api/credentials/${assertion._id}/verify`);
+
+    expect(res.body.data.verification).toMatchObject({ valid: false, revoked: true, signatureValid: false });
+    expect(res.body.data.recipient).toBeUndefined();
+  });
+
+  it('are revoked and stripped down to their ids by anonymizeForUser', async () => {
+    const userId = objectId();
+    const revoke = jest.spyOn(BadgeAssertion, 'revokeForUser').mockResolvedValue({ modifiedCount: 1 });
+    const strip = jest.spyOn(BadgeAssertion, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    await BadgeAssertion.anonymizeForUser(userId, 'Account deleted');
+
+    expect(revoke).toHaveBeenCalledWith(userId, 'Account deleted');
+    const [filter, pipeline] = strip.mock.calls[0];
+    expect(filter).toEqual({ userId, anonymizedAt: { $exists: false } });
+    expect(pipeline[0].$set.credential).toEqual({ id: '$credential.id' });
+    expect(pipeline[1]).toEqual({ $unset: ['jwt', 'recipient'] });
+  });
+
+  it('stay valid documents without the recipient details', () => {
+    expect(assertion.validateSync()).toBeUndefined();
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  CriteriaExpressionError,
+  evaluateCriteriaExpression,
+  parseCriteriaExpression,
+  validateCriteriaExpression
+} from '../utils/criteriaExpression.js';
+import { objectId } from './helpers.js';
+
+const webCourse = objectId();
+const designCourse = objectId();
+
+const user = {
+  xp: 1200,
+  level: 4,
+  rating: { average: 4.6, count: 12 },
+  gigsCompleted: 3,
+  streak: { current: 5, longest: 9 },
+  verified: true,
+  createdAt: new Date('2026-01-01'),
+  skills: [{ name: 'JavaScript', level: 'intermediate' }],
+  enrolledCourses: [
+    { courseId: webCourse, completed: true },
+    { courseId: designCourse, completed: false }
+  ],
+  getActiveBadges: () => [{}, {}]
+};
+
+const courses = new Map([
+  [webCourse.toString(), { skillTag: 'web', category: 'technology', tags: ['html'] }],
+  [designCourse.toString(), { skillTag: 'design', category: 'creative', tags: [] }]
+]);
+
+const evaluate = (source) => evaluateCriteriaExpression(source, { user, courses, now: new Date('2026-01-31') });
+
+describe('evaluateCriteriaExpression', () => {
+  it.each([
+    ["coursesCompleted('web') >= 1 && rating >= 4.5", true],
+    ["coursesCompleted('html') == 1", true],
+    ["coursesCompleted('design') >= 1", false],
+    ['coursesEnrolled() == 2', true],
+    ["hasSkill('javascript', 'intermediate') && !hasSkill('javascript', 'advanced')", true],
+    ["skillLevel('JavaScript') * 100 + xp >= 1400", true],
+    ['accountAgeDays >= 30 || streak > longestStreak', true],
+    ['badgesEarned % 2 == 0 && -gigsCompleted < 0', true],
+    ['verified == false', false]
+  ])('%s -> %s', (source, expected) => {
+    expect(evaluate(source)).toBe(expected);
+  });
+});
+
+describe('the parser', () => {
+  const parseError = (source) => {
+    try {
+      parseCriteriaExpression(source);
+    } catch (error) {
+      expect(error).toBeInstanceOf(CriteriaExpressionError);
+      return error.message;
+    }
+    throw new Error(`Expected "${source}" to be rejected`);
+  };
+
+  it('only knows the listed variables', () => {
+    expect(parseError('process')).toBe("Unknown variable 'process' (at position 1)");
+    expect(parseError('constructor')).toBe("Unknown variable 'constructor' (at position 1)");
+    expect(parseError('__proto__ > 1')).toBe("Unknown variable '__proto__' (at position 1)");
+  });
+
+  it('only calls the listed functions', () => {
+    expect(parseError("toString('x')")).toBe("Unknown function 'toString' (at position 1)");
+    expect(parseError("hasOwnProperty('xp')")).toBe("Unknown function 'hasOwnProperty' (at position 1)");
+  });
+
+  it('has no property access, indexing or assignment', () => {
+    expect(parseError('xp.constructor')).toBe("Unexpected character '.' (at position 3)");
+    expect(parseError("xp['constructor']")).toBe("Unexpected character '[' (at position 3)");
+    expect(parseError('xp = 1')).toBe("Unexpected character '=' (at position 4)");
+  });
+
+  it('only takes quoted strings as function arguments', () => {
+    expect(parseError('coursesCompleted(xp)')).toBe('Arguments to coursesCompleted() must be quoted strings (at position 18)');
+    expect(parseError('skillLevel()')).toBe('Wrong number of arguments to skillLevel() (at position 1)');
+  });
+
+  it('rejects malformed expressions', () => {
+    expect(parseError("hasSkill('web)")).toBe('Unterminated string (at position 10)');
+    expect(parseError('(xp > 1')).toBe("Expected ')' (at position 8)");
+    expect(parseError('xp > ')).toBe('Unexpected end of expression (at position 6)');
+    expect(parseError('')).toBe('Expression must be a non-empty string');
+  });
+
+  it('limits length and nesting', () => {
+    expect(parseError(`xp > ${'1'.repeat(500)}`)).toBe('Expression cannot exceed 500 characters');
+    expect(parseError(`${'('.repeat(30)}xp${')'.repeat(30)}`)).toMatch(/^Expression is nested too deeply/);
+    expect(parseError(`${'!'.repeat(30)}verified`)).toMatch(/^Expression is nested too deeply/);
+  });
+});
+
+describe('validateCriteriaExpression', () => {
+  it('accepts well-typed conditions', () => {
+    expect(validateCriteriaExpression("coursesCompleted('web') >= 3 && rating >= 4.5")).toBeNull();
+    expect(validateCriteriaExpression('!(verified || xp * 2 > 100)')).toBeNull();
+    expect(validateCriteriaExpression("hasSkill('design') == true")).toBeNull();
+  });
+
+  it.each([
+    ["rating >= 'x'", "Operator '>=' needs numbers, got a string (at position 8)"],
+    ['1 < 2 < 3', "Operator '<' needs numbers, got a true/false value (at position 7)"],
+    ['xp + verified > 1', "Operator '+' needs numbers, got a true/false value (at position 4)"],
+    ['xp && verified', "Operator '&&' needs true/false values, got a number (at position 4)"],
+    ['!xp', "Operator '!' needs true/false values, got a number (at position 1)"],
+    ["-hasSkill('web') < 0", "Operator '-' needs numbers, got a true/false value (at position 1)"],
+    ["xp == '500'", "Operator '==' compares a number with a string (at position 4)"]
+  ])('rejects %s', (source, message) => {
+    expect(validateCriteriaExpression(source)).toBe(message);
+  });
+
+  it('requires a true/false result', () => {
+    expect(validateCriteriaExpression('xp + 1')).toBe('Expression must be a condition that is true or false');
+    expect(validateCriteriaExpression("'web'")).toBe('Expression must be a condition that is true or false');
+  });
+
+  it('reports parse errors', () => {
+    expect(validateCriteriaExpression('process > 1')).toBe("Unknown variable 'process' (at position 1)");
+  });
+});
@@ -0,0 +1,45 @@
+import { afterEach, describe, expect, it, jest } from '@jest/globals';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { deliverDeferredNotifications } from '../jobs/notifications.js';
+import { objectId, query } from './helpers.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Quiet hours from an hour ago until an hour from now (UTC)
+const quietNow = () => {
+  const clock = (offset) => `${String((new Date().getUTCHours() + offset + 24) % 24).padStart(2, '0')}:00`;
+  return { enabled: true, start: clock(-1), end: clock(1) };
+};
+
+const pendingFor = (userId) => ({
+  _id: objectId(),
+  userId,
+  channels: { email: { status: 'pending' }, sms: { status: 'skipped' } },
+  save: jest.fn(async () => {})
+});
+
+describe('deliverDeferredNotifications', () => {
+  it('pages past a full batch held back by quiet hours', async () => {
+    const sleeper = { _id: objectId(), isActive: true, preferences: { timezone: 'UTC', quietHours: quietNow() } };
+    const departed = { _id: objectId(), isActive: false };
+    const held = Array.from({ length: 500 }, () => pendingFor(sleeper._id));
+    const later = pendingFor(departed._id);
+
+    const find = jest.spyOn(Notification, 'find')
+      .mockReturnValueOnce(query(held))
+      .mockReturnValueOnce(query([later]));
+    jest.spyOn(User, 'findById').mockImplementation(id => query([sleeper, departed].find(user => user._id.equals(id))));
+
+    await deliverDeferredNotifications();
+
+    expect(find).toHaveBeenCalledTimes(2);
+    expect(find.mock.calls[0][0]._id).toBeUndefined();
+    expect(find.mock.calls[1][0]._id).toEqual({ $gt: held[499]._id });
+    expect(held.some(notification => notification.save.mock.calls.length > 0)).toBe(false);
+    expect(later.channels.email.status).toBe('skipped');
+    expect(later.save).toHaveBeenCalledTimes(1);
+  });
+});
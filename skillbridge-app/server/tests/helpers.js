@@ -0,0 +1,53 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+
+// Test helpers: no database is used, so model lookups are replaced with in-memory fixtures.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+export const objectId = () => new mongoose.Types.ObjectId();
+
+// Stand-in for a mongoose query resolving to `value` (chainable, awaitable)
+export const query = (value) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Serve User.findById and Session.findById from memory; signIn() creates a user with an
+// active session and returns an access token for it, as issued by routes/auth.js
+export const mockAuth = () => {
+  const users = new Map();
+  const sessions = new Map();
+
+  jest.spyOn(User, 'findById').mockImplementation(id => query(users.get(String(id)) || null));
+  jest.spyOn(Session, 'findById').mockImplementation(id => query(sessions.get(String(id)) || null));
+
+  return {
+    signIn: (role, { twoFactorVerified = false, ...fields } = {}) => {
+      const user = { _id: objectId(), name: `Test ${role}`, role, isActive: true, verified: true, ...fields };
+      const session = {
+        _id: objectId(),
+        userId: user._id,
+        isActive: true,
+        twoFactorVerified,
+        touch: async () => {}
+      };
+      users.set(user._id.toString(), user);
+      sessions.set(session._id.toString(), session);
+
+      const token = jwt.sign({ id: user._id.toString(), sid: session._id.toString() }, process.env.JWT_SECRET);
+      return { user, session, token };
+    }
+  };
+};
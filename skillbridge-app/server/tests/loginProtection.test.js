@@ -0,0 +1,72 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { checkAccountLock, recordFailedLogin } from '../middleware/loginProtection.js';
+
+const MINUTE = 60 * 1000;
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-05-04T09:00:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * MINUTE);
+
+describe('checkAccountLock', () => {
+  it('backs off after repeated failures', () => {
+    const user = { loginSecurity: { failedAttempts: 4, lastFailedAt: new Date() } };
+
+    expect(checkAccountLock(user)).toMatchObject({ statusCode: 429 });
+  });
+
+  it('refuses logins while the account is locked', () => {
+    const user = { loginSecurity: { failedAttempts: 10, lastFailedAt: minutesAgo(1), lockedUntil: new Date(Date.now() + 29 * MINUTE) } };
+
+    expect(checkAccountLock(user).message).toMatch(/^Account temporarily locked/);
+  });
+
+  it('forgets the failures once the lock has expired', () => {
+    const user = { loginSecurity: { failedAttempts: 10, lastFailedAt: minutesAgo(1), lockedUntil: minutesAgo(0.5) } };
+
+    expect(checkAccountLock(user)).toBeNull();
+  });
+
+  it('forgets failures older than the window', () => {
+    const user = { loginSecurity: { failedAttempts: 9, lastFailedAt: minutesAgo(61) } };
+
+    expect(checkAccountLock(user)).toBeNull();
+  });
+});
+
+describe('failures for emails without an account', () => {
+  const fail = (email, times) => {
+    for (let i = 0; i < times; i += 1) {
+      recordFailedLogin({ ip: `10.0.${i}.1`, body: { email } });
+    }
+  };
+
+  it('lock the email like an account', () => {
+    fail('nobody@example.com', 10);
+
+    expect(checkAccountLock(null, 'Nobody@example.com ').message).toMatch(/^Account temporarily locked/);
+  });
+
+  it('start over once the lock has expired', () => {
+    fail('expired@example.com', 10);
+    jest.advanceTimersByTime(31 * MINUTE);
+
+    fail('expired@example.com', 1);
+
+    expect(checkAccountLock(null, 'expired@example.com')).toBeNull();
+  });
+
+  it('start over after the window', () => {
+    fail('quiet@example.com', 9);
+    jest.advanceTimersByTime(61 * MINUTE);
+
+    fail('quiet@example.com', 1);
+
+    expect(checkAccountLock(null, 'quiet@example.com')).toBeNull();
+  });
+});
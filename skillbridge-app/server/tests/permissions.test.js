@@ -0,0 +1,541 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import Course from '../models/Course.js';
+import Progress from '../models/Progress.js';
+import Gig from '../models/Gig.js';
+import Badge from '../models/Badge.js';
+import User from '../models/User.js';
+import QuestionBank from '../models/QuestionBank.js';
+import BusinessApplication from '../models/BusinessApplication.js';
+import courseRoutes from '../routes/courses.js';
+import gigRoutes from '../routes/gigs.js';
+import adminRoutes from '../routes/admin.js';
+import analyticsRoutes from '../routes/analytics.js';
+import questionBankRoutes from '../routes/questionBank.js';
+import gradingRoutes from '../routes/grading.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { mockAuth, objectId, query } from './helpers.js';
+
+// Route-level authorization: permit() / require2FA on the routes converted to the policy,
+// and the ownership checks made with can() once the resource is loaded. Requests that get
+// past the checks are expected to fail later on (validation, a missing record) or succeed.
+
+const app = express();
+app.use(express.json());
+app.use('/api/courses', courseRoutes);
+app.use('/api/gigs', gigRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/question-bank', questionBankRoutes);
+app.use('/api/grading', gradingRoutes);
+app.use(errorHandler);
+
+let auth;
+
+beforeEach(() => {
+  auth = mockAuth();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+describe('course updates and deletes', () => {
+  const courseOwnedBy = (ownerId) => ({
+    _id: objectId(),
+    title: 'Intro to budgeting',
+    instructor: ownerId,
+    deleteOne: jest.fn(async () => {})
+  });
+
+  it('require a token', async () => {
+    const res = await request(app).put(`/api/courses/${objectId()}`).send({ title: 'New title' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it.each(['learner', 'business'])('refuse a %s who does not own the course', async (role) => {
+    const { token } = auth.signIn(role);
+    const course = courseOwnedBy(objectId());
+    jest.spyOn(Course, 'findById').mockReturnValue(query(course));
+
+    const update = await request(app).put(`/api/courses/${course._id}`).set(bearer(token)).send({ title: 'New title' });
+    const removal = await request(app).delete(`/api/courses/${course._id}`).set(bearer(token));
+
+    expect(update.status).toBe(403);
+    expect(removal.status).toBe(403);
+    expect(course.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('let the instructor update their course', async () => {
+    const { user, token } = auth.signIn('business');
+    const course = courseOwnedBy(user._id);
+    jest.spyOn(Course, 'findById').mockReturnValue(query(course));
+    const update = jest.spyOn(Course, 'findByIdAndUpdate').mockReturnValue(query({ ...course, title: 'New title' }));
+
+    const res = await request(app).put(`/api/courses/${course._id}`).set(bearer(token)).send({ title: 'New title' });
+
+    expect(res.status).toBe(200);
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+
+  it('let the instructor reach the delete checks of their course', async () => {
+    const { user, token } = auth.signIn('business');
+    const course = courseOwnedBy(user._id);
+    jest.spyOn(Course, 'findById').mockReturnValue(query(course));
+    jest.spyOn(Progress, 'countDocuments').mockResolvedValue(3);
+
+    const res = await request(app).delete(`/api/courses/${course._id}`).set(bearer(token));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Cannot delete course with existing enrollments');
+  });
+
+  it("let admins delete anyone's course", async () => {
+    const { token } = auth.signIn('admin');
+    const course = courseOwnedBy(objectId());
+    jest.spyOn(Course, 'findById').mockReturnValue(query(course));
+    jest.spyOn(Progress, 'countDocuments').mockResolvedValue(0);
+
+    const res = await request(app).delete(`/api/courses/${course._id}`).set(bearer(token));
+
+    expect(res.status).toBe(200);
+    expect(course.deleteOne).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('gig applications', () => {
+  it('require a token to apply', async () => {
+    const res = await request(app).post(`/api/gigs/${objectId()}/apply`).send({ message: 'Hello' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('let learners apply', async () => {
+    const { token } = auth.signIn('learner');
+    jest.spyOn(Gig, 'findById').mockReturnValue(query(null));
+
+    const res = await request(app).post(`/api/gigs/${objectId()}/apply`).set(bearer(token)).send({ message: 'Hello' });
+
+    // Past permit('gig:apply'): the gig lookup is what fails
+    expect(res.status).toBe(404);
+  });
+
+  describe('status updates', () => {
+    const gigOwnedBy = (ownerId) => ({
+      _id: objectId(),
+      title: 'Paint a fence',
+      clientId: ownerId,
+      updateApplicationStatus: jest.fn(async () => {
+        throw new Error('Application not found');
+      })
+    });
+
+    it.each(['learner', 'business'])('are refused to a %s who does not own the gig', async (role) => {
+      const { token } = auth.signIn(role);
+      const gig = gigOwnedBy(objectId());
+      jest.spyOn(Gig, 'findById').mockReturnValue(query(gig));
+
+      const res = await request(app)
+        .put(`/api/gigs/${gig._id}/applications/${objectId()}`)
+        .set(bearer(token))
+        .send({ status: 'accepted' });
+
+      expect(res.status).toBe(403);
+      expect(gig.updateApplicationStatus).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['the gig owner', 'business', true],
+      ['admins', 'admin', false]
+    ])('are allowed for %s', async (label, role, owned) => {
+      const { user, token } = auth.signIn(role);
+      const gig = gigOwnedBy(owned ? user._id : objectId());
+      jest.spyOn(Gig, 'findById').mockReturnValue(query(gig));
+
+      const res = await request(app)
+        .put(`/api/gigs/${gig._id}/applications/${objectId()}`)
+        .set(bearer(token))
+        .send({ status: 'accepted' });
+
+      expect(gig.updateApplicationStatus).toHaveBeenCalledTimes(1);
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Application not found');
+    });
+  });
+});
+
+describe('admin routes', () => {
+  it.each(['learner', 'business'])('refuse a %s', async (role) => {
+    const { token } = auth.signIn(role, { twoFactorVerified: true });
+
+    const res = await request(app).get('/api/admin/users').set(bearer(token));
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Access denied. Missing permission: user:list');
+  });
+
+  it('require a two-factor verified session for badge changes', async () => {
+    const { token } = auth.signIn('admin');
+
+    const create = await request(app).post('/api/admin/badges').set(bearer(token)).send({});
+    const revoke = await request(app)
+      .put(`/api/admin/users/${objectId()}/badges/${objectId()}/revoke`)
+      .set(bearer(token))
+      .send({ reason: 'Issued by mistake' });
+
+    for (const res of [create, revoke]) {
+      expect(res.status).toBe(403);
+      expect(res.body.twoFactorRequired).toBe(true);
+    }
+  });
+
+  it('let admins with a two-factor verified session change badges', async () => {
+    const { token } = auth.signIn('admin', { twoFactorVerified: true });
+    jest.spyOn(Badge, 'findById').mockReturnValue(query(null));
+
+    const create = await request(app).post('/api/admin/badges').set(bearer(token)).send({});
+    const revoke = await request(app)
+      .put(`/api/admin/users/${objectId()}/badges/${objectId()}/revoke`)
+      .set(bearer(token))
+      .send({ reason: 'Issued by mistake' });
+
+    // Past permit(): the request body and the badge lookup are what fail
+    expect(create.status).toBe(400);
+    expect(revoke.status).toBe(404);
+  });
+
+  it('refuse two-factor verified business accounts', async () => {
+    const { token } = auth.signIn('business', { twoFactorVerified: true });
+
+    const res = await request(app).post('/api/admin/badges').set(bearer(token)).send({});
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Access denied. Missing permission: badge:create');
+  });
+});
+
+describe('course creation and instructor listings', () => {
+  it('refuse learners', async () => {
+    const { token } = auth.signIn('learner');
+
+    const create = await request(app).post('/api/courses').set(bearer(token)).send({});
+    const teaching = await request(app).get('/api/courses/my/teaching').set(bearer(token));
+    const posted = await request(app).get('/api/gigs/my/posted').set(bearer(token));
+
+    expect(create.status).toBe(403);
+    expect(create.body.message).toBe('Access denied. Missing permission: course:create');
+    expect(teaching.status).toBe(403);
+    expect(teaching.body.message).toBe('Access denied. Missing permission: course:list-own');
+    expect(posted.status).toBe(403);
+    expect(posted.body.message).toBe('Access denied. Missing permission: gig:list-own');
+  });
+
+  it.each(['business', 'admin'])('are open to %s accounts', async (role) => {
+    const { token } = auth.signIn(role);
+    jest.spyOn(Course, 'find').mockReturnValue(query([]));
+    jest.spyOn(Gig, 'find').mockReturnValue(query([]));
+
+    const create = await request(app).post('/api/courses').set(bearer(token)).send({});
+    const teaching = await request(app).get('/api/courses/my/teaching').set(bearer(token));
+    const posted = await request(app).get('/api/gigs/my/posted').set(bearer(token));
+
+    // Past permit('course:create'): the missing fields are what fail
+    expect(create.status).toBe(400);
+    expect(teaching.status).toBe(200);
+    expect(posted.status).toBe(200);
+  });
+});
+
+describe('course enrolment and reviews', () => {
+  it('require a token', async () => {
+    const enroll = await request(app).post(`/api/courses/${objectId()}/enroll`);
+    const review = await request(app).post(`/api/courses/${objectId()}/review`).send({ rating: 5 });
+
+    expect(enroll.status).toBe(401);
+    expect(review.status).toBe(401);
+  });
+
+  it.each(['learner', 'business', 'admin'])('are open to %s accounts', async (role) => {
+    const { token } = auth.signIn(role);
+    jest.spyOn(Course, 'findById').mockReturnValue(query(null));
+    jest.spyOn(Progress, 'findOne').mockReturnValue(query(null));
+
+    const enroll = await request(app).post(`/api/courses/${objectId()}/enroll`).set(bearer(token));
+    const review = await request(app).post(`/api/courses/${objectId()}/review`).set(bearer(token)).send({ rating: 5 });
+
+    // Past permit('course:enroll') / permit('course:review'): the course lookup is what fails
+    expect(enroll.status).toBe(404);
+    expect(review.status).toBe(404);
+  });
+
+  it('refuse accounts without a known role', async () => {
+    const { token } = auth.signIn('guest');
+
+    const enroll = await request(app).post(`/api/courses/${objectId()}/enroll`).set(bearer(token));
+    const review = await request(app).post(`/api/courses/${objectId()}/review`).set(bearer(token)).send({ rating: 5 });
+
+    expect(enroll.body.message).toBe('Access denied. Missing permission: course:enroll');
+    expect(review.body.message).toBe('Access denied. Missing permission: course:review');
+  });
+});
+
+describe('gig updates, deletes and completion', () => {
+  const gigOwnedBy = (ownerId) => ({
+    _id: objectId(),
+    title: 'Paint a fence',
+    clientId: ownerId,
+    status: 'posted',
+    applications: [],
+    deleteOne: jest.fn(async () => {})
+  });
+
+  const sendAll = (gig, token) => Promise.all([
+    request(app).put(`/api/gigs/${gig._id}`).set(bearer(token)).send({ title: 'Paint two fences' }),
+    request(app).delete(`/api/gigs/${gig._id}`).set(bearer(token)),
+    request(app).put(`/api/gigs/${gig._id}/complete`).set(bearer(token)).send({ clientRating: 5 })
+  ]);
+
+  it.each(['learner', 'business'])('are refused to a %s who does not own the gig', async (role) => {
+    const { token } = auth.signIn(role);
+    const gig = gigOwnedBy(objectId());
+    jest.spyOn(Gig, 'findById').mockReturnValue(query(gig));
+
+    const responses = await sendAll(gig, token);
+
+    expect(responses.map(res => res.status)).toEqual([403, 403, 403]);
+    expect(gig.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['the gig owner', 'business', true],
+    ['admins', 'admin', false]
+  ])('are allowed for %s', async (label, role, owned) => {
+    const { user, token } = auth.signIn(role);
+    const gig = gigOwnedBy(owned ? user._id : objectId());
+    jest.spyOn(Gig, 'findById').mockReturnValue(query(gig));
+    jest.spyOn(Gig, 'findByIdAndUpdate').mockReturnValue(query(gig));
+
+    const [update, removal, completion] = await sendAll(gig, token);
+
+    expect(update.status).toBe(200);
+    expect(removal.status).toBe(200);
+    expect(gig.deleteOne).toHaveBeenCalledTimes(1);
+    expect(completion.status).toBe(400);
+    expect(completion.body.message).toBe('Gig must be in progress to complete');
+  });
+});
+
+describe('quiz analytics and extra attempts', () => {
+  const courseTaughtBy = (instructorId, fields = {}) => ({
+    _id: objectId(),
+    title: 'Intro to budgeting',
+    instructor: instructorId,
+    quiz: { questions: [] },
+    ...fields
+  });
+
+  it.each(['learner', 'business'])('are refused to a %s who does not teach the course', async (role) => {
+    const { token } = auth.signIn(role);
+    const course = courseTaughtBy(objectId());
+    jest.spyOn(Course, 'findById').mockReturnValue(query(course));
+
+    const analytics = await request(app).get(`/api/courses/${course._id}/quiz/analytics`).set(bearer(token));
+    const extra = await request(app)
+      .post(`/api/courses/${course._id}/quiz/extra-attempts`)
+      .set(bearer(token))
+      .send({ userId: objectId().toString() });
+
+    expect(analytics.status).toBe(403);
+    expect(extra.status).toBe(403);
+  });
+
+  it.each([
+    ['the instructor', 'business', true],
+    ['admins', 'admin', false]
+  ])('are allowed for %s', async (label, role, owned) => {
+    const { user, token } = auth.signIn(role);
+    const course = courseTaughtBy(owned ? user._id : objectId());
+    jest.spyOn(Course, 'findById')
+      .mockReturnValueOnce(query({ ...course, quiz: undefined }))
+      .mockReturnValueOnce(query(course));
+
+    const analytics = await request(app).get(`/api/courses/${course._id}/quiz/analytics`).set(bearer(token));
+    const extra = await request(app)
+      .post(`/api/courses/${course._id}/quiz/extra-attempts`)
+      .set(bearer(token))
+      .send({ userId: objectId().toString(), attempts: 0 });
+
+    expect(analytics.body.message).toBe('This course has no quiz');
+    expect(extra.body.message).toBe('Attempts must be a whole number between 1 and 10');
+  });
+});
+
+describe('grading', () => {
+  const recordFor = (instructorId) => {
+    const course = { _id: objectId(), instructor: instructorId, quiz: { questions: [] } };
+    const progress = {
+      _id: objectId(),
+      userId: objectId(),
+      courseId: course._id,
+      quizAttempts: { id: () => ({ status: 'graded' }) },
+      assignmentSubmissions: { id: () => ({ status: 'graded' }) }
+    };
+    jest.spyOn(Progress, 'findById').mockReturnValue(query(progress));
+    jest.spyOn(Course, 'findById').mockReturnValue(query(course));
+    return progress;
+  };
+
+  const grade = (progress, token) => Promise.all([
+    request(app).put(`/api/grading/quiz-attempts/${progress._id}/${objectId()}`).set(bearer(token)).send({ grades: [] }),
+    request(app).put(`/api/grading/assignments/${progress._id}/${objectId()}`).set(bearer(token)).send({ points: 5 })
+  ]);
+
+  it('keep the queue from learners', async () => {
+    const { token } = auth.signIn('learner');
+
+    const res = await request(app).get('/api/grading/queue').set(bearer(token));
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Access denied. Missing permission: course:list-own');
+  });
+
+  it.each(['learner', 'business'])('is refused to a %s who does not teach the course', async (role) => {
+    const { token } = auth.signIn(role);
+    const progress = recordFor(objectId());
+
+    const responses = await grade(progress, token);
+
+    expect(responses.map(res => res.status)).toEqual([403, 403]);
+  });
+
+  it.each([
+    ['the instructor', 'business', true],
+    ['admins', 'admin', false]
+  ])('is allowed for %s', async (label, role, owned) => {
+    const { user, token } = auth.signIn(role);
+    const progress = recordFor(owned ? user._id : objectId());
+
+    const responses = await grade(progress, token);
+
+    // Past can('course:grade'): both were already graded
+    expect(responses.map(res => res.status)).toEqual([400, 400]);
+  });
+});
+
+describe('question bank', () => {
+  const questionBy = (authorId) => ({
+    _id: objectId(),
+    question: 'What is 10% of 250?',
+    createdBy: authorId,
+    isArchived: false,
+    set: jest.fn(),
+    save: jest.fn(async () => {})
+  });
+
+  it('is closed to learners', async () => {
+    const { token } = auth.signIn('learner');
+
+    const list = await request(app).get('/api/question-bank').set(bearer(token));
+    const create = await request(app).post('/api/question-bank').set(bearer(token)).send({});
+
+    expect(list.body.message).toBe('Access denied. Missing permission: question:list');
+    expect(create.body.message).toBe('Access denied. Missing permission: question:create');
+  });
+
+  it("refuses changes to another author's question", async () => {
+    const { token } = auth.signIn('business');
+    const question = questionBy(objectId());
+    jest.spyOn(QuestionBank, 'findById').mockReturnValue(query(question));
+
+    const update = await request(app).put(`/api/question-bank/${question._id}`).set(bearer(token)).send({ points: 2 });
+    const removal = await request(app).delete(`/api/question-bank/${question._id}`).set(bearer(token));
+
+    expect(update.status).toBe(403);
+    expect(removal.status).toBe(403);
+    expect(question.save).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['the author', 'business', true],
+    ['admins', 'admin', false]
+  ])('lets %s change a question', async (label, role, owned) => {
+    const { user, token } = auth.signIn(role);
+    const question = questionBy(owned ? user._id : objectId());
+    jest.spyOn(QuestionBank, 'findById').mockReturnValue(query(question));
+
+    const update = await request(app).put(`/api/question-bank/${question._id}`).set(bearer(token)).send({ points: 2 });
+    const removal = await request(app).delete(`/api/question-bank/${question._id}`).set(bearer(token));
+
+    expect(update.status).toBe(200);
+    expect(removal.status).toBe(200);
+    expect(question.isArchived).toBe(true);
+  });
+});
+
+describe('platform statistics', () => {
+  it.each(['learner', 'business'])('are refused to a %s', async (role) => {
+    const { token } = auth.signIn(role);
+
+    const stats = await request(app).get('/api/admin/stats').set(bearer(token));
+    const analytics = await request(app).get('/api/analytics/platform').set(bearer(token));
+
+    expect(stats.body.message).toBe('Access denied. Missing permission: platform:view-stats');
+    expect(analytics.body.message).toBe('Access denied. Missing permission: analytics:view-platform');
+  });
+
+  it('are open to admins', async () => {
+    const { token } = auth.signIn('admin');
+    for (const Model of [User, Course, Gig, Badge]) {
+      jest.spyOn(Model, 'countDocuments').mockResolvedValue(0);
+    }
+    for (const Model of [User, Progress, Course]) {
+      jest.spyOn(Model, 'aggregate').mockResolvedValue([]);
+    }
+
+    const stats = await request(app).get('/api/admin/stats').set(bearer(token));
+    const analytics = await request(app).get('/api/analytics/platform').set(bearer(token));
+
+    expect(stats.status).toBe(200);
+    expect(analytics.status).toBe(200);
+  });
+});
+
+describe('business application review', () => {
+  const review = (token) => {
+    const applicationId = objectId();
+    return Promise.all([
+      request(app).get('/api/admin/business-applications').set(bearer(token)),
+      request(app).get(`/api/admin/business-applications/${applicationId}/documents/${objectId()}`).set(bearer(token)),
+      request(app).put(`/api/admin/business-applications/${applicationId}/review`).set(bearer(token)).send({ status: 'approved' })
+    ]);
+  };
+
+  it.each(['learner', 'business'])('is refused to a %s', async (role) => {
+    const { token } = auth.signIn(role);
+
+    const responses = await review(token);
+
+    for (const res of responses) {
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('Access denied. Missing permission: business-application:review');
+    }
+  });
+
+  it('is open to admins', async () => {
+    const { token } = auth.signIn('admin');
+    jest.spyOn(BusinessApplication, 'find').mockReturnValue(query([]));
+    jest.spyOn(BusinessApplication, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(BusinessApplication, 'findById').mockReturnValue(query(null));
+
+    const [queue, document, decision] = await review(token);
+
+    expect(queue.status).toBe(200);
+    expect(document.status).toBe(404);
+    expect(decision.status).toBe(404);
+  });
+});
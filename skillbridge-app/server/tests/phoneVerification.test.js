@@ -0,0 +1,64 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import AuditLog from '../models/AuditLog.js';
+import authRoutes from '../routes/auth.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { mockAuth, query } from './helpers.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let auth;
+
+beforeEach(() => {
+  auth = mockAuth();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Codes sent `hoursAgo` (newest first, as the route sorts them)
+const sentCodes = (...hoursAgo) => hoursAgo.map(hours => ({ createdAt: new Date(Date.now() - hours * HOUR_MS) }));
+
+const sendCode = (token) => request(app)
+  .post('/api/auth/phone/send-code')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ phone: '+254712345678' });
+
+describe('POST /api/auth/phone/send-code daily caps', () => {
+  const signIn = () => auth.signIn('learner', { createPhoneVerificationCode: jest.fn(), save: jest.fn() });
+
+  it('stops an account after five codes in a day', async () => {
+    const { user, token } = signIn();
+    const find = jest.spyOn(AuditLog, 'find').mockReturnValue(query(sentCodes(1, 2, 3, 4, 20)));
+
+    const res = await sendCode(token);
+
+    expect(res.status).toBe(429);
+    expect(res.body.error.message).toBe('Too many verification codes requested today. Please try again later.');
+    // Allowed again once the oldest of the five is a day old
+    expect(Number(res.headers['retry-after'])).toBe(4 * 60 * 60);
+    expect(find.mock.calls[0][0]).toMatchObject({ action: 'phone_code_sent', userId: user._id });
+    expect(user.createPhoneVerificationCode).not.toHaveBeenCalled();
+  });
+
+  it('stops a number after five codes in a day across accounts', async () => {
+    const { user, token } = signIn();
+    const find = jest.spyOn(AuditLog, 'find')
+      .mockReturnValueOnce(query(sentCodes(1)))
+      .mockReturnValueOnce(query(sentCodes(1, 2, 3, 4, 5)));
+
+    const res = await sendCode(token);
+
+    expect(res.status).toBe(429);
+    expect(res.body.error.message).toBe('Too many verification codes sent to this number today. Please try again later.');
+    expect(find.mock.calls[1][0]['metadata.phoneHash']).toMatch(/^[0-9a-f]{64}$/);
+    expect(user.createPhoneVerificationCode).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,128 @@
+import { afterEach, describe, expect, it } from '@jest/globals';
+import mongoose from 'mongoose';
+import { can, isOwner, ROLE_PERMISSIONS } from '../utils/policy.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const userWithRole = (role, extra = {}) => ({ _id: id(), role, verified: true, ...extra });
+
+// Resource owned by `ownerId`, shaped like the model the action applies to
+const ownedResource = (action, ownerId) => {
+  switch (action.split(':')[0]) {
+    case 'course': return { _id: id(), instructor: ownerId };
+    case 'gig': return { _id: id(), clientId: ownerId };
+    case 'credential': return { _id: id(), userId: ownerId };
+    case 'question': return { _id: id(), createdBy: ownerId };
+    default: return { _id: id() };
+  }
+};
+
+// Expected access per role: 'any' (on any resource), 'own' (only on owned resources) or 'none'
+const POLICY = {
+  'course:enroll': { learner: 'any', business: 'any', admin: 'any' },
+  'course:review': { learner: 'any', business: 'any', admin: 'any' },
+  'gig:apply': { learner: 'any', business: 'any', admin: 'any' },
+  'business-application:submit': { learner: 'any', business: 'any', admin: 'any' },
+  'credential:revoke': { learner: 'own', business: 'own', admin: 'any' },
+  'course:create': { learner: 'none', business: 'any', admin: 'any' },
+  'course:list-own': { learner: 'none', business: 'any', admin: 'any' },
+  'course:read-unpublished': { learner: 'none', business: 'own', admin: 'any' },
+  'course:update': { learner: 'none', business: 'own', admin: 'any' },
+  'course:delete': { learner: 'none', business: 'own', admin: 'any' },
+  'course:grade': { learner: 'none', business: 'own', admin: 'any' },
+  'course:view-analytics': { learner: 'none', business: 'own', admin: 'any' },
+  'gig:create': { learner: 'none', business: 'any', admin: 'any' },
+  'gig:list-own': { learner: 'none', business: 'any', admin: 'any' },
+  'gig:view-applications': { learner: 'none', business: 'own', admin: 'any' },
+  'gig:update': { learner: 'none', business: 'own', admin: 'any' },
+  'gig:delete': { learner: 'none', business: 'own', admin: 'any' },
+  'gig:manage-applications': { learner: 'none', business: 'own', admin: 'any' },
+  'gig:complete': { learner: 'none', business: 'own', admin: 'any' },
+  'question:create': { learner: 'none', business: 'any', admin: 'any' },
+  'question:list': { learner: 'none', business: 'any', admin: 'any' },
+  'question:read': { learner: 'none', business: 'own', admin: 'any' },
+  'question:update': { learner: 'none', business: 'own', admin: 'any' },
+  'question:delete': { learner: 'none', business: 'own', admin: 'any' },
+  'auth:setup-2fa': { learner: 'none', business: 'any', admin: 'any' },
+  'badge:create': { learner: 'none', business: 'none', admin: 'any' },
+  'badge:revoke': { learner: 'none', business: 'none', admin: 'any' },
+  'user:list': { learner: 'none', business: 'none', admin: 'any' },
+  'platform:view-stats': { learner: 'none', business: 'none', admin: 'any' },
+  'analytics:view-platform': { learner: 'none', business: 'none', admin: 'any' },
+  'business-application:review': { learner: 'none', business: 'none', admin: 'any' }
+};
+
+const ROLES = ['learner', 'business', 'admin'];
+
+describe('policy', () => {
+  afterEach(() => {
+    delete process.env.REQUIRE_VERIFIED_BUSINESS;
+  });
+
+  it('lists every action the roles grant', () => {
+    const granted = new Set(Object.values(ROLE_PERMISSIONS)
+      .flat()
+      .map(permission => permission.replace(/:own$/, '')));
+
+    expect([...granted].sort()).toEqual(Object.keys(POLICY).sort());
+  });
+
+  describe.each(ROLES)('%s', (role) => {
+    it.each(Object.keys(POLICY))('%s', (action) => {
+      const user = userWithRole(role);
+      const own = ownedResource(action, user._id);
+      const others = ownedResource(action, id());
+      const expected = POLICY[action][role];
+
+      expect(can(user, action, own)).toBe(expected !== 'none');
+      expect(can(user, action, others)).toBe(expected === 'any');
+      expect(can(user, action)).toBe(expected === 'any');
+    });
+  });
+
+  describe(':own permissions', () => {
+    it('match populated owner references', () => {
+      const user = userWithRole('business');
+      const course = { _id: id(), instructor: { _id: user._id, name: 'Owner' } };
+
+      expect(can(user, 'course:update', course)).toBe(true);
+    });
+
+    it('compare ids as strings', () => {
+      const user = userWithRole('business');
+      const gig = { _id: id(), clientId: user._id.toString() };
+
+      expect(can(user, 'gig:complete', gig)).toBe(true);
+    });
+
+    it('are denied when the resource has no owner', () => {
+      const user = userWithRole('business');
+
+      expect(can(user, 'course:update', { _id: id() })).toBe(false);
+      expect(isOwner(user, 'course:update', null)).toBe(false);
+    });
+
+    it('do not carry over to other resource types', () => {
+      const user = userWithRole('business');
+      // A gig owned through `instructor` is not owned: gigs are owned by clientId
+      expect(can(user, 'gig:update', { _id: id(), instructor: user._id })).toBe(false);
+    });
+  });
+
+  it('denies missing users, unknown roles and unknown actions', () => {
+    expect(can(null, 'course:enroll')).toBe(false);
+    expect(can(userWithRole('guest'), 'course:enroll')).toBe(false);
+    expect(can(userWithRole('admin'), 'course:teleport')).toBe(false);
+  });
+
+  it('holds back unverified business accounts when verification is required', () => {
+    process.env.REQUIRE_VERIFIED_BUSINESS = 'true';
+    const unverified = userWithRole('business', { verified: false });
+
+    expect(can(unverified, 'course:create')).toBe(false);
+    expect(can(unverified, 'gig:create')).toBe(false);
+    expect(can(unverified, 'question:create')).toBe(true);
+    expect(can(userWithRole('business'), 'course:create')).toBe(true);
+    expect(can(userWithRole('admin', { verified: false }), 'gig:create')).toBe(true);
+  });
+});
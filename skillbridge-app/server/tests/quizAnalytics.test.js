@@ -0,0 +1,115 @@
+import { describe, expect, it } from '@jest/globals';
+import { analyzeQuizItems } from '../services/quizAnalytics.js';
+import { objectId } from './helpers.js';
+
+const choice = {
+  _id: objectId(),
+  type: 'multiple-choice',
+  question: 'Which account earns interest?',
+  points: 1,
+  options: [
+    { _id: objectId(), text: 'Savings', isCorrect: true },
+    { _id: objectId(), text: 'Current', isCorrect: false },
+    { _id: objectId(), text: 'Wallet', isCorrect: false }
+  ]
+};
+
+const numeric = {
+  _id: objectId(),
+  type: 'numeric',
+  question: 'What is 10% of 250?',
+  points: 2
+};
+
+const unseen = {
+  _id: objectId(),
+  type: 'short-answer',
+  question: 'Name one budgeting method',
+  points: 1
+};
+
+const [savings, current] = choice.options.map(option => option._id.toString());
+
+// Eight graded attempts, best first. The top five pick the right option; the numeric
+// question is missed by the two best attempts and answered by most of the weaker ones.
+const fixture = [
+  { score: 100, choice: [savings, 1, 10], numeric: [null, 0] },
+  { score: 90, choice: [savings, 1, 10], numeric: [20, 0] },
+  { score: 80, choice: [savings, 1, 10], numeric: [25, 2] },
+  { score: 70, choice: [savings, 1, 10], numeric: [25, 2] },
+  { score: 60, choice: [savings, 1, 20], numeric: [25, 2] },
+  { score: 50, choice: [current, 0, 20], numeric: [25, 2] },
+  { score: 40, choice: [current, 0, 20], numeric: [24, 1] },
+  { score: 30, choice: [current, 0, 20], numeric: [25, 2] }
+];
+
+const attempts = fixture.map(row => ({
+  score: row.score,
+  answers: [
+    { questionId: choice._id, answer: row.choice[0], pointsEarned: row.choice[1], timeSpent: row.choice[2] },
+    { questionId: numeric._id, answer: row.numeric[0], pointsEarned: row.numeric[1] }
+  ]
+}));
+
+describe('analyzeQuizItems', () => {
+  const analysis = analyzeQuizItems([choice, numeric, unseen], attempts);
+  const [choiceStats, numericStats, unseenStats] = analysis.questions;
+
+  it('summarises the attempts', () => {
+    expect(analysis.attempts).toBe(8);
+    expect(analysis.averageScore).toBe(65);
+  });
+
+  it('gives the share of points earned as the difficulty index', () => {
+    // 5 of 8 right
+    expect(choiceStats.difficultyIndex).toBe(0.63);
+    // (0 + 0 + 1 + 1 + 1 + 1 + 0.5 + 1) / 8 of the 2 points
+    expect(numericStats.difficultyIndex).toBe(0.69);
+  });
+
+  it('compares the top and bottom 27% of attempts for the discrimination index', () => {
+    // floor(8 * 0.27) = 2 attempts per group: scores 100 and 90 against 40 and 30
+    expect(choiceStats.discriminationIndex).toBe(1);
+    // upper group earns 0, lower group (0.5 + 1) / 2
+    expect(numericStats.discriminationIndex).toBe(-0.75);
+  });
+
+  it('has no indices for questions nobody was shown', () => {
+    expect(unseenStats).toMatchObject({
+      responses: 0,
+      difficultyIndex: null,
+      discriminationIndex: null,
+      averageTime: null,
+      flags: []
+    });
+  });
+
+  it('leaves out the discrimination index until each group has an attempt', () => {
+    const [stats] = analyzeQuizItems([choice], attempts.slice(0, 3)).questions;
+
+    expect(stats.difficultyIndex).toBe(1);
+    expect(stats.discriminationIndex).toBeNull();
+  });
+
+  it('counts responses, omissions and time spent', () => {
+    expect(choiceStats.responses).toBe(8);
+    expect(choiceStats.omitted).toBe(0);
+    expect(choiceStats.averageTime).toBe(15);
+    expect(numericStats.omitted).toBe(1);
+    expect(numericStats.averageTime).toBeNull();
+  });
+
+  it('counts how often each option was picked', () => {
+    expect(choiceStats.options.map(({ text, count, share }) => ({ text, count, share }))).toEqual([
+      { text: 'Savings', count: 5, share: 0.63 },
+      { text: 'Current', count: 3, share: 0.38 },
+      { text: 'Wallet', count: 0, share: 0 }
+    ]);
+    expect(numericStats.options).toBeUndefined();
+  });
+
+  it('flags questions worth a second look', () => {
+    expect(choiceStats.flags).toEqual(['unused-distractor']);
+    expect(numericStats.flags).toEqual(['negative-discrimination']);
+  });
+});
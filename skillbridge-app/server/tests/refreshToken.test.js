@@ -0,0 +1,40 @@
+import { afterEach, describe, expect, it, jest } from '@jest/globals';
+import RefreshToken from '../models/RefreshToken.js';
+import { objectId } from './helpers.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const storedToken = () => new RefreshToken({
+  userId: objectId(),
+  tokenHash: RefreshToken.hashToken('old-token'),
+  family: objectId().toString(),
+  deviceId: 'laptop',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+});
+
+describe('RefreshToken#rotate', () => {
+  it('revokes the token only if it is still active, then issues its replacement', async () => {
+    const stored = storedToken();
+    const revoke = jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(stored);
+    const create = jest.spyOn(RefreshToken, 'create').mockImplementation(async (doc) => doc);
+
+    const issued = await stored.rotate({ ip: '10.0.0.1' });
+
+    const [filter, update] = revoke.mock.calls[0];
+    expect(filter).toEqual({ _id: stored._id, revokedAt: { $exists: false } });
+    expect(update).toMatchObject({ revokedReason: 'rotated', replacedByHash: RefreshToken.hashToken(issued.token) });
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(issued.refreshToken).toMatchObject({ family: stored.family, deviceId: 'laptop', ip: '10.0.0.1' });
+  });
+
+  it('issues nothing when a concurrent rotation revoked the token first', async () => {
+    const stored = storedToken();
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+    const create = jest.spyOn(RefreshToken, 'create');
+
+    expect(await stored.rotate()).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,171 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connectClient } from 'socket.io-client';
+import Gig from '../models/Gig.js';
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { registerSocketHandlers } from '../services/sockets.js';
+import { mockAuth, objectId, query } from './helpers.js';
+
+let httpServer;
+let io;
+let stopListening;
+let url;
+let auth;
+const clients = [];
+
+beforeAll(async () => {
+  httpServer = createServer();
+  io = new Server(httpServer);
+  stopListening = registerSocketHandlers(io);
+  await new Promise(resolve => httpServer.listen(0, resolve));
+  url = `http://localhost:${httpServer.address().port}`;
+});
+
+afterAll(async () => {
+  stopListening();
+  io.close();
+  await new Promise(resolve => httpServer.close(resolve));
+});
+
+beforeEach(() => {
+  auth = mockAuth();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  while (clients.length) clients.pop().disconnect();
+  // Let the server see the disconnects before console.log is restored
+  while (io.of('/').sockets.size > 0) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  jest.restoreAllMocks();
+});
+
+// Connect a client; resolves once connected, rejects with the handshake error
+const connect = (token) => new Promise((resolve, reject) => {
+  const client = connectClient(url, {
+    auth: token ? { token } : {},
+    transports: ['websocket'],
+    reconnection: false,
+    forceNew: true
+  });
+  clients.push(client);
+  client.once('connect', () => resolve(client));
+  client.once('connect_error', reject);
+});
+
+const joinGigRoom = (client, gigId) => new Promise(resolve => client.emit('join_gig_room', gigId, resolve));
+
+// Resolves with the next `event` the client receives, or null if none arrives in time
+const nextEvent = (client, event, timeout = 200) => new Promise(resolve => {
+  const timer = setTimeout(() => resolve(null), timeout);
+  client.once(event, (payload) => {
+    clearTimeout(timer);
+    resolve(payload);
+  });
+});
+
+describe('socket handshake', () => {
+  it('rejects connections without a token', async () => {
+    await expect(connect()).rejects.toMatchObject({
+      message: 'No token provided, authorization denied',
+      data: { status: 401 }
+    });
+  });
+
+  it('rejects connections whose session has been revoked', async () => {
+    const { session, token } = auth.signIn('learner');
+    session.isActive = false;
+
+    await expect(connect(token)).rejects.toMatchObject({ message: 'Session has been revoked or expired' });
+  });
+});
+
+describe('user rooms', () => {
+  it("put each socket in its own user's room only", async () => {
+    const alice = auth.signIn('learner');
+    const bob = auth.signIn('learner');
+    const aliceClient = await connect(alice.token);
+    const bobClient = await connect(bob.token);
+
+    const received = Promise.all([nextEvent(aliceClient, 'notification'), nextEvent(bobClient, 'notification')]);
+    io.to(`user_${alice.user._id}`).emit('notification', { title: 'For Alice' });
+
+    expect(await received).toEqual([{ title: 'For Alice' }, null]);
+  });
+});
+
+describe('join_gig_room', () => {
+  const gigFor = (fields) => new Gig({ title: 'Paint a fence', clientId: objectId(), ...fields });
+
+  it('refuses users who neither own the gig nor are assigned to it', async () => {
+    const { token } = auth.signIn('learner');
+    const gig = gigFor({ assignedTo: objectId() });
+    jest.spyOn(Gig, 'findById').mockReturnValue(query(gig));
+    const client = await connect(token);
+
+    expect(await joinGigRoom(client, gig._id.toString())).toEqual({
+      success: false,
+      message: 'Not allowed to join this gig room'
+    });
+
+    const received = nextEvent(client, 'gig_update');
+    io.to(`gig_${gig._id}`).emit('gig_update', { status: 'completed' });
+    expect(await received).toBeNull();
+  });
+
+  it.each([
+    ['the client', (userId) => ({ clientId: userId })],
+    ['the assigned worker', (userId) => ({ assignedTo: userId })]
+  ])('lets %s join', async (label, participant) => {
+    const { user, token } = auth.signIn('learner');
+    const gig = gigFor(participant(user._id));
+    jest.spyOn(Gig, 'findById').mockReturnValue(query(gig));
+    const client = await connect(token);
+
+    expect(await joinGigRoom(client, gig._id.toString())).toEqual({ success: true });
+  });
+
+  it('rejects invalid gig ids', async () => {
+    const { token } = auth.signIn('learner');
+    const client = await connect(token);
+
+    expect(await joinGigRoom(client, 'not-an-id')).toEqual({ success: false, message: 'Invalid gig id' });
+  });
+
+  it('ignores an acknowledgement that is not a function', async () => {
+    const { user, token } = auth.signIn('learner');
+    const gig = gigFor({ clientId: user._id });
+    jest.spyOn(Gig, 'findById').mockReturnValue(query(gig));
+    const client = await connect(token);
+
+    client.emit('join_gig_room', gig._id.toString(), 'not-a-callback');
+
+    // The socket keeps working afterwards
+    expect(await joinGigRoom(client, gig._id.toString())).toEqual({ success: true });
+    expect(client.connected).toBe(true);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
+
+describe('session revocation', () => {
+  it("disconnects the revoked session's sockets only", async () => {
+    const { user, session, token } = auth.signIn('learner');
+    const other = auth.signIn('learner');
+    const revokedClient = await connect(token);
+    const otherClient = await connect(other.token);
+
+    jest.spyOn(Session, 'find').mockReturnValue(query([{ _id: session._id }]));
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    const disconnected = nextEvent(revokedClient, 'disconnect', 1000);
+    await Session.revokeWhere({ userId: user._id }, 'user_revoked');
+
+    expect(await disconnected).toBe('io server disconnect');
+    expect(otherClient.connected).toBe(true);
+  });
+});
@@ -0,0 +1,100 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import authRoutes from '../routes/auth.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { objectId, query } from './helpers.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+const challengeFor = (user, jwtid) => jwt.sign(
+  { id: user._id.toString(), purpose: '2fa' },
+  process.env.JWT_SECRET,
+  { expiresIn: '5m', ...(jwtid && { jwtid }) }
+);
+
+const verify = (challengeToken) => request(app)
+  .post('/api/auth/2fa/verify')
+  .send({ challengeToken, code: '123456' });
+
+let user;
+
+beforeEach(() => {
+  user = {
+    _id: objectId(),
+    name: 'Test business',
+    role: 'business',
+    isActive: true,
+    loginSecurity: {},
+    twoFactor: { enabled: true, challengeId: 'challenge-1' },
+    verifyTwoFactorCode: jest.fn().mockResolvedValue(true),
+    consumeLoginChallenge: jest.fn().mockResolvedValue(true),
+    save: jest.fn()
+  };
+
+  jest.spyOn(User, 'findById').mockReturnValue(query(user));
+  jest.spyOn(Session, 'revokeDevice').mockResolvedValue();
+  jest.spyOn(Session, 'start').mockResolvedValue({ _id: objectId() });
+  jest.spyOn(RefreshToken, 'issue').mockResolvedValue({ token: 'refresh', refreshToken: { family: 'family' } });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/2fa/verify challenge tokens', () => {
+  it('logs in once with the outstanding challenge', async () => {
+    const res = await verify(challengeFor(user, 'challenge-1'));
+
+    expect(res.status).toBe(200);
+    expect(user.consumeLoginChallenge).toHaveBeenCalledWith('challenge-1');
+  });
+
+  it('rejects a challenge that was already used or replaced', async () => {
+    user.twoFactor.challengeId = undefined;
+
+    const res = await verify(challengeFor(user, 'challenge-1'));
+
+    expect(res.status).toBe(401);
+    expect(user.verifyTwoFactorCode).not.toHaveBeenCalled();
+  });
+
+  it('rejects challenge tokens without a jti', async () => {
+    const res = await verify(challengeFor(user));
+
+    expect(res.status).toBe(401);
+    expect(user.verifyTwoFactorCode).not.toHaveBeenCalled();
+  });
+
+  it('lets only one of two racing requests claim the challenge', async () => {
+    user.consumeLoginChallenge.mockResolvedValue(false);
+
+    const res = await verify(challengeFor(user, 'challenge-1'));
+
+    expect(res.status).toBe(401);
+    expect(Session.start).not.toHaveBeenCalled();
+  });
+});
+
+describe('User#consumeLoginChallenge', () => {
+  it('clears the challenge only while it is still the outstanding one', async () => {
+    const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const doc = new User({ name: 'Test', email: 'test@example.com', password: 'Password1!' });
+
+    await expect(doc.consumeLoginChallenge('challenge-1')).resolves.toBe(true);
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: doc._id, 'twoFactor.challengeId': 'challenge-1' },
+      { $unset: { 'twoFactor.challengeId': 1 } }
+    );
+
+    updateOne.mockResolvedValue({ modifiedCount: 0 });
+    await expect(doc.consumeLoginChallenge('challenge-1')).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,208 @@
+import zlib from 'zlib';
+
+// Badge artwork rendered from the badge's shape and colours, and Open Badges
+// baking: the signed credential embedded in the image itself, as an
+// <openbadges:credential> element (SVG) or an "openbadgecredential" iTXt chunk (PNG).
+
+const SIZE = 256;
+const OPEN_BADGES_NAMESPACE = 'https://purl.imsglobal.org/ob/v3p0';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_KEYWORD = 'openbadgecredential';
+
+// Outline of each badge shape as polygon points in a -1..1 box
+const regularPolygon = (sides, rotation = -Math.PI / 2) => Array.from({ length: sides }, (_, i) => {
+  const angle = rotation + (i * 2 * Math.PI) / sides;
+  return [Math.cos(angle), Math.sin(angle)];
+});
+
+const SHAPES = {
+  circle: regularPolygon(64),
+  hexagon: regularPolygon(6),
+  diamond: regularPolygon(4),
+  square: [[-0.85, -0.85], [0.85, -0.85], [0.85, 0.85], [-0.85, 0.85]],
+  shield: [[-0.85, -0.9], [0.85, -0.9], [0.85, 0.1], [0, 0.95], [-0.85, 0.1]],
+  star: Array.from({ length: 10 }, (_, i) => {
+    const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+    const radius = i % 2 === 0 ? 1 : 0.5;
+    return [radius * Math.cos(angle), radius * Math.sin(angle)];
+  })
+};
+
+const getShape = (badge) => SHAPES[badge.shape] || SHAPES.circle;
+
+const scalePoints = (points, scale) => points.map(([x, y]) => [x * scale, y * scale]);
+
+const toPixels = (points) => points.map(([x, y]) => [(x + 1) * SIZE / 2, (y + 1) * SIZE / 2]);
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const hexToRgb = (hex, fallback) => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  const value = parseInt(match ? match[1] : fallback, 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+// Render the badge as SVG: accent rim, primary face, icon in the middle
+export const renderBadgeSvg = (badge) => {
+  const points = (scale) => toPixels(scalePoints(getShape(badge), scale))
+    .map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`)
+    .join(' ');
+  const icon = /^https?:\/\//.test(badge.icon)
+    ? `<image href="${escapeXml(badge.icon)}" x="78" y="78" width="100" height="100"/>`
+    : `<text x="128" y="128" font-size="72" text-anchor="middle" dominant-baseline="central">${escapeXml(badge.icon)}</text>`;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}" viewBox="0 0 ${SIZE} ${SIZE}">`,
+    `<title>${escapeXml(badge.name)}</title>`,
+    `<polygon points="${points(0.98)}" fill="${escapeXml(badge.color?.accent || '#FCD34D')}"/>`,
+    `<polygon points="${points(0.86)}" fill="${escapeXml(badge.color?.primary || '#3B82F6')}" stroke="${escapeXml(badge.color?.secondary || '#1E40AF')}" stroke-width="4"/>`,
+    icon,
+    '</svg>'
+  ].join('\n');
+};
+
+// Embed a credential (compact JWT) in an SVG
+export const bakeSvg = (svg, credentialJwt) => {
+  return svg
+    .replace('<svg ', `<svg xmlns:openbadges="${OPEN_BADGES_NAMESPACE}" `)
+    .replace(/<\/svg>\s*$/, `<openbadges:credential><![CDATA[${credentialJwt}]]></openbadges:credential>\n</svg>`);
+};
+
+// Even-odd point-in-polygon test
+const isInside = (x, y, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+// Render the badge shape as a PNG (the icon itself is only drawn in the SVG)
+export const renderBadgePng = (badge) => {
+  const outline = toPixels(scalePoints(getShape(badge), 0.98));
+  const rim = toPixels(scalePoints(getShape(badge), 0.86));
+  const face = toPixels(scalePoints(getShape(badge), 0.8));
+  const accent = hexToRgb(badge.color?.accent, 'FCD34D');
+  const secondary = hexToRgb(badge.color?.secondary, '1E40AF');
+  const primary = hexToRgb(badge.color?.primary, '3B82F6');
+
+  // RGBA scanlines, each prefixed with filter type 0
+  const rowLength = SIZE * 4 + 1;
+  const pixels = Buffer.alloc(rowLength * SIZE);
+
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const px = x + 0.5;
+      const py = y + 0.5;
+      let color = null;
+
+      if (isInside(px, py, face)) color = primary;
+      else if (isInside(px, py, rim)) color = secondary;
+      else if (isInside(px, py, outline)) color = accent;
+
+      if (color) {
+        const offset = y * rowLength + 1 + x * 4;
+        pixels[offset] = color[0];
+        pixels[offset + 1] = color[1];
+        pixels[offset + 2] = color[2];
+        pixels[offset + 3] = 255;
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(SIZE, 0);
+  header.writeUInt32BE(SIZE, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+// Embed a credential (compact JWT) in a PNG as an iTXt chunk just before IEND
+export const bakePng = (png, credentialJwt) => {
+  if (!png.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  const iendOffset = png.length - 12;
+  if (png.toString('latin1', iendOffset + 4, iendOffset + 8) !== 'IEND') {
+    throw new Error('PNG image has no trailing IEND chunk');
+  }
+
+  // keyword \0 compression flag, method, language tag \0, translated keyword \0, text
+  const text = Buffer.concat([
+    Buffer.from(`${PNG_KEYWORD}\0`, 'latin1'),
+    Buffer.from([0, 0]),
+    Buffer.from('\0\0', 'latin1'),
+    Buffer.from(credentialJwt, 'utf8')
+  ]);
+
+  return Buffer.concat([png.subarray(0, iendOffset), pngChunk('iTXt', text), png.subarray(iendOffset)]);
+};
+
+// Read a baked credential back out of a PNG or SVG (null when there is none)
+export const extractBakedCredential = (image) => {
+  const buffer = Buffer.isBuffer(image) ? image : Buffer.from(image);
+
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    let offset = 8;
+    while (offset + 8 <= buffer.length) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+      if (type === 'iTXt' && data.toString('latin1', 0, PNG_KEYWORD.length + 1) === `${PNG_KEYWORD}\0`) {
+        // Skip keyword, flags and the two empty strings
+        let textStart = PNG_KEYWORD.length + 3;
+        textStart = data.indexOf(0, textStart) + 1;
+        textStart = data.indexOf(0, textStart) + 1;
+        return data.subarray(textStart).toString('utf8');
+      }
+      offset += length + 12;
+    }
+    return null;
+  }
+
+  const match = /<openbadges:credential[^>]*>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/openbadges:credential>/.exec(buffer.toString('utf8'));
+  return match ? match[1].trim() : null;
+};
@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import { getApiUrl } from './openBadges.js';
+
+// Course completion certificates: an A4 landscape PDF with the learner's name,
+// the course, the completion date and a QR code linking to the public
+// verification page. Course.certificateTemplate supplies the body text, with
+// {{name}}, {{course}}, {{date}}, {{instructor}} and {{certificateId}} placeholders.
+
+export const DEFAULT_CERTIFICATE_TEMPLATE =
+  'This certifies that {{name}} has successfully completed the course {{course}} on {{date}}.';
+
+// Short, unguessable, easy to read out: SB-XXXX-XXXX-XXXX
+export const generateCertificateId = () => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+  return `SB-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+export const certificateVerifyUrl = (certificateId) => `${getApiUrl()}/api/certificates/${certificateId}/verify`;
+
+export const formatCertificateDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+});
+
+// Fill the template placeholders (unknown placeholders are left as-is)
+export const renderCertificateText = (template, fields) => {
+  return (template || DEFAULT_CERTIFICATE_TEMPLATE).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    Object.hasOwn(fields, key) ? String(fields[key]) : match
+  );
+};
+
+// Render the certificate PDF; resolves with the file contents
+export const renderCertificatePdf = async ({ certificateId, learnerName, courseTitle, instructorName, completedAt, template }) => {
+  const verifyUrl = certificateVerifyUrl(certificateId);
+  const date = formatCertificateDate(completedAt);
+  const qrCode = await QRCode.toBuffer(verifyUrl, { margin: 1, width: 240 });
+  const body = renderCertificateText(template, {
+    name: learnerName,
+    course: courseTitle,
+    date,
+    instructor: instructorName || 'SkillBridge',
+    certificateId
+  });
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 0, // everything is positioned explicitly; margins would push the footer onto a new page
+    info: {
+      Title: `Certificate of Completion - ${courseTitle}`,
+      Author: 'SkillBridge',
+      Subject: `${learnerName} - ${certificateId}`
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const { width, height } = doc.page;
+
+  // Border
+  doc.lineWidth(6).strokeColor('#1E40AF').rect(20, 20, width - 40, height - 40).stroke();
+  doc.lineWidth(1.5).strokeColor('#FCD34D').rect(32, 32, width - 64, height - 64).stroke();
+
+  doc.fillColor('#1E40AF').font('Helvetica-Bold').fontSize(16)
+    .text('SKILLBRIDGE', 0, 70, { align: 'center', characterSpacing: 4 });
+  doc.fillColor('#111827').fontSize(34)
+    .text('Certificate of Completion', 0, 105, { align: 'center' });
+
+  doc.font('Helvetica').fontSize(14).fillColor('#4B5563')
+    .text('Awarded to', 0, 170, { align: 'center' });
+  doc.font('Helvetica-Bold').fontSize(30).fillColor('#111827')
+    .text(learnerName, 0, 195, { align: 'center' });
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#1E40AF')
+    .text(courseTitle, 100, 250, { align: 'center', width: width - 200 });
+  doc.font('Helvetica').fontSize(13).fillColor('#374151')
+    .text(body, 120, doc.y + 15, { align: 'center', width: width - 240 });
+
+  // Footer: date and instructor on the left, QR code and id on the right
+  const footerY = height - 150;
+  doc.font('Helvetica').fontSize(11).fillColor('#4B5563')
+    .text(`Date: ${date}`, 70, footerY + 40)
+    .text(`Instructor: ${instructorName || 'SkillBridge'}`, 70, footerY + 58);
+
+  doc.image(qrCode, width - 170, footerY, { width: 95 });
+  doc.fontSize(8).fillColor('#6B7280')
+    .text(certificateId, width - 190, footerY + 98, { width: 135, align: 'center' })
+    .text('Scan to verify', width - 190, footerY + 110, { width: 135, align: 'center' });
+
+  doc.end();
+  return finished;
+};
+
+// Escape user-supplied values before placing them in HTML
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Public verification page shown when an employer scans the QR code
+export const renderVerificationPage = (verification) => {
+  const rows = verification.valid
+    ? [
+      ['Certificate', verification.certificateId],
+      ['Awarded to', verification.learnerName],
+      ['Course', verification.courseTitle],
+      ['Completed', formatCertificateDate(verification.completedAt)],
+      ['Issued by', verification.instructorName || 'SkillBridge']
+    ]
+    : [['Certificate', verification.certificateId]];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Certificate verification - SkillBridge</title>
+</head>
+<body style="font-family: Arial, sans-serif; background: #F3F4F6; margin: 0; padding: 24px; color: #1F2937;">
+  <div style="max-width: 560px; margin: 0 auto; background: #FFFFFF; border-radius: 8px; padding: 24px; border-top: 6px solid ${verification.valid ? '#16A34A' : '#DC2626'};">
+    <h2 style="color: #1E40AF; margin-top: 0;">SkillBridge certificate verification</h2>
+    <p style="font-size: 18px; font-weight: bold; color: ${verification.valid ? '#16A34A' : '#DC2626'};">
+      ${verification.valid ? '&#10003; This certificate is valid' : '&#10007; No valid certificate was found with this ID'}
+    </p>
+    <table style="width: 100%; border-collapse: collapse;">
+      ${rows.map(([label, value]) => `<tr>
+        <td style="padding: 8px 0; color: #6B7280; width: 35%;">${label}</td>
+        <td style="padding: 8px 0; font-weight: bold;">${escapeHtml(value)}</td>
+      </tr>`).join('')}
+    </table>
+    <p style="color: #6B7280; font-size: 12px; margin-top: 32px;">SkillBridge - Learn. Earn. Rise.</p>
+  </div>
+</body>
+</html>`;
+};
@@ -0,0 +1,408 @@
+// Custom badge criteria: a small expression language over user stats, e.g.
+//   coursesCompleted('web') >= 3 && rating >= 4.5
+// Expressions are parsed into an AST and interpreted here - never passed to
+// eval/Function - and may only use the variables and functions listed below.
+
+const MAX_LENGTH = 500;
+const MAX_DEPTH = 20;
+
+const LEVELS = { beginner: 1, intermediate: 2, advanced: 3 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Variables available to expressions: name -> (stats) => value
+export const CRITERIA_VARIABLES = {
+  xp: (stats) => stats.user.xp || 0,
+  level: (stats) => stats.user.level || 1,
+  rating: (stats) => stats.user.rating?.average || 0,
+  ratingCount: (stats) => stats.user.rating?.count || 0,
+  gigsCompleted: (stats) => stats.user.gigsCompleted || 0,
+  streak: (stats) => stats.user.streak?.current || 0,
+  longestStreak: (stats) => stats.user.streak?.longest || 0,
+  badgesEarned: (stats) => stats.activeBadges.length,
+  accountAgeDays: (stats) => Math.floor((stats.now - new Date(stats.user.createdAt || stats.now)) / DAY_MS),
+  verified: (stats) => Boolean(stats.user.verified)
+};
+
+// Variables holding true/false; the others are numbers
+const BOOLEAN_VARIABLES = ['verified'];
+
+// Course matches a tag when it is the course's skill tag, category or one of its tags
+const courseMatches = (course, tag) => {
+  if (tag === undefined) return true;
+  if (!course) return false;
+  const value = tag.toLowerCase();
+  return course.skillTag === value || course.category === value || (course.tags || []).includes(value);
+};
+
+const countCourses = (stats, tag, completedOnly) => {
+  return (stats.user.enrolledCourses || []).filter(enrollment =>
+    (!completedOnly || enrollment.completed) &&
+    courseMatches(stats.courses.get(enrollment.courseId?.toString()), tag)
+  ).length;
+};
+
+const skillLevel = (stats, name) => {
+  const skill = (stats.user.skills || []).find(s => s.name.toLowerCase() === name.toLowerCase());
+  return skill ? LEVELS[skill.level] || 1 : 0;
+};
+
+// Functions available to expressions; every argument must be a string literal
+export const CRITERIA_FUNCTIONS = {
+  coursesCompleted: { minArgs: 0, maxArgs: 1, returns: 'number', call: (stats, tag) => countCourses(stats, tag, true) },
+  coursesEnrolled: { minArgs: 0, maxArgs: 1, returns: 'number', call: (stats, tag) => countCourses(stats, tag, false) },
+  skillLevel: { minArgs: 1, maxArgs: 1, returns: 'number', call: (stats, name) => skillLevel(stats, name) },
+  hasSkill: {
+    minArgs: 1,
+    maxArgs: 2,
+    returns: 'boolean',
+    call: (stats, name, level = 'beginner') => skillLevel(stats, name) >= (LEVELS[level.toLowerCase()] || 1)
+  }
+};
+
+export class CriteriaExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} (at position ${position + 1})`);
+    this.name = 'CriteriaExpressionError';
+    this.position = position;
+  }
+}
+
+const COMPARISON_OPERATORS = ['<', '<=', '>', '>='];
+const EQUALITY_OPERATORS = ['==', '!=', '===', '!=='];
+
+const OPERATORS = ['===', '!==', '&&', '||', '==', '!=', '<=', '>=', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', ','];
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+      continue;
+    }
+
+    const number = /^\d+(\.\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position: i });
+      i += identifier[0].length;
+      continue;
+    }
+
+    if (char === '\'' || char === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) j += 1;
+        value += source[j];
+        j += 1;
+      }
+      if (j >= source.length) {
+        throw new CriteriaExpressionError('Unterminated string', i);
+      }
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (!operator) {
+      throw new CriteriaExpressionError(`Unexpected character '${char}'`, i);
+    }
+    tokens.push({ type: 'operator', value: operator, position: i });
+    i += operator.length;
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+};
+
+// Recursive-descent parser producing a plain AST
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw new CriteriaExpressionError(`Expected '${value}'`, peek().position);
+    }
+    index += 1;
+  };
+
+  const binary = (next, type, ...operators) => () => {
+    let left = next();
+    while (isOperator(...operators)) {
+      const { value: op, position } = tokens[index++];
+      left = { type, op, position, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const token = tokens[index++];
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+
+      case 'identifier': {
+        if (token.value === 'true' || token.value === 'false') {
+          return { type: 'literal', value: token.value === 'true' };
+        }
+
+        if (isOperator('(')) {
+          const fn = Object.hasOwn(CRITERIA_FUNCTIONS, token.value) && CRITERIA_FUNCTIONS[token.value];
+          if (!fn) {
+            throw new CriteriaExpressionError(`Unknown function '${token.value}'`, token.position);
+          }
+
+          index += 1;
+          const args = [];
+          while (!isOperator(')')) {
+            if (args.length > 0) expect(',');
+            const arg = tokens[index++];
+            if (arg.type !== 'string') {
+              throw new CriteriaExpressionError(`Arguments to ${token.value}() must be quoted strings`, arg.position);
+            }
+            args.push(arg.value);
+          }
+          expect(')');
+
+          if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+            throw new CriteriaExpressionError(`Wrong number of arguments to ${token.value}()`, token.position);
+          }
+          return { type: 'call', name: token.value, args };
+        }
+
+        if (!Object.hasOwn(CRITERIA_VARIABLES, token.value)) {
+          throw new CriteriaExpressionError(`Unknown variable '${token.value}'`, token.position);
+        }
+        return { type: 'variable', name: token.value };
+      }
+
+      case 'operator':
+        if (token.value === '(') {
+          const inner = expression();
+          expect(')');
+          return inner;
+        }
+        if (token.value === '!' || token.value === '-') {
+          depth += 1;
+          if (depth > MAX_DEPTH) {
+            throw new CriteriaExpressionError('Expression is nested too deeply', token.position);
+          }
+          const argument = primary();
+          depth -= 1;
+          return { type: 'unary', op: token.value, position: token.position, argument };
+        }
+        throw new CriteriaExpressionError(`Unexpected '${token.value}'`, token.position);
+
+      default:
+        throw new CriteriaExpressionError('Unexpected end of expression', token.position);
+    }
+  };
+
+  const multiplicative = binary(primary, 'binary', '*', '/', '%');
+  const additive = binary(multiplicative, 'binary', '+', '-');
+  const comparison = binary(additive, 'binary', ...COMPARISON_OPERATORS);
+  const equality = binary(comparison, 'binary', ...EQUALITY_OPERATORS);
+  const and = binary(equality, 'logical', '&&');
+  const or = binary(and, 'logical', '||');
+
+  function expression() {
+    depth += 1;
+    if (depth > MAX_DEPTH) {
+      throw new CriteriaExpressionError('Expression is nested too deeply', peek().position);
+    }
+    const node = or();
+    depth -= 1;
+    return node;
+  }
+
+  const ast = expression();
+  if (peek().type !== 'end') {
+    throw new CriteriaExpressionError(`Unexpected '${peek().value}'`, peek().position);
+  }
+  return ast;
+};
+
+const astCache = new Map();
+const AST_CACHE_SIZE = 200;
+
+// Parse an expression (cached); throws CriteriaExpressionError when invalid
+export const parseCriteriaExpression = (source) => {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new CriteriaExpressionError('Expression must be a non-empty string');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new CriteriaExpressionError(`Expression cannot exceed ${MAX_LENGTH} characters`);
+  }
+
+  if (!astCache.has(source)) {
+    if (astCache.size >= AST_CACHE_SIZE) {
+      astCache.delete(astCache.keys().next().value);
+    }
+    astCache.set(source, parse(source));
+  }
+  return astCache.get(source);
+};
+
+const describeType = (type) => (type === 'boolean' ? 'true/false value' : type);
+
+// Static type of an AST node ('number', 'string' or 'boolean'). Throws where an operator
+// would be given the wrong kind of value, e.g. rating >= 'x' or 1 < 2 < 3.
+const typeOf = (node) => {
+  const expectType = (operand, type) => {
+    const actual = typeOf(operand);
+    if (actual !== type) {
+      throw new CriteriaExpressionError(
+        `Operator '${node.op}' needs ${describeType(type)}s, got a ${describeType(actual)}`,
+        node.position
+      );
+    }
+  };
+
+  switch (node.type) {
+    case 'literal':
+      return typeof node.value;
+
+    case 'variable':
+      return BOOLEAN_VARIABLES.includes(node.name) ? 'boolean' : 'number';
+
+    case 'call':
+      return CRITERIA_FUNCTIONS[node.name].returns;
+
+    case 'unary': {
+      const type = node.op === '!' ? 'boolean' : 'number';
+      expectType(node.argument, type);
+      return type;
+    }
+
+    case 'logical':
+      expectType(node.left, 'boolean');
+      expectType(node.right, 'boolean');
+      return 'boolean';
+
+    case 'binary': {
+      if (EQUALITY_OPERATORS.includes(node.op)) {
+        const left = typeOf(node.left);
+        const right = typeOf(node.right);
+        if (left !== right) {
+          throw new CriteriaExpressionError(
+            `Operator '${node.op}' compares a ${describeType(left)} with a ${describeType(right)}`,
+            node.position
+          );
+        }
+        return 'boolean';
+      }
+
+      expectType(node.left, 'number');
+      expectType(node.right, 'number');
+      return COMPARISON_OPERATORS.includes(node.op) ? 'boolean' : 'number';
+    }
+  }
+
+  throw new CriteriaExpressionError(`Unsupported expression node '${node.type}'`);
+};
+
+// Validation message for an expression, or null when it is valid: it must parse and,
+// checked statically, be a true/false condition whose operators all get the right types
+export const validateCriteriaExpression = (source) => {
+  try {
+    if (typeOf(parseCriteriaExpression(source)) !== 'boolean') {
+      throw new CriteriaExpressionError('Expression must be a condition that is true or false');
+    }
+    return null;
+  } catch (error) {
+    if (error instanceof CriteriaExpressionError) return error.message;
+    throw error;
+  }
+};
+
+const requireNumbers = (op, left, right) => {
+  if (typeof left !== 'number' || typeof right !== 'number') {
+    throw new CriteriaExpressionError(`Operator '${op}' needs numbers`);
+  }
+};
+
+const evaluate = (node, stats) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'variable':
+      return CRITERIA_VARIABLES[node.name](stats);
+
+    case 'call':
+      return CRITERIA_FUNCTIONS[node.name].call(stats, ...node.args);
+
+    case 'unary': {
+      const value = evaluate(node.argument, stats);
+      if (node.op === '!') return !value;
+      requireNumbers('-', 0, value);
+      return -value;
+    }
+
+    case 'logical': {
+      const left = evaluate(node.left, stats);
+      if (node.op === '&&') return left ? evaluate(node.right, stats) : left;
+      return left ? left : evaluate(node.right, stats);
+    }
+
+    case 'binary': {
+      const left = evaluate(node.left, stats);
+      const right = evaluate(node.right, stats);
+
+      switch (node.op) {
+        case '==':
+        case '===':
+          return left === right;
+        case '!=':
+        case '!==':
+          return left !== right;
+      }
+
+      requireNumbers(node.op, left, right);
+      switch (node.op) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+      }
+    }
+  }
+
+  throw new CriteriaExpressionError(`Unsupported expression node '${node.type}'`);
+};
+
+// Evaluate an expression for a user (a User document).
+// `courses` maps course id -> { skillTag, category, tags } for the user's enrollments.
+export const evaluateCriteriaExpression = (source, { user, courses = new Map(), now = new Date() }) => {
+  const stats = {
+    user,
+    courses,
+    now,
+    activeBadges: user.getActiveBadges(now)
+  };
+
+  return Boolean(evaluate(parseCriteriaExpression(source), stats));
+};
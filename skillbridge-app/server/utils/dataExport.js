@@ -0,0 +1,86 @@
+import archiver from 'archiver';
+import User from '../models/User.js';
+import Progress from '../models/Progress.js';
+import Course from '../models/Course.js';
+import Gig from '../models/Gig.js';
+import Session from '../models/Session.js';
+import Notification from '../models/Notification.js';
+import BadgeAssertion from '../models/BadgeAssertion.js';
+import BusinessApplication from '../models/BusinessApplication.js';
+
+// Collect everything SkillBridge stores about a user (personal data export)
+export const buildUserExport = async (userId) => {
+  const user = await User.findById(userId)
+    .select('-password -resetPasswordToken -resetPasswordExpire -emailVerificationToken -emailVerificationExpire')
+    .populate('badges.badgeId', 'name description icon category')
+    .populate('enrolledCourses.courseId', 'title skillTag')
+    .lean();
+
+  if (!user) return null;
+
+  // Aggregations bypass the Gig find hooks that hide expired gigs
+  const [progress, reviews, postedGigs, appliedGigs, sessions, notifications, credentials, businessApplications] = await Promise.all([
+    Progress.find({ userId }).populate('courseId', 'title').lean(),
+    Course.aggregate([
+      { $match: { 'reviews.userId': user._id } },
+      { $unwind: '$reviews' },
+      { $match: { 'reviews.userId': user._id } },
+      { $project: { _id: 0, courseId: '$_id', courseTitle: '$title', rating: '$reviews.rating', comment: '$reviews.comment', createdAt: '$reviews.createdAt' } }
+    ]),
+    Gig.aggregate([
+      { $match: { clientId: user._id } },
+      { $project: { title: 1, category: 1, status: 1, budget: 1, location: 1, contactInfo: 1, createdAt: 1, completedAt: 1, applicationCount: { $size: '$applications' } } }
+    ]),
+    Gig.aggregate([
+      { $match: { 'applications.applicantId': user._id } },
+      { $unwind: '$applications' },
+      { $match: { 'applications.applicantId': user._id } },
+      { $project: { _id: 0, gigId: '$_id', gigTitle: '$title', status: '$status', application: '$applications' } }
+    ]),
+    Session.find({ userId }).select('deviceId userAgent ip createdAt lastSeenAt revokedAt').lean(),
+    Notification.find({ userId }).sort({ createdAt: -1 }).lean(),
+    BadgeAssertion.find({ userId }).populate('badgeId', 'name').sort({ earnedAt: -1 }).lean(),
+    BusinessApplication.find({ userId }).select('-documents.path').sort({ createdAt: -1 }).lean()
+  ]);
+
+  const { badges, enrolledCourses, gigHistory, ...profile } = user;
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    enrolledCourses,
+    progress: progress.map(({ quizAttempts, ...record }) => record),
+    quizAttempts: progress.flatMap(record => (record.quizAttempts || []).map(attempt => ({
+      courseId: record.courseId?._id || record.courseId,
+      courseTitle: record.courseId?.title,
+      ...attempt
+    }))),
+    courseReviews: reviews,
+    gigHistory,
+    gigApplications: appliedGigs,
+    postedGigs,
+    businessApplications,
+    badges,
+    credentials,
+    sessions,
+    notifications
+  };
+};
+
+// Stream the export as a ZIP archive with one JSON file per section
+export const streamExportZip = (data, res) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.on('error', (error) => {
+    console.error('Export archive error:', error);
+    res.destroy(error);
+  });
+
+  archive.pipe(res);
+
+  for (const [section, value] of Object.entries(data)) {
+    archive.append(JSON.stringify(value, null, 2), { name: `${section}.json` });
+  }
+
+  return archive.finalize();
+};
@@ -0,0 +1,176 @@
+import nodemailer from 'nodemailer';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import * as templates from './emailTemplates.js';
+
+// SMTP transport using the EMAIL_* settings
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT, 10) || 587,
+    secure: parseInt(process.env.EMAIL_PORT, 10) === 465,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+// Outbox transport - writes each message as a JSON file (dev and tests)
+const createOutboxTransport = () => {
+  const dir = path.resolve(process.env.EMAIL_OUTBOX_DIR || 'outbox');
+
+  return {
+    name: 'outbox',
+    dir,
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.writeFile(
+        path.join(dir, `${id}.json`),
+        JSON.stringify({ id, ...message, createdAt: new Date().toISOString() }, null, 2)
+      );
+      return { id };
+    }
+  };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport
+};
+
+let transport = null;
+
+// Register an additional transport (e.g. a provider API)
+export const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+// Resolve the configured transport (outbox by default outside production)
+export const getTransport = () => {
+  if (!transport) {
+    const name = process.env.EMAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox');
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown email transport: ${name}`);
+    }
+
+    transport = factory();
+  }
+  return transport;
+};
+
+// Reset the cached transport (after changing EMAIL_TRANSPORT)
+export const resetTransport = () => {
+  transport = null;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Send an email, retrying with exponential backoff on failure
+export const sendEmail = async ({ to, subject, text, html, template }) => {
+  const maxRetries = parseInt(process.env.EMAIL_MAX_RETRIES, 10) || 3;
+  const retryDelay = parseInt(process.env.EMAIL_RETRY_DELAY_MS, 10) || 1000;
+  const message = {
+    from: process.env.EMAIL_FROM || `SkillBridge <${process.env.EMAIL_USER || 'no-reply@skillbridge.co.ke'}>`,
+    to,
+    subject,
+    text,
+    html,
+    template
+  };
+
+  let lastError;
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await getTransport().send(message);
+    } catch (error) {
+      lastError = error;
+      console.error(`Email send attempt ${attempt}/${maxRetries} to ${to} failed:`, error.message);
+      if (attempt < maxRetries) {
+        await sleep(retryDelay * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  throw lastError;
+};
+
+// Render a named template and send it
+export const sendTemplate = (to, templateName, data) => {
+  const render = templates[templateName];
+  if (!render) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  return sendEmail({ to, template: templateName, ...render(data) });
+};
+
+// Build a link into the client app
+export const clientUrl = (pathname) => {
+  return `${process.env.CLIENT_URL || 'http://localhost:5173'}${pathname}`;
+};
+
+export const sendVerificationEmail = (user, token, expiresInHours) => {
+  return sendTemplate(user.email, 'verification', {
+    name: user.name,
+    verifyUrl: clientUrl(`/verify-email/${token}`),
+    expiresInHours
+  });
+};
+
+export const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  return sendTemplate(user.email, 'passwordReset', {
+    name: user.name,
+    resetUrl: clientUrl(`/reset-password/${token}`),
+    expiresInMinutes
+  });
+};
+
+export const sendWelcomeEmail = (user) => {
+  return sendTemplate(user.email, 'welcome', {
+    name: user.name,
+    dashboardUrl: clientUrl('/dashboard')
+  });
+};
+
+export const sendBusinessApplicationReviewedEmail = (user, application) => {
+  return sendTemplate(user.email, 'businessApplicationReviewed', {
+    name: user.name,
+    businessName: application.businessName,
+    approved: application.status === 'approved',
+    notes: application.reviewNotes,
+    dashboardUrl: clientUrl('/dashboard')
+  });
+};
+
+export const sendNotificationEmail = (user, notification) => {
+  return sendTemplate(user.email, 'notification', {
+    name: user.name,
+    title: notification.title,
+    message: notification.message,
+    url: clientUrl(notification.link || '/dashboard'),
+    settingsUrl: clientUrl('/settings/notifications')
+  });
+};
+
+export const sendNotificationDigestEmail = (user, notifications) => {
+  return sendTemplate(user.email, 'notificationDigest', {
+    name: user.name,
+    items: notifications.map(({ title, message }) => ({ title, message })),
+    dashboardUrl: clientUrl('/dashboard'),
+    settingsUrl: clientUrl('/settings/notifications')
+  });
+};
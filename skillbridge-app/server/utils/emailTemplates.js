@@ -0,0 +1,99 @@
+// Email templates - each returns { subject, text, html }
+
+// Escape user-supplied values before placing them in HTML
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (title, body) => `
+<div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; color: #1F2937;">
+  <h2 style="color: #3B82F6;">${title}</h2>
+  ${body}
+  <p style="color: #6B7280; font-size: 12px; margin-top: 32px;">
+    SkillBridge - Learn. Earn. Rise.
+  </p>
+</div>`;
+
+const button = (url, label) => `
+<p>
+  <a href="${url}" style="display: inline-block; padding: 12px 20px; background: #3B82F6; color: #FFFFFF; border-radius: 6px; text-decoration: none;">${label}</a>
+</p>
+<p style="font-size: 12px; color: #6B7280;">Or paste this link into your browser: ${url}</p>`;
+
+export const verification = ({ name, verifyUrl, expiresInHours }) => ({
+  subject: 'Verify your SkillBridge email',
+  text: `Hi ${name},\n\nPlease verify your email address by opening this link:\n${verifyUrl}\n\nThe link expires in ${expiresInHours} hours.`,
+  html: layout('Verify your email', `
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>Please confirm your email address to finish setting up your account. You will earn 50 XP!</p>
+  ${button(verifyUrl, 'Verify email')}
+  <p>The link expires in ${expiresInHours} hours.</p>`)
+});
+
+export const passwordReset = ({ name, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your SkillBridge password',
+  text: `Hi ${name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${resetUrl}\n\nThe link expires in ${expiresInMinutes} minutes. If you did not request this, you can ignore this email.`,
+  html: layout('Reset your password', `
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>We received a request to reset your password.</p>
+  ${button(resetUrl, 'Choose a new password')}
+  <p>The link expires in ${expiresInMinutes} minutes. If you did not request this, you can ignore this email.</p>`)
+});
+
+export const accountLocked = ({ name, unlockUrl, lockMinutes }) => ({
+  subject: 'Your SkillBridge account has been locked',
+  text: `Hi ${name},\n\nWe locked your account for ${lockMinutes} minutes after several failed login attempts. If this was you, you can unlock it now:\n${unlockUrl}\n\nIf it was not you, consider resetting your password.`,
+  html: layout('Account locked', `
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>We locked your account for ${lockMinutes} minutes after several failed login attempts.</p>
+  ${button(unlockUrl, 'Unlock my account')}
+  <p>If this was not you, consider resetting your password.</p>`)
+});
+
+export const welcome = ({ name, dashboardUrl }) => ({
+  subject: 'Welcome to SkillBridge!',
+  text: `Hi ${name},\n\nWelcome to SkillBridge! Start a course, earn badges and find gigs near you:\n${dashboardUrl}`,
+  html: layout('Welcome to SkillBridge!', `
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>Your account is ready. Start a microlearning course, earn badges and find gigs near you.</p>
+  ${button(dashboardUrl, 'Go to dashboard')}`)
+});
+
+export const businessApplicationReviewed = ({ name, businessName, approved, notes, dashboardUrl }) => ({
+  subject: approved ? 'Your business account is verified' : 'Update on your business application',
+  text: approved
+    ? `Hi ${name},\n\n${businessName} has been verified. You can now post gigs and publish courses:\n${dashboardUrl}`
+    : `Hi ${name},\n\nWe could not verify ${businessName} yet.${notes ? `\n\nReviewer notes: ${notes}` : ''}\n\nYou can submit a new application from your dashboard:\n${dashboardUrl}`,
+  html: layout(approved ? 'Business verified' : 'Business application update', `
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>${approved
+    ? `<strong>${escapeHtml(businessName)}</strong> has been verified. You can now post gigs and publish courses.`
+    : `We could not verify <strong>${escapeHtml(businessName)}</strong> yet.`}</p>
+  ${!approved && notes ? `<p>Reviewer notes: ${escapeHtml(notes)}</p>` : ''}
+  ${button(dashboardUrl, 'Go to dashboard')}`)
+});
+
+export const notification = ({ name, title, message, url, settingsUrl }) => ({
+  subject: title,
+  text: `Hi ${name},\n\n${message || title}\n\n${url}\n\nManage notification settings: ${settingsUrl}`,
+  html: layout(escapeHtml(title), `
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>${escapeHtml(message || title)}</p>
+  ${button(url, 'View on SkillBridge')}
+  <p style="font-size: 12px; color: #6B7280;"><a href="${settingsUrl}">Manage notification settings</a></p>`)
+});
+
+export const notificationDigest = ({ name, items, dashboardUrl, settingsUrl }) => ({
+  subject: `Your SkillBridge daily digest (${items.length} update${items.length === 1 ? '' : 's'})`,
+  text: `Hi ${name},\n\nHere is what happened since your last digest:\n\n${items.map(item => `- ${item.title}${item.message ? `: ${item.message}` : ''}`).join('\n')}\n\n${dashboardUrl}\n\nManage notification settings: ${settingsUrl}`,
+  html: layout('Your daily digest', `
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>Here is what happened since your last digest:</p>
+  <ul>
+    ${items.map(item => `<li><strong>${escapeHtml(item.title)}</strong>${item.message ? ` - ${escapeHtml(item.message)}` : ''}</li>`).join('\n    ')}
+  </ul>
+  ${button(dashboardUrl, 'Go to dashboard')}
+  <p style="font-size: 12px; color: #6B7280;"><a href="${settingsUrl}">Manage notification settings</a></p>`)
+});
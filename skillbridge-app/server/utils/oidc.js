@@ -0,0 +1,137 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { createAuthError, createBadRequestError } from '../middleware/errorHandler.js';
+
+// OpenID Connect ID-token verification for social login.
+// Each provider's JWKS can be overridden with <PROVIDER>_JWKS_URI or loaded
+// from a local file with <PROVIDER>_JWKS_FILE (used in development and tests).
+
+const PROVIDERS = {
+  google: {
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    jwksUri: 'https://www.googleapis.com/oauth2/v3/certs'
+  },
+  apple: {
+    issuers: ['https://appleid.apple.com'],
+    jwksUri: 'https://appleid.apple.com/auth/keys'
+  },
+  microsoft: {
+    issuers: [],
+    jwksUri: 'https://login.microsoftonline.com/common/discovery/v2.0/keys'
+  }
+};
+
+export const isSupportedProvider = (provider) => Object.hasOwn(PROVIDERS, provider);
+
+const JWKS_CACHE_MS = 60 * 60 * 1000; // 1 hour
+const jwksCache = new Map();
+
+// Resolve provider settings from the environment
+const getProviderConfig = (provider) => {
+  const defaults = isSupportedProvider(provider) ? PROVIDERS[provider] : null;
+  const prefix = provider.toUpperCase();
+  const clientIds = (process.env[`${prefix}_CLIENT_ID`] || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  if (!defaults || clientIds.length === 0) {
+    throw createBadRequestError(`Social login with '${provider}' is not configured`);
+  }
+
+  // Tenant-specific providers (e.g. Microsoft) must set <PROVIDER>_ISSUER
+  const issuers = process.env[`${prefix}_ISSUER`]
+    ? [process.env[`${prefix}_ISSUER`]]
+    : defaults.issuers;
+
+  if (issuers.length === 0) {
+    throw createBadRequestError(`Social login with '${provider}' requires ${prefix}_ISSUER`);
+  }
+
+  return {
+    clientIds,
+    issuers,
+    jwksUri: process.env[`${prefix}_JWKS_URI`] || defaults.jwksUri,
+    jwksFile: process.env[`${prefix}_JWKS_FILE`]
+  };
+};
+
+// Load (and cache) the provider's JSON Web Key Set
+const loadJwks = async (config, forceReload = false) => {
+  const cacheKey = config.jwksFile || config.jwksUri;
+  const cached = jwksCache.get(cacheKey);
+
+  if (cached && !forceReload && Date.now() - cached.loadedAt < JWKS_CACHE_MS) {
+    return cached.keys;
+  }
+
+  let jwks;
+  if (config.jwksFile) {
+    jwks = JSON.parse(await fs.readFile(config.jwksFile, 'utf8'));
+  } else {
+    const response = await fetch(config.jwksUri);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS (${response.status})`);
+    }
+    jwks = await response.json();
+  }
+
+  const keys = jwks.keys || [];
+  jwksCache.set(cacheKey, { keys, loadedAt: Date.now() });
+  return keys;
+};
+
+// Find the signing key for a token, reloading the key set once for key rotation
+const getSigningKey = async (config, kid) => {
+  let keys = await loadJwks(config);
+  let jwk = keys.find(k => k.kid === kid);
+
+  if (!jwk) {
+    keys = await loadJwks(config, true);
+    jwk = keys.find(k => k.kid === kid);
+  }
+
+  if (!jwk) {
+    throw createAuthError('Unknown token signing key');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Verify an ID token's signature, audience, issuer and expiry; returns the normalised profile
+export const verifyIdToken = async (provider, idToken) => {
+  const config = getProviderConfig(provider);
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded?.header?.kid) {
+    throw createAuthError('Malformed ID token');
+  }
+
+  const key = await getSigningKey(config, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'ES256'],
+      audience: config.clientIds,
+      issuer: config.issuers
+    });
+  } catch (error) {
+    throw createAuthError(`Invalid ID token: ${error.message}`);
+  }
+
+  if (!claims.sub) {
+    throw createAuthError('ID token has no subject');
+  }
+
+  return {
+    provider,
+    subject: claims.sub,
+    email: claims.email?.toLowerCase(),
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name,
+    picture: claims.picture
+  };
+};
+
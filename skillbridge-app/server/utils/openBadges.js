@@ -0,0 +1,171 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Open Badges 3.0 credentials for earned badges. Credentials are JSON-LD
+// OpenBadgeCredentials secured as VC-JWTs (RS256) with a key held locally:
+// OPEN_BADGES_PRIVATE_KEY (PEM) or the PEM file at OPEN_BADGES_KEY_FILE, which
+// is generated on first use when missing.
+
+export const CREDENTIAL_CONTEXT = [
+  'https://www.w3.org/ns/credentials/v2',
+  'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json'
+];
+
+export const REVOCATION_LIST_TYPE = '1EdTechRevocationList';
+
+let signingKey = null;
+
+// Base URL of the API, used for every hosted credential/issuer/achievement id
+export const getApiUrl = () => {
+  return (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+};
+
+export const credentialsUrl = (suffix = '') => `${getApiUrl()}/api/credentials${suffix}`;
+
+// Load (or create) the issuer's RSA signing key
+export const getSigningKey = () => {
+  if (signingKey) return signingKey;
+
+  let pem = process.env.OPEN_BADGES_PRIVATE_KEY?.replace(/\\n/g, '\n');
+
+  if (!pem) {
+    const file = path.resolve(process.env.OPEN_BADGES_KEY_FILE || 'keys/open-badges-key.pem');
+
+    if (fs.existsSync(file)) {
+      pem = fs.readFileSync(file, 'utf8');
+    } else {
+      console.warn(`⚠️ No Open Badges signing key found, generating ${file}`);
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, pem, { mode: 0o600 });
+    }
+  }
+
+  const privateKey = crypto.createPrivateKey(pem);
+  const publicKey = crypto.createPublicKey(privateKey);
+  const { kty, n, e } = publicKey.export({ format: 'jwk' });
+
+  // RFC 7638 thumbprint as the key id
+  const kid = crypto.createHash('sha256')
+    .update(JSON.stringify({ e, kty, n }))
+    .digest('base64url');
+
+  signingKey = {
+    privateKey,
+    publicKey,
+    kid,
+    jwk: { kty, n, e, kid, alg: 'RS256', use: 'sig' }
+  };
+  return signingKey;
+};
+
+// Forget the cached key (after changing the key configuration)
+export const resetSigningKey = () => {
+  signingKey = null;
+};
+
+// Issuer Profile published at /api/credentials/issuer
+export const getIssuerProfile = () => ({
+  '@context': CREDENTIAL_CONTEXT,
+  id: credentialsUrl('/issuer'),
+  type: ['Profile'],
+  name: process.env.OPEN_BADGES_ISSUER_NAME || 'SkillBridge',
+  url: process.env.CLIENT_URL || 'http://localhost:5173',
+  ...(process.env.OPEN_BADGES_ISSUER_EMAIL && { email: process.env.OPEN_BADGES_ISSUER_EMAIL }),
+  description: 'SkillBridge - Learn. Earn. Rise.'
+});
+
+// Achievement published at /api/credentials/achievements/:badgeId
+export const buildAchievement = (badge) => {
+  const narrative = badge.criteria
+    .map(criterion => criterion.description || `${criterion.type.replace(/_/g, ' ')}: ${JSON.stringify(criterion.value)}`)
+    .join('\n');
+
+  return {
+    id: credentialsUrl(`/achievements/${badge._id}`),
+    type: ['Achievement'],
+    achievementType: 'Badge',
+    name: badge.name,
+    description: badge.description,
+    criteria: { narrative: narrative || badge.description },
+    image: {
+      id: credentialsUrl(`/achievements/${badge._id}/image.svg`),
+      type: 'Image',
+      caption: badge.name
+    },
+    tag: [badge.category, badge.skillTag, ...(badge.relatedSkills || [])].filter(Boolean),
+    creator: { id: credentialsUrl('/issuer'), type: ['Profile'] }
+  };
+};
+
+// Salted hash of the recipient's email, so credentials don't expose the address
+export const hashRecipient = (email, salt = crypto.randomBytes(16).toString('hex')) => ({
+  identityHash: `sha256$${crypto.createHash('sha256').update(email.toLowerCase() + salt).digest('hex')}`,
+  salt
+});
+
+// Unsigned OpenBadgeCredential for one assertion
+export const buildCredential = ({ assertion, badge, user }) => {
+  const issuer = getIssuerProfile();
+  delete issuer['@context'];
+
+  return {
+    '@context': CREDENTIAL_CONTEXT,
+    id: credentialsUrl(`/${assertion._id}`),
+    type: ['VerifiableCredential', 'OpenBadgeCredential'],
+    issuer,
+    validFrom: new Date(assertion.earnedAt).toISOString(),
+    ...(assertion.expiresAt && { validUntil: new Date(assertion.expiresAt).toISOString() }),
+    name: badge.name,
+    credentialSubject: {
+      type: ['AchievementSubject'],
+      identifier: [{
+        type: 'IdentityObject',
+        identityType: 'emailAddress',
+        hashed: true,
+        identityHash: assertion.recipient.identityHash,
+        salt: assertion.recipient.salt
+      }],
+      name: user.name,
+      achievement: buildAchievement(badge)
+    },
+    credentialStatus: {
+      id: credentialsUrl('/revocations'),
+      type: REVOCATION_LIST_TYPE
+    }
+  };
+};
+
+// Secure a credential as a compact VC-JWT
+export const signCredential = (credential) => {
+  const { privateKey, kid } = getSigningKey();
+  const claims = {
+    vc: credential,
+    nbf: Math.floor(new Date(credential.validFrom).getTime() / 1000),
+    ...(credential.validUntil && { exp: Math.floor(new Date(credential.validUntil).getTime() / 1000) })
+  };
+
+  return jwt.sign(claims, privateKey, {
+    algorithm: 'RS256',
+    keyid: kid,
+    issuer: credential.issuer.id,
+    jwtid: credential.id
+  });
+};
+
+// Verify a VC-JWT signed by this issuer; returns the credential or throws
+export const verifyCredentialJwt = (token) => {
+  const { publicKey } = getSigningKey();
+  const claims = jwt.verify(token, publicKey, {
+    algorithms: ['RS256'],
+    issuer: credentialsUrl('/issuer')
+  });
+
+  if (!claims.vc || claims.jti !== claims.vc.id) {
+    throw new Error('Token is not an OpenBadgeCredential');
+  }
+  return claims.vc;
+};
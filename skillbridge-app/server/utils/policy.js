@@ -0,0 +1,97 @@
+// Central access policy: which roles may perform which actions, and on whose resources.
+//
+// Actions are "<resource>:<verb>" strings. A role permission is either the bare
+// action (allowed on any resource) or "<action>:own" (allowed only when the
+// user owns the resource, as defined in OWNERSHIP). Unknown actions are denied.
+
+const LEARNER_PERMISSIONS = [
+  'course:enroll',
+  'course:review',
+  'gig:apply',
+  'business-application:submit',
+  'credential:revoke:own'
+];
+
+const BUSINESS_PERMISSIONS = [
+  ...LEARNER_PERMISSIONS,
+  'course:create',
+  'course:list-own',
+  'course:read-unpublished:own',
+  'course:update:own',
+  'course:delete:own',
+  'course:grade:own',
+  'course:view-analytics:own',
+  'gig:create',
+  'gig:list-own',
+  'gig:view-applications:own',
+  'gig:update:own',
+  'gig:delete:own',
+  'gig:manage-applications:own',
+  'gig:complete:own',
+  'question:create',
+  'question:list',
+  'question:read:own',
+  'question:update:own',
+  'question:delete:own',
+  'auth:setup-2fa'
+];
+
+// Admins hold every business permission on any resource, plus platform management
+const ADMIN_PERMISSIONS = [
+  ...BUSINESS_PERMISSIONS.map(permission => permission.replace(/:own$/, '')),
+  'badge:create',
+  'badge:revoke',
+  'user:list',
+  'platform:view-stats',
+  'analytics:view-platform',
+  'business-application:review'
+];
+
+export const ROLE_PERMISSIONS = {
+  learner: LEARNER_PERMISSIONS,
+  business: BUSINESS_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS
+};
+
+// How to find the owner of each resource type
+const OWNERSHIP = {
+  course: (course) => course.instructor,
+  gig: (gig) => gig.clientId,
+  credential: (assertion) => assertion.userId,
+  question: (item) => item.createdBy
+};
+
+// Actions a business account may only perform once verified (when REQUIRE_VERIFIED_BUSINESS=true)
+const VERIFIED_BUSINESS_ACTIONS = ['course:create', 'gig:create'];
+
+const idOf = (ref) => (ref?._id ?? ref)?.toString();
+
+// Whether the user owns the resource the action applies to
+export const isOwner = (user, action, resource) => {
+  const getOwner = OWNERSHIP[action.split(':')[0]];
+  if (!user || !resource || !getOwner) return false;
+
+  const ownerId = idOf(getOwner(resource));
+  return Boolean(ownerId) && ownerId === idOf(user._id);
+};
+
+// Whether the action is blocked only because the business account is not verified yet
+export const needsBusinessVerification = (user, action) => {
+  return process.env.REQUIRE_VERIFIED_BUSINESS === 'true'
+    && user?.role === 'business'
+    && !user.verified
+    && VERIFIED_BUSINESS_ACTIONS.includes(action);
+};
+
+// Can `user` perform `action` (optionally on `resource`)?
+export const can = (user, action, resource = null) => {
+  if (!user) return false;
+
+  const permissions = ROLE_PERMISSIONS[user.role] || [];
+
+  if (needsBusinessVerification(user, action)) return false;
+
+  if (permissions.includes(action)) return true;
+
+  return permissions.includes(`${action}:own`) && isOwner(user, action, resource);
+};
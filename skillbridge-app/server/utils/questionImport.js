@@ -0,0 +1,291 @@
+// Question bank import from CSV or GIFT (the Moodle text format).
+// Both parsers return { questions, errors }: questions are plain objects in the
+// QuestionBank shape, errors are { line, message } for entries that were skipped.
+
+export const IMPORT_FORMATS = ['csv', 'gift'];
+
+export const MAX_IMPORT_QUESTIONS = 500;
+
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+const splitList = (value) => String(value || '')
+  .split('|')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const trueFalseOptions = (answer) => TRUE_FALSE_OPTIONS.map(text => ({
+  text,
+  isCorrect: text.toLowerCase() === String(answer).trim().toLowerCase()
+}));
+
+// RFC 4180 style CSV: quoted fields may contain commas, quotes ("") and newlines
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = '';
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  return rows.filter(({ cells }) => cells.some(cell => cell.trim()));
+};
+
+// Columns: question, type, options (| separated), answer, tolerance, pattern, points, difficulty, skillTag,
+// topics (| separated), explanation. By type, `answer` is:
+//   multiple-choice: the correct option's text; multi-select: the correct options (| separated)
+//   true-false: true or false; numeric: the number (within `tolerance`)
+//   fill-blank / short-answer: accepted answers (| separated), optionally with a regex in `pattern`
+// Ordering questions list their options in the correct order; matching questions list pairs as left->right.
+export const parseCsvQuestions = (text) => {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const questions = [];
+  const errors = [];
+
+  const columns = (header?.cells || []).map(cell => cell.trim().toLowerCase());
+  if (!columns.includes('question')) {
+    return { questions, errors: [{ line: 1, message: 'Missing header row with a "question" column' }] };
+  }
+
+  for (const { line, cells } of rows) {
+    const record = Object.fromEntries(columns.map((column, index) => [column, (cells[index] || '').trim()]));
+    const type = (record.type || 'multiple-choice').toLowerCase();
+    const question = {
+      question: record.question,
+      type,
+      points: record.points ? Number(record.points) : undefined,
+      difficulty: record.difficulty?.toLowerCase() || undefined,
+      skillTag: record.skilltag || undefined,
+      topics: splitList(record.topics),
+      explanation: record.explanation || undefined
+    };
+
+    const options = splitList(record.options);
+    const answers = splitList(record.answer);
+
+    if (type === 'multiple-choice' || type === 'multi-select') {
+      if (!answers.length || answers.some(answer => !options.includes(answer))) {
+        errors.push({ line, message: 'Every answer must match one of the options' });
+        continue;
+      }
+      question.options = options.map(option => ({ text: option, isCorrect: answers.includes(option) }));
+    } else if (type === 'true-false') {
+      const answer = String(record.answer ?? '').trim().toLowerCase();
+      if (!['true', 'false'].includes(answer)) {
+        errors.push({ line, message: 'True/false answers must be "true" or "false"' });
+        continue;
+      }
+      question.options = trueFalseOptions(answer);
+    } else if (type === 'ordering') {
+      question.options = options.map(option => ({ text: option }));
+    } else if (type === 'matching') {
+      question.pairs = options.map(option => {
+        const [left, right] = option.split('->').map(part => part.trim());
+        return { left, right };
+      });
+      if (question.pairs.some(pair => !pair.left || !pair.right)) {
+        errors.push({ line, message: 'Matching pairs must be written as left->right' });
+        continue;
+      }
+    } else if (type === 'numeric') {
+      question.numericAnswer = record.answer === '' ? undefined : Number(record.answer);
+      question.tolerance = record.tolerance ? Number(record.tolerance) : undefined;
+    } else {
+      [question.correctAnswer, ...question.acceptedAnswers] = answers;
+      question.answerPattern = record.pattern || undefined;
+    }
+
+    questions.push({ line, ...question });
+  }
+
+  return { questions, errors };
+};
+
+// Split on a GIFT control character that is not escaped with a backslash
+const splitUnescaped = (text, pattern) => {
+  const parts = [];
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      current += text[i] + text[i + 1];
+      i += 1;
+    } else if (pattern.test(text[i])) {
+      parts.push(current);
+      current = text[i];
+    } else {
+      current += text[i];
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+const indexOfUnescaped = (text, char, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') i += 1;
+    else if (text[i] === char) return i;
+  }
+  return -1;
+};
+
+const unescapeGift = (text) => text.replace(/\\([~=#{}:\\])/g, '$1').replace(/\\n/g, '\n').trim();
+
+// Drop per-answer feedback ("#...") and percentage weights ("%50%")
+const answerText = (text) => unescapeGift(splitUnescaped(text, /#/)[0].replace(/^%-?\d+(\.\d+)?%/, ''));
+
+// GIFT subset: multiple choice ({=right ~wrong}), multiple answers ({~%50%a ~%50%b ~%-100%c}),
+// true/false ({T} / {FALSE}), short answer ({=answer =alternative}), essay ({}, imported as a
+// manually graded short answer), fill-in-the-blank (an answer block inside the question text),
+// matching ({=left -> right ...}) and numeric ({#3.14:0.01} or {#1..5}). Titles (::title::),
+// comments (//), $CATEGORY lines (used as the topic) and general feedback (####...) as the
+// explanation are understood.
+export const parseGiftQuestions = (text) => {
+  const questions = [];
+  const errors = [];
+  let topic = null;
+  let block = [];
+  let blockLine = 1;
+
+  const finishBlock = () => {
+    if (block.length === 0) return;
+    const source = block.join('\n');
+    const line = blockLine;
+    block = [];
+
+    const open = indexOfUnescaped(source, '{');
+    const close = open === -1 ? -1 : indexOfUnescaped(source, '}', open);
+    if (open === -1 || close === -1) {
+      errors.push({ line, message: 'Missing answer block {...}' });
+      return;
+    }
+
+    const stem = source.slice(0, open).replace(/^::(.*?)::/s, '').replace(/^\[(html|markdown|plain|moodle)\]/, '');
+    const after = source.slice(close + 1).trim();
+    let answers = source.slice(open + 1, close).trim();
+
+    let explanation;
+    const generalFeedback = answers.indexOf('####');
+    if (generalFeedback !== -1) {
+      explanation = unescapeGift(answers.slice(generalFeedback + 4));
+      answers = answers.slice(0, generalFeedback).trim();
+    }
+
+    const question = {
+      line,
+      question: unescapeGift(after ? `${stem.trim()} _____ ${after}` : stem),
+      topics: topic ? [topic] : [],
+      explanation
+    };
+
+    const trueFalse = /^(T|TRUE|F|FALSE)(\s*#.*)?$/is.exec(answers);
+    if (trueFalse) {
+      question.type = 'true-false';
+      question.options = trueFalseOptions(trueFalse[1].toUpperCase().startsWith('T') ? 'true' : 'false');
+    } else if (!answers) {
+      // Essay: graded by the instructor
+      question.type = 'short-answer';
+      question.manualGrading = true;
+    } else if (answers.startsWith('#')) {
+      const value = answerText(answers.slice(1).split(/(?=[=~])/)[0].replace(/^=/, ''));
+      const range = /^(-?[\d.]+)\.\.(-?[\d.]+)$/.exec(value);
+      const [answer, tolerance = '0'] = value.split(':');
+      question.type = 'numeric';
+      question.numericAnswer = range ? (Number(range[1]) + Number(range[2])) / 2 : Number(answer);
+      question.tolerance = range ? Math.abs(Number(range[2]) - Number(range[1])) / 2 : Number(tolerance);
+    } else {
+      const choices = splitUnescaped(answers, /[=~]/).map(part => part.trim()).filter(Boolean);
+      const correct = choices.filter(choice => choice.startsWith('='));
+      const weight = (choice) => Number(/^[=~]%(-?\d+(?:\.\d+)?)%/.exec(choice)?.[1] ?? (choice.startsWith('=') ? 100 : 0));
+
+      if (choices.some(choice => choice.includes('->'))) {
+        question.type = 'matching';
+        question.pairs = correct.map(choice => {
+          const [left, right] = choice.slice(1).split('->');
+          return { left: unescapeGift(left), right: answerText(right || '') };
+        });
+      } else if (choices.some(choice => choice.startsWith('~'))) {
+        const right = choices.filter(choice => weight(choice) > 0);
+        question.type = correct.length === 1 && right.length === 1 ? 'multiple-choice' : 'multi-select';
+        question.options = choices.map(choice => ({ text: answerText(choice.slice(1)), isCorrect: weight(choice) > 0 }));
+      } else {
+        if (correct.length === 0) {
+          errors.push({ line, message: 'No correct answer given' });
+          return;
+        }
+        question.type = after ? 'fill-blank' : 'short-answer';
+        [question.correctAnswer, ...question.acceptedAnswers] = correct.map(choice => answerText(choice.slice(1)));
+      }
+    }
+
+    questions.push(question);
+  };
+
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  lines.forEach((raw, index) => {
+    const line = raw.trimEnd();
+
+    if (line.trim().startsWith('//')) return;
+
+    const category = /^\$CATEGORY:\s*(.+)$/i.exec(line.trim());
+    if (category) {
+      finishBlock();
+      topic = category[1].split('/').pop().trim().toLowerCase() || null;
+      return;
+    }
+
+    if (!line.trim()) {
+      finishBlock();
+      return;
+    }
+
+    if (block.length === 0) blockLine = index + 1;
+    block.push(line);
+  });
+  finishBlock();
+
+  return { questions, errors };
+};
+
+// Parse an import file in the given format
+export const parseQuestionImport = (text, format) => {
+  return format === 'gift' ? parseGiftQuestions(text) : parseCsvQuestions(text);
+};
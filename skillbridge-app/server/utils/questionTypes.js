@@ -0,0 +1,298 @@
+import crypto from 'crypto';
+import RE2 from 're2';
+
+// Quiz question types: how each type is validated, shown to learners (without
+// answers) and scored. Scores are fractions of the question's points, so types
+// with partial credit can return anything between 0 and 1.
+//
+//   multiple-choice / true-false  options[], exactly one isCorrect; answer: option _id or text
+//   multi-select                  options[], one or more isCorrect; answer: array of option _ids or texts
+//   ordering                      options[] in the correct order; answer: array of option texts
+//   matching                      pairs[{ left, right }]; answer: { [pair _id or left]: right }
+//   numeric                       numericAnswer ± tolerance; answer: number
+//   fill-blank / short-answer     correctAnswer, acceptedAnswers[] and/or answerPattern (regex)
+//
+// Answer patterns run on RE2, which matches in linear time, so a pattern cannot
+// backtrack catastrophically on a learner's answer. RE2 has no backreferences or
+// lookarounds; patterns that use them are rejected when the question is saved.
+//
+// Short-answer questions with manualGrading are not scored here: their answers wait
+// for the instructor (see services/grading.js), optionally against a rubric.
+
+export const QUESTION_TYPES = [
+  'multiple-choice',
+  'true-false',
+  'multi-select',
+  'ordering',
+  'matching',
+  'numeric',
+  'fill-blank',
+  'short-answer'
+];
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_TEXT_ANSWER_LENGTH = 500;
+
+const normaliseText = (value, caseSensitive) => {
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+const compilePattern = (pattern, caseSensitive) => new RE2(`^(?:${pattern})$`, caseSensitive ? '' : 'i');
+
+// Whether the text matches the pattern; a pattern RE2 cannot compile matches nothing
+const matchesPattern = (pattern, caseSensitive, text) => {
+  try {
+    return compilePattern(pattern, caseSensitive).test(text);
+  } catch {
+    return false;
+  }
+};
+
+export const isManuallyGraded = (question) => question.type === 'short-answer' && Boolean(question.manualGrading);
+
+// Rubric points must add up to the points available
+export const validateRubric = (rubric, points) => {
+  if (!rubric?.length) return null;
+  const total = rubric.reduce((sum, criterion) => sum + (criterion.points || 0), 0);
+  return Math.abs(total - points) > 1e-9 ? `Rubric points (${total}) must add up to ${points}` : null;
+};
+
+// Validation message for a question, or null when it is valid
+export const validateQuestion = (question) => {
+  const options = question.options || [];
+  const correctCount = options.filter(option => option.isCorrect).length;
+
+  if (question.manualGrading || question.rubric?.length) {
+    if (question.type !== 'short-answer') return 'Only short-answer questions can be graded manually';
+    if (question.rubric?.length && !question.manualGrading) return 'Rubrics need manualGrading turned on';
+    return validateRubric(question.rubric, question.points);
+  }
+
+  switch (question.type) {
+    case 'multiple-choice':
+      if (options.length < 2) return 'Multiple choice questions need at least 2 options';
+      if (correctCount !== 1) return 'Multiple choice questions need exactly one correct option';
+      return null;
+
+    case 'true-false':
+      if (options.length !== 2 || correctCount !== 1) {
+        return 'True/false questions need 2 options, one of them correct';
+      }
+      return null;
+
+    case 'multi-select':
+      if (options.length < 2) return 'Multi-select questions need at least 2 options';
+      if (correctCount < 1) return 'Multi-select questions need at least one correct option';
+      return null;
+
+    case 'ordering': {
+      if (options.length < 2) return 'Ordering questions need at least 2 items';
+      const texts = options.map(option => normaliseText(option.text));
+      if (new Set(texts).size !== texts.length) return 'Ordering items must be unique';
+      return null;
+    }
+
+    case 'matching': {
+      const pairs = question.pairs || [];
+      if (pairs.length < 2) return 'Matching questions need at least 2 pairs';
+      const lefts = pairs.map(pair => normaliseText(pair.left));
+      const rights = pairs.map(pair => normaliseText(pair.right));
+      if (new Set(lefts).size !== lefts.length || new Set(rights).size !== rights.length) {
+        return 'Matching pairs must not repeat a prompt or an answer';
+      }
+      return null;
+    }
+
+    case 'numeric':
+      if (typeof question.numericAnswer !== 'number' || !Number.isFinite(question.numericAnswer)) {
+        return 'Numeric questions need a numeric answer';
+      }
+      return null;
+
+    case 'fill-blank':
+    case 'short-answer': {
+      if (!question.correctAnswer && !question.acceptedAnswers?.length && !question.answerPattern) {
+        return 'Give a correct answer, accepted answers or an answer pattern';
+      }
+      if (question.answerPattern) {
+        if (question.answerPattern.length > MAX_PATTERN_LENGTH) {
+          return `Answer pattern cannot exceed ${MAX_PATTERN_LENGTH} characters`;
+        }
+        try {
+          compilePattern(question.answerPattern);
+        } catch (error) {
+          return `Invalid answer pattern: ${error.message}`;
+        }
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Option chosen by _id or by text
+const findOption = (question, value) => {
+  if (value === undefined || value === null) return null;
+  const key = String(value);
+  return question.options.find(option => option._id?.toString() === key) ||
+    question.options.find(option => normaliseText(option.text) === normaliseText(key)) ||
+    null;
+};
+
+// Options picked in an answer to a multiple-choice, true/false or multi-select question
+export const selectedOptions = (question, answer) => {
+  const values = Array.isArray(answer) ? answer : [answer];
+  return [...new Set(values.map(value => findOption(question, value)).filter(Boolean))];
+};
+
+// Answer to a matching question as pair _id -> chosen right-hand text
+const matchingChoices = (question, answer) => {
+  const entries = Array.isArray(answer)
+    ? answer.map(item => [item?.pairId ?? item?.left, item?.right])
+    : Object.entries(answer && typeof answer === 'object' ? answer : {});
+
+  const choices = new Map();
+  for (const [key, right] of entries) {
+    const pair = question.pairs.find(p => p._id?.toString() === String(key)) ||
+      question.pairs.find(p => normaliseText(p.left) === normaliseText(key));
+    if (pair && right !== undefined && right !== null) choices.set(pair._id.toString(), right);
+  }
+  return choices;
+};
+
+const scoreTextAnswer = (question, answer) => {
+  if (typeof answer !== 'string' && typeof answer !== 'number') return 0;
+  const text = String(answer).slice(0, MAX_TEXT_ANSWER_LENGTH);
+  const caseSensitive = Boolean(question.caseSensitive);
+
+  const accepted = [question.correctAnswer, ...(question.acceptedAnswers || [])]
+    .filter(Boolean)
+    .map(value => normaliseText(value, caseSensitive));
+  if (accepted.includes(normaliseText(text, caseSensitive))) return 1;
+
+  if (question.answerPattern && matchesPattern(question.answerPattern, caseSensitive, text.trim())) return 1;
+
+  return 0;
+};
+
+// Fraction (0-1) of the question's points the answer earns
+export const scoreAnswer = (question, answer) => {
+  switch (question.type) {
+    case 'multiple-choice':
+    case 'true-false':
+      return findOption(question, answer)?.isCorrect ? 1 : 0;
+
+    case 'multi-select': {
+      const chosen = selectedOptions(question, answer);
+      const correct = question.options.filter(option => option.isCorrect);
+      const right = chosen.filter(option => option.isCorrect).length;
+      const wrong = chosen.length - right;
+
+      if (question.partialCredit === false) {
+        return right === correct.length && wrong === 0 ? 1 : 0;
+      }
+      // Each wrong pick cancels a right one
+      return Math.max(0, (right - wrong) / correct.length);
+    }
+
+    case 'ordering': {
+      if (!Array.isArray(answer)) return 0;
+      const order = answer.map(value => findOption(question, value));
+      const inPlace = question.options.filter((option, index) => order[index] === option).length;
+
+      if (question.partialCredit === false) return inPlace === question.options.length ? 1 : 0;
+      return inPlace / question.options.length;
+    }
+
+    case 'matching': {
+      const choices = matchingChoices(question, answer);
+      const matched = question.pairs.filter(pair =>
+        choices.has(pair._id.toString()) &&
+        normaliseText(choices.get(pair._id.toString())) === normaliseText(pair.right)
+      ).length;
+
+      if (question.partialCredit === false) return matched === question.pairs.length ? 1 : 0;
+      return matched / question.pairs.length;
+    }
+
+    case 'numeric': {
+      const value = typeof answer === 'string' && answer.trim() ? Number(answer.trim()) : answer;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 0;
+      return Math.abs(value - question.numericAnswer) <= (question.tolerance || 0) + 1e-9 ? 1 : 0;
+    }
+
+    case 'fill-blank':
+    case 'short-answer':
+      return scoreTextAnswer(question, answer);
+
+    default:
+      return 0;
+  }
+};
+
+// The correct answer in the same shape a learner would answer with, for reviews
+export const describeCorrectAnswer = (question) => {
+  switch (question.type) {
+    case 'multiple-choice':
+    case 'true-false':
+      return question.options.find(option => option.isCorrect)?.text;
+    case 'multi-select':
+      return question.options.filter(option => option.isCorrect).map(option => option.text);
+    case 'ordering':
+      return question.options.map(option => option.text);
+    case 'matching':
+      return question.pairs.map(pair => ({ left: pair.left, right: pair.right }));
+    case 'numeric':
+      return question.tolerance ? `${question.numericAnswer} ± ${question.tolerance}` : question.numericAnswer;
+    default:
+      return question.correctAnswer || question.acceptedAnswers?.[0];
+  }
+};
+
+// Deterministic PRNG (mulberry32) seeded from a string
+export const seededRandom = (seed) => {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates shuffle into a new array
+export const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Question as shown to a learner: no correct flags, answers or patterns. Ordering items and matching
+// answers are always shuffled (their stored order is the answer); `random` makes that repeatable.
+// Ordering items are shown by text only: their _ids were created in the stored order and would give it away.
+export const presentQuestion = (question, random = seededRandom(question._id)) => {
+  const options = question.type === 'ordering'
+    ? shuffle(question.options.map(option => ({ text: option.text })), random)
+    : question.options?.map(option => ({ _id: option._id, text: option.text }));
+  const presented = {
+    _id: question._id,
+    question: question.question,
+    type: question.type,
+    options,
+    points: question.points,
+    difficulty: question.difficulty
+  };
+
+  if (question.type === 'matching') {
+    presented.prompts = question.pairs.map(pair => ({ _id: pair._id, left: pair.left }));
+    presented.choices = shuffle(question.pairs.map(pair => pair.right), random);
+  }
+
+  return presented;
+};
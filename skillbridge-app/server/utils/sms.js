@@ -0,0 +1,176 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// SMS delivery through pluggable providers. Each provider exposes
+// send({ to, message }) => { id } and throws on failure.
+
+// Africa's Talking bulk SMS API (AT_USERNAME, AT_API_KEY, optional AT_SENDER_ID)
+const createAfricasTalkingProvider = () => {
+  const username = process.env.AT_USERNAME;
+  const apiUrl = username === 'sandbox'
+    ? 'https://api.sandbox.africastalking.com/version1/messaging'
+    : 'https://api.africastalking.com/version1/messaging';
+
+  return {
+    name: 'africastalking',
+    send: async ({ to, message }) => {
+      const body = new URLSearchParams({ username, to, message });
+      if (process.env.AT_SENDER_ID) body.set('from', process.env.AT_SENDER_ID);
+
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: {
+          apiKey: process.env.AT_API_KEY,
+          Accept: 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body
+      });
+
+      const result = await response.json().catch(() => ({}));
+      const recipient = result.SMSMessageData?.Recipients?.[0];
+
+      if (!response.ok || !recipient || recipient.statusCode >= 400) {
+        throw new Error(`Africa's Talking error: ${recipient?.status || result.SMSMessageData?.Message || response.status}`);
+      }
+
+      return { id: recipient.messageId };
+    }
+  };
+};
+
+// Twilio Messages API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM)
+const createTwilioProvider = () => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const credentials = Buffer.from(`${accountSid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+
+  return {
+    name: 'twilio',
+    send: async ({ to, message }) => {
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: to, From: process.env.TWILIO_FROM, Body: message })
+      });
+
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Twilio error: ${result.message || response.status}`);
+      }
+
+      return { id: result.sid };
+    }
+  };
+};
+
+// File provider - appends each message as a JSON line (dev and tests)
+const createFileProvider = () => {
+  const file = path.resolve(process.env.SMS_LOG_FILE || 'outbox/sms.log');
+
+  return {
+    name: 'file',
+    file,
+    send: async ({ to, message }) => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.appendFile(file, `${JSON.stringify({ id, to, message, createdAt: new Date().toISOString() })}\n`);
+      return { id };
+    }
+  };
+};
+
+const providerFactories = {
+  africastalking: createAfricasTalkingProvider,
+  twilio: createTwilioProvider,
+  file: createFileProvider
+};
+
+let provider = null;
+
+// Register an additional provider
+export const registerSmsProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+// Resolve the configured provider (file by default outside production)
+export const getSmsProvider = () => {
+  if (!provider) {
+    const name = process.env.SMS_PROVIDER ||
+      (process.env.NODE_ENV === 'production' ? 'africastalking' : 'file');
+    const factory = providerFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+
+    provider = factory();
+  }
+  return provider;
+};
+
+// Reset the cached provider (after changing SMS_PROVIDER)
+export const resetSmsProvider = () => {
+  provider = null;
+};
+
+// Normalise a phone number to E.164, assuming SMS_DEFAULT_COUNTRY_CODE (254, Kenya) for local numbers.
+// Returns null when the number cannot be valid.
+export const normalizePhone = (phone) => {
+  const countryCode = process.env.SMS_DEFAULT_COUNTRY_CODE || '254';
+  let digits = String(phone || '').replace(/[\s\-()]/g, '');
+
+  if (digits.startsWith('+')) {
+    digits = digits.slice(1);
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    digits = countryCode + digits.slice(1);
+  } else if (digits.length <= 10) {
+    digits = countryCode + digits;
+  }
+
+  return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Send an SMS, retrying with exponential backoff on failure
+export const sendSms = async ({ to, message }) => {
+  const maxRetries = parseInt(process.env.SMS_MAX_RETRIES, 10) || 3;
+  const retryDelay = parseInt(process.env.SMS_RETRY_DELAY_MS, 10) || 1000;
+  const recipient = normalizePhone(to);
+
+  if (!recipient) {
+    throw new Error(`Invalid phone number: ${to}`);
+  }
+
+  let lastError;
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await getSmsProvider().send({ to: recipient, message });
+    } catch (error) {
+      lastError = error;
+      console.error(`SMS send attempt ${attempt}/${maxRetries} to ${recipient} failed:`, error.message);
+      if (attempt < maxRetries) {
+        await sleep(retryDelay * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  throw lastError;
+};
+
+// Short plain-text body for a notification (SMS segments are 160 characters)
+export const formatNotificationSms = (notification) => {
+  const text = notification.message ? `${notification.title}: ${notification.message}` : notification.title;
+  return `SkillBridge - ${text}`.slice(0, 160);
+};
+
+// Notification channel sender (see services/notifications.js)
+export const sendNotificationSms = (user, notification) => {
+  return sendSms({ to: user.phone, message: formatNotificationSms(notification) });
+};
@@ -0,0 +1,60 @@
+// Time zone helpers built on Intl (no extra dependencies).
+
+export const DEFAULT_TIMEZONE = 'Africa/Nairobi';
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// "HH:MM" (24-hour clock)
+export const isValidClockTime = (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value || '');
+
+// Wall-clock parts of `date` in the given zone: { dateKey: 'YYYY-MM-DD', hour, minute }
+export const getLocalTime = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10)
+  };
+};
+
+// Is `date` inside the quiet-hours window? Windows may wrap midnight (e.g. 22:00-07:00).
+export const isWithinQuietHours = (quietHours, timeZone, date = new Date()) => {
+  if (!quietHours?.enabled || !isValidClockTime(quietHours.start) || !isValidClockTime(quietHours.end)) {
+    return false;
+  }
+
+  const toMinutes = (value) => {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+
+  const { hour, minute } = getLocalTime(date, timeZone);
+  const now = hour * 60 + minute;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  if (start === end) return false;
+  return start < end
+    ? now >= start && now < end
+    : now >= start || now < end;
+};
@@ -0,0 +1,84 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createBadRequestError, createFileUploadError } from '../middleware/errorHandler.js';
+
+// Local storage for files received through express-fileupload (and files we generate).
+// Files live under UPLOAD_DIR (default ./uploads) and are served only through
+// authorised routes, never statically.
+
+export const DOCUMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+const getUploadRoot = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+// Normalise req.files[field] (single file or array) into an array
+export const getUploadedFiles = (req, field) => {
+  const files = req.files?.[field];
+  if (!files) return [];
+  return Array.isArray(files) ? files : [files];
+};
+
+// Check count, type and size before anything is written
+export const validateFiles = (files, { allowedTypes = DOCUMENT_TYPES, maxFiles = 5, maxSizeMB = 10 } = {}) => {
+  if (files.length > maxFiles) {
+    throw createFileUploadError(`A maximum of ${maxFiles} files can be uploaded`);
+  }
+
+  for (const file of files) {
+    if (!allowedTypes.includes(file.mimetype)) {
+      throw createFileUploadError(`File type not allowed: ${file.name}`);
+    }
+    if (file.size > maxSizeMB * 1024 * 1024) {
+      throw createFileUploadError(`File too large: ${file.name} (max ${maxSizeMB}MB)`);
+    }
+  }
+};
+
+// Move an uploaded file into UPLOAD_DIR/<folder> under a random name; returns its metadata
+export const storeFile = async (file, folder) => {
+  const directory = path.join(getUploadRoot(), folder);
+  await fs.mkdir(directory, { recursive: true });
+
+  const extension = path.extname(file.name).toLowerCase();
+  const storedName = `${crypto.randomBytes(16).toString('hex')}${extension}`;
+  await file.mv(path.join(directory, storedName));
+
+  return {
+    originalName: file.name,
+    path: path.join(folder, storedName),
+    mimetype: file.mimetype,
+    size: file.size
+  };
+};
+
+// Write generated content (e.g. a certificate PDF) into UPLOAD_DIR/<folder>; returns its stored path
+export const storeBuffer = async (buffer, folder, name) => {
+  const directory = path.join(getUploadRoot(), folder);
+  await fs.mkdir(directory, { recursive: true });
+
+  const storedName = path.basename(name);
+  await fs.writeFile(path.join(directory, storedName), buffer);
+
+  return path.join(folder, storedName);
+};
+
+// Absolute path of a stored file (rejects paths escaping the upload root)
+export const resolveStoredFile = (storedPath) => {
+  const root = getUploadRoot();
+  const absolute = path.resolve(root, storedPath);
+
+  if (!absolute.startsWith(root + path.sep)) {
+    throw createBadRequestError('Invalid file path');
+  }
+
+  return absolute;
+};
+
+// Remove a stored file, ignoring files that are already gone
+export const removeStoredFile = async (storedPath) => {
+  try {
+    await fs.unlink(resolveStoredFile(storedPath));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};